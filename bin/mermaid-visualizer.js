@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * Command line entry
+ * `mermaid-visualizer` starts the HTTP server on PORT;
+ * `mermaid-visualizer --stdio` speaks MCP over stdin/stdout for desktop
+ * clients that launch the server themselves.
+ */
+
+import '../server.js';
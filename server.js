@@ -10,9 +10,57 @@ import cors from 'cors';
 import multer from 'multer';
 import { z } from 'zod';
 import Papa from 'papaparse';
-import { readFileSync } from 'fs';
+import { readFileSync, watchFile } from 'fs';
+import { randomBytes } from 'crypto';
+import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { generateFlowchart } from './src/flowchart.js';
+import { validateMermaid, assertValidMermaid } from './src/mermaid-parser.js';
+import { generateGantt, isGanttTable, parseGanttRows, renderGantt } from './src/gantt.js';
+import { generatePieChart, aggregatePieRows, renderPieChart, PIE_AGGREGATES } from './src/pie.js';
+import { generateGitGraph } from './src/gitgraph.js';
+import { parseSqlDdl, renderERDiagram, generateERDiagram } from './src/sql-ddl.js';
+import { parseSourceFile, renderSourceClassDiagram, generateClassDiagram } from './src/class-source.js';
+import { generateSequenceDiagram, isTraceJson, parseTraceSpans, renderTraceSequence } from './src/sequence.js';
+import { mapCsvToGraph } from './src/csv-graph.js';
+import { parseYaml } from './src/yaml.js';
+import { parseXmlDocument } from './src/xml.js';
+import { parseMarkdownOutline } from './src/markdown-outline.js';
+import { parseDot } from './src/dot.js';
+import { convertDiagram, DIAGRAM_FORMATS, CONVERTIBLE_TYPES } from './src/convert.js';
+import { createDiagramStore } from './src/diagram-store.js';
+import { diffDiagrams, describeDiff } from './src/diagram-diff.js';
+import { createShareLinks } from './src/share-links.js';
+import { MERMAID_THEMES, resolveTheme, applyTheme } from './src/themes.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createMcpServer } from './src/mcp-server.js';
+import { createMcpSessions } from './src/mcp-sessions.js';
+import {
+  isOpenApiSpec,
+  listOperations,
+  renderOpenApiEndpoints,
+  renderOpenApiSchemas,
+  renderOpenApiSequence
+} from './src/openapi.js';
+import {
+  isJsonSchema,
+  jsonToTree,
+  renderTreeFlowchart,
+  renderTreeMindmap,
+  parseJsonSchema,
+  renderSchemaClassDiagram,
+  JSON_TREE_DEFAULTS
+} from './src/json-structure.js';
+import {
+  buildDiagram,
+  GRAPH_DIAGRAM_TYPES,
+  GRAPH_DIRECTIONS,
+  NODE_SHAPES,
+  EDGE_STYLES,
+  EDGE_RELATIONS,
+  FIELD_VISIBILITY
+} from './src/graph-builder.js';
 
 // ES module path resolution
 const __filename = fileURLToPath(import.meta.url);
@@ -21,6 +69,123 @@ const __dirname = dirname(__filename);
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+const BASE_URL = process.env.BASE_URL || process.env.WIDGET_DOMAIN || `http://localhost:${PORT}`;
+
+// MCP over stdin/stdout for local clients (bin/mermaid-visualizer.js --stdio); no HTTP server is started
+const STDIO_MODE = process.argv.includes('--stdio');
+if (STDIO_MODE) {
+  // stdout carries the protocol, so all logging goes to stderr
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
+// Saved diagrams are opt-in: nothing is stored unless DATA_DIR is set
+const diagramStore = process.env.DATA_DIR ? createDiagramStore(process.env.DATA_DIR) : null;
+
+// Links to unsaved diagrams are signed; without SHARE_SECRET they stop working on restart
+if (!process.env.SHARE_SECRET && !STDIO_MODE) {
+  console.warn('SHARE_SECRET is not set: share links for unsaved diagrams will expire when the server restarts');
+}
+const shareLinks = createShareLinks({
+  baseUrl: BASE_URL,
+  secret: process.env.SHARE_SECRET || randomBytes(32)
+});
+
+// Mermaid for the widget is served from this server, so rendering is pinned to
+// the installed version and works behind firewalls. MERMAID_CDN_URL is only
+// used when the package is not installed, or in stdio mode.
+const MERMAID_ENTRY = 'mermaid.esm.min.mjs';
+
+function findMermaidBundle() {
+  try {
+    const packageFile = createRequire(import.meta.url).resolve('mermaid/package.json');
+    const { version } = JSON.parse(readFileSync(packageFile, 'utf8'));
+    return { version, dir: join(dirname(packageFile), 'dist') };
+  } catch (error) {
+    return null;
+  }
+}
+
+const mermaidBundle = findMermaidBundle();
+// The version is part of the path, so bundle files never change under a URL
+const MERMAID_BUNDLE_PATH = mermaidBundle ? `/vendor/mermaid@${mermaidBundle.version}` : null;
+if (!mermaidBundle && !process.env.MERMAID_CDN_URL) {
+  throw new Error('Mermaid is not installed. Run npm install, or set MERMAID_CDN_URL to load it from a CDN');
+}
+// Nothing serves the bundle in stdio mode, so it defaults to the installed version on jsdelivr
+const MERMAID_CDN_URL = process.env.MERMAID_CDN_URL
+  || `https://cdn.jsdelivr.net/npm/mermaid@${mermaidBundle?.version}/dist/${MERMAID_ENTRY}`;
+if (!mermaidBundle || STDIO_MODE) {
+  console.warn(`${STDIO_MODE ? 'stdio mode' : 'Mermaid is not installed'}: the widget loads Mermaid from ${MERMAID_CDN_URL}`);
+}
+const MERMAID_URL = mermaidBundle && !STDIO_MODE ? `${BASE_URL}${MERMAID_BUNDLE_PATH}/${MERMAID_ENTRY}` : MERMAID_CDN_URL;
+const MERMAID_ORIGIN = new URL(MERMAID_URL).origin;
+
+/**
+ * Widget HTML with its Mermaid import pointing at MERMAID_URL
+ */
+function readWidgetTemplate() {
+  const templateContent = readFileSync(join(__dirname, 'templates', 'mermaid-viewer.html'), 'utf8');
+  return templateContent.replace(/(import mermaid from ')[^']+(';)/, (match, start, end) => `${start}${MERMAID_URL}${end}`);
+}
+
+// Brand palettes: named themes from BRAND_PALETTES_FILE, shared by everyone using this server
+const themeVariablesSchema = z.record(z.union([z.string(), z.number(), z.boolean()]));
+
+const brandPalettesSchema = z.record(z.object({
+  theme: z.enum(MERMAID_THEMES).default('base'),
+  themeVariables: themeVariablesSchema.default({})
+})).refine(
+  palettes => Object.keys(palettes).every(name => !MERMAID_THEMES.includes(name)),
+  'Palette names cannot reuse built-in theme names'
+);
+
+function loadBrandPalettes(file) {
+  if (!file) {
+    return {};
+  }
+  try {
+    return brandPalettesSchema.parse(JSON.parse(readFileSync(file, 'utf8')));
+  } catch (error) {
+    const message = error instanceof z.ZodError
+      ? error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')
+      : error.message;
+    throw new Error(`Cannot read brand palettes ${file}: ${message}`);
+  }
+}
+
+// Reloaded when the file changes (see "Change notifications for session clients" near the /mcp routes)
+let brandPalettes = loadBrandPalettes(process.env.BRAND_PALETTES_FILE);
+const themeNames = () => [...MERMAID_THEMES, ...Object.keys(brandPalettes)];
+
+// Applied to generated diagrams that do not ask for a theme
+const DEFAULT_THEME = process.env.DEFAULT_THEME || null;
+if (DEFAULT_THEME && !themeNames().includes(DEFAULT_THEME)) {
+  throw new Error(`DEFAULT_THEME "${DEFAULT_THEME}" is not a theme or brand palette. Available themes: ${themeNames().join(', ')}`);
+}
+
+const themeSchema = z.string().refine(name => themeNames().includes(name), name => ({
+  message: `Unknown theme: ${name}. Available themes: ${themeNames().join(', ')}`
+}));
+
+// Shared by the generate_diagram and parse_file descriptors
+const themeDescription = () => 'Mermaid theme (default, dark, forest, neutral or base)'
+  + (Object.keys(brandPalettes).length ? ` or brand palette (${Object.keys(brandPalettes).join(', ')})` : '')
+  + ', written into the code as an init directive'
+  + (DEFAULT_THEME ? ` (defaults to ${DEFAULT_THEME})` : '');
+const THEME_VARIABLES_DESCRIPTION = 'Mermaid themeVariables such as primaryColor, primaryTextColor, primaryBorderColor, lineColor, fontFamily or fontSize; they override the palette and imply the base theme when no theme is given';
+
+/**
+ * Theme generated code with the requested theme, or DEFAULT_THEME
+ * Returns { mermaid_code, theme } where theme is the applied name or null
+ */
+function themeDiagram(mermaidCode, theme, themeVariables = {}) {
+  const resolved = resolveTheme(theme || DEFAULT_THEME, themeVariables, brandPalettes);
+  return resolved
+    ? { mermaid_code: applyTheme(mermaidCode, resolved), theme: resolved.name }
+    : { mermaid_code: mermaidCode, theme: null };
+}
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -33,8 +198,9 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: true,
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID'],
+  exposedHeaders: ['Mcp-Session-Id']
 }));
 
 app.options('*', cors());
@@ -45,8 +211,32 @@ app.use((req, res, next) => {
 });
 // #endregion
 app.use(express.json({ limit: '10mb' }));
+
+/**
+ * Self-hosted Mermaid bundle
+ * Versioned paths are cached as immutable; the entry module loads its chunks
+ * relative to itself.
+ */
+if (mermaidBundle) {
+  app.use(MERMAID_BUNDLE_PATH, express.static(mermaidBundle.dir, { immutable: true, maxAge: '1y', index: false }));
+}
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// File types accepted by parse_file and /upload
+const FILE_TYPES = ['csv', 'json', 'txt', 'sql', 'js', 'ts', 'trace', 'log', 'yaml', 'yml', 'xml', 'md', 'markdown', 'dot', 'gv'];
+
+// Diagrams parse_file can build; state, class and er come from CSV column mappings
+const FILE_DIAGRAM_TYPES = ['flowchart', 'sequence', 'state', 'class', 'er', 'gantt', 'pie', 'git', 'mindmap'];
+
+// JSON data renders as a tree, JSON Schema as classes and traces as sequences
+const JSON_DIAGRAM_TYPES = ['flowchart', 'mindmap', 'class', 'sequence'];
+
+// YAML, XML and Markdown outlines render as hierarchies
+const TREE_DIAGRAM_TYPES = ['flowchart', 'mindmap'];
+
+// Source files that can be combined into one class diagram
+const SOURCE_FILE_TYPES = ['js', 'ts'];
+
 // Multer configuration for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -54,14 +244,14 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // 5MB max file size
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['text/csv', 'application/json', 'text/plain'];
-    const allowedExtensions = ['.csv', '.json', '.txt'];
+    const allowedTypes = ['text/csv', 'application/json', 'text/plain', 'application/sql', 'application/yaml', 'application/xml', 'text/xml', 'text/markdown', 'text/vnd.graphviz'];
+    const allowedExtensions = FILE_TYPES.map(type => `.${type}`);
     const fileExt = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
     
     if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExt)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only CSV, JSON, and TXT files are allowed.'), false);
+      cb(new Error(`Invalid file type. Only ${FILE_TYPES.join(', ')} files are allowed.`), false);
     }
   }
 });
@@ -76,344 +266,1581 @@ const SERVER_VERSION = '1.0.0';
  */
 const generateDiagramSchema = z.object({
   text: z.string().min(1, 'Text input is required'),
-  diagramType: z.enum(['flowchart', 'sequence', 'class', 'er', 'gantt', 'pie', 'git']).optional()
+  diagramType: z.enum(['flowchart', 'sequence', 'class', 'er', 'gantt', 'pie', 'git']).optional(),
+  labelColumn: z.string().min(1).optional(),
+  valueColumn: z.string().min(1).optional(),
+  aggregate: z.enum(PIE_AGGREGATES).optional(),
+  top: z.number().int().positive().optional(),
+  theme: themeSchema.optional(),
+  themeVariables: themeVariablesSchema.optional()
 });
 
 /**
  * Generate Mermaid diagram code from text input
- * Uses proper Mermaid syntax for each diagram type
+ * Uses proper Mermaid syntax for each diagram type; pieOptions are the
+ * labelColumn, valueColumn, aggregate and top arguments for pie charts.
  */
-function generateMermaidCode(text, diagramType = 'flowchart') {
-  const normalizedText = text.trim();
-  
-  // Validate diagram type
-  const validTypes = ['flowchart', 'sequence', 'class', 'er', 'gantt', 'pie', 'git'];
-  if (diagramType && !validTypes.includes(diagramType)) {
-    throw new Error(`Invalid diagram type: ${diagramType}. Valid types are: ${validTypes.join(', ')}`);
-  }
-  
-  // Auto-detect diagram type if not specified
-  if (!diagramType) {
-    if (normalizedText.toLowerCase().includes('sequence') || normalizedText.includes('->')) {
-      diagramType = 'sequence';
-    } else if (normalizedText.toLowerCase().includes('class') || normalizedText.includes('{')) {
-      diagramType = 'class';
-    } else if (normalizedText.toLowerCase().includes('entity') || normalizedText.toLowerCase().includes('relationship')) {
-      diagramType = 'er';
+function generateMermaidCode(text, diagramType = 'flowchart', pieOptions = {}) {
+  let mermaidCode = '';
+
+  try {
+    if (diagramType === 'flowchart') {
+      mermaidCode = generateFlowchart(text);
+    } else if (diagramType === 'sequence') {
+      mermaidCode = generateSequenceDiagram(text);
+    } else if (diagramType === 'class') {
+      mermaidCode = generateClassDiagram(text);
+    } else if (diagramType === 'er') {
+      mermaidCode = generateERDiagram(text);
+    } else if (diagramType === 'gantt') {
+      mermaidCode = generateGantt(text);
+    } else if (diagramType === 'pie') {
+      mermaidCode = generatePieChart(text, pieOptions);
+    } else if (diagramType === 'git') {
+      mermaidCode = generateGitGraph(text);
     } else {
-      diagramType = 'flowchart';
+      throw new Error(`Invalid diagram type: ${diagramType}`);
     }
+  } catch (error) {
+    // Generators only throw on text they cannot read, which is invalid params
+    throw rpcError(-32602, `Failed to generate ${diagramType} diagram: ${error.message}`);
   }
 
+  return { mermaid_code: mermaidCode, diagram_type: diagramType };
+}
+
+/**
+ * MCP Tool: parse_file
+ * Parses uploaded CSV/JSON/TXT/SQL/JS/TS/trace/YAML/XML/Markdown/DOT files and converts to Mermaid
+ */
+const parseFileSchema = z.object({
+  file_content: z.string().min(1, 'File content is required'),
+  file_type: z.enum(FILE_TYPES),
+  file_name: z.string().min(1).optional(),
+  files: z.array(z.object({
+    name: z.string().min(1, 'File name is required'),
+    content: z.string()
+  })).optional(),
+  diagram_type: z.enum(FILE_DIAGRAM_TYPES).optional(),
+  label_column: z.string().min(1).optional(),
+  value_column: z.string().min(1).optional(),
+  aggregate: z.enum(PIE_AGGREGATES).optional(),
+  top: z.number().int().positive().optional(),
+  source_column: z.string().min(1).optional(),
+  target_column: z.string().min(1).optional(),
+  edge_label_column: z.string().min(1).optional(),
+  group_column: z.string().min(1).optional(),
+  id_column: z.string().min(1).optional(),
+  parent_column: z.string().min(1).optional(),
+  max_depth: z.number().int().positive().optional(),
+  array_items: z.number().int().min(0).optional(),
+  operation: z.string().min(1).optional(),
+  theme: themeSchema.optional(),
+  theme_variables: themeVariablesSchema.optional()
+});
+
+/**
+ * Parse file content and convert to Mermaid diagram
+ * Options: diagram_type to override detection, label_column,
+ * value_column, aggregate and top for pie charts, source/target/edge
+ * label/group/id/parent columns to map CSV rows to a graph, max_depth and
+ * array_items for JSON/YAML/XML trees, operation for an OpenAPI sequence
+ * diagram, and file_name plus extra files to merge JS/TS sources into one
+ * class diagram
+ */
+function parseFileToMermaid(fileContent, fileType, options = {}) {
+  let parsedData = {};
   let mermaidCode = '';
 
-  // Generate proper Mermaid syntax based on type
-  if (diagramType === 'flowchart') {
-    mermaidCode = `flowchart TD
-    Start["${normalizedText}"]
-    Start --> Process[Processing]
-    Process --> Decision{Success?}
-    Decision -->|Yes| End[Complete]
-    Decision -->|No| Error[Handle Error]`;
-  } else if (diagramType === 'sequence') {
-    mermaidCode = `sequenceDiagram
-    participant User
-    participant System
-    User->>System: ${normalizedText}
-    System-->>User: Response`;
-  } else if (diagramType === 'class') {
-    const className = normalizedText.replace(/\s+/g, '');
-    mermaidCode = `classDiagram
-    class ${className} {
-        +String id
-        +String name
-        +process()
-    }`;
-  } else if (diagramType === 'er') {
-    const entityName = normalizedText.replace(/\s+/g, '_');
-    mermaidCode = `erDiagram
-    ENTITY {
-        string id
-        string ${entityName}
-    }`;
-  } else if (diagramType === 'gantt') {
-    mermaidCode = `gantt
-    title ${normalizedText}
-    dateFormat YYYY-MM-DD
-    section Phase 1
-    Task 1: 2024-01-01, 7d`;
-  } else if (diagramType === 'pie') {
-    mermaidCode = `pie title ${normalizedText}
-    "Item 1" : 30
-    "Item 2" : 25
-    "Item 3" : 45`;
-  } else if (diagramType === 'git') {
-    mermaidCode = `gitGraph
-    commit
-    branch develop
-    checkout develop
-    commit
-    commit
-    checkout main
-    merge develop
-    commit`;
-  } else {
-    // Fallback to flowchart
-    mermaidCode = `flowchart TD
-    Start["${normalizedText}"]
-    Start --> Process[Processing]
-    Process --> End[Complete]`;
+  const treeOptions = { maxDepth: options.max_depth, arrayItems: options.array_items };
+  const renderTree = (tree, defaultType = 'flowchart') => {
+    const diagramType = options.diagram_type || defaultType;
+    if (!TREE_DIAGRAM_TYPES.includes(diagramType)) {
+      throw new Error(`${fileType.toUpperCase()} files can be drawn as ${TREE_DIAGRAM_TYPES.join(' or ')} diagrams, not ${diagramType}`);
+    }
+    return diagramType === 'mindmap' ? renderTreeMindmap(tree) : renderTreeFlowchart(tree);
+  };
+
+  // OpenAPI documents: endpoints by default, schemas as a class diagram, one operation as a sequence
+  const renderOpenApi = (spec) => {
+    const operations = listOperations(spec);
+    parsedData = {
+      title: spec.info?.title || null,
+      version: spec.info?.version || null,
+      operations: operations.map(entry => ({
+        method: entry.method.toUpperCase(),
+        path: entry.path,
+        operation_id: entry.operationId,
+        tags: entry.tags,
+        summary: entry.summary
+      })),
+      schemas: Object.keys(spec.components?.schemas || spec.definitions || {})
+    };
+    const diagramType = options.diagram_type || (options.operation ? 'sequence' : operations.length > 0 ? 'flowchart' : 'class');
+    switch (diagramType) {
+      case 'flowchart':
+        return renderOpenApiEndpoints(spec);
+      case 'class':
+        return renderOpenApiSchemas(spec);
+      case 'sequence':
+        if (!options.operation) {
+          const examples = parsedData.operations.slice(0, 5).map(entry => entry.operation_id || `${entry.method} ${entry.path}`);
+          throw new Error(`Pass operation (an operationId or "METHOD /path") to draw a sequence diagram, e.g. ${examples.join(', ')}`);
+        }
+        return renderOpenApiSequence(spec, options.operation);
+      default:
+        throw new Error(`OpenAPI documents can be drawn as flowchart, class or sequence diagrams, not ${diagramType}`);
+    }
+  };
+
+  try {
+    switch (fileType.toLowerCase()) {
+      case 'csv':
+        const csvResult = Papa.parse(fileContent, {
+          header: true,
+          skipEmptyLines: true
+        });
+        parsedData = csvResult.data;
+        
+        if (options.diagram_type === 'pie') {
+          mermaidCode = renderPieChart(aggregatePieRows(csvResult.data, {
+            labelColumn: options.label_column,
+            valueColumn: options.value_column,
+            aggregate: options.aggregate,
+            top: options.top
+          }));
+          break;
+        }
+
+        const columnMapping = {
+          sourceColumn: options.source_column,
+          targetColumn: options.target_column,
+          edgeLabelColumn: options.edge_label_column,
+          groupColumn: options.group_column,
+          idColumn: options.id_column,
+          labelColumn: options.label_column,
+          parentColumn: options.parent_column
+        };
+        const hasMapping = Object.entries(columnMapping).some(([key, value]) => key !== 'labelColumn' && value);
+
+        // Task lists (name plus start/duration/end columns) become Gantt charts
+        if (csvResult.data.length > 0 && (options.diagram_type === 'gantt' || (!options.diagram_type && !hasMapping && isGanttTable(csvResult.meta.fields || [])))) {
+          mermaidCode = renderGantt(parseGanttRows(csvResult.data));
+          break;
+        }
+
+        // Edge lists (from,to,label) and parent/child tables (id,name,manager_id) become graphs
+        const graph = mapCsvToGraph(csvResult.data, csvResult.meta.fields || [], columnMapping);
+        if (graph) {
+          const graphType = GRAPH_DIAGRAM_TYPES.includes(options.diagram_type) ? options.diagram_type : 'flowchart';
+          mermaidCode = buildDiagram({ ...graph, diagramType: graphType }).mermaid_code;
+          break;
+        }
+        if (options.diagram_type && options.diagram_type !== 'flowchart') {
+          throw new Error(`Cannot build ${options.diagram_type} diagrams from this CSV. Map source_column and target_column for an edge list, or id_column and parent_column for a tree`);
+        }
+
+        // Convert CSV to flowchart
+        if (csvResult.data.length > 0) {
+          const headers = Object.keys(csvResult.data[0]);
+          mermaidCode = 'flowchart TD\n';
+          csvResult.data.forEach((row, index) => {
+            const nodeId = `Node${index}`;
+            const label = Object.values(row).join(', ');
+            mermaidCode += `    ${nodeId}["${label}"]\n`;
+            if (index < csvResult.data.length - 1) {
+              mermaidCode += `    ${nodeId} --> Node${index + 1}\n`;
+            }
+          });
+        }
+        break;
+
+      case 'json':
+        parsedData = JSON.parse(fileContent);
+        
+        if (isOpenApiSpec(parsedData)) {
+          mermaidCode = renderOpenApi(parsedData);
+          break;
+        }
+
+        // OpenTelemetry, Jaeger and Zipkin exports become sequence diagrams
+        if ((!options.diagram_type || options.diagram_type === 'sequence') && isTraceJson(parsedData)) {
+          const spans = parseTraceSpans(parsedData);
+          parsedData = { spans };
+          mermaidCode = renderTraceSequence(spans);
+          break;
+        }
+        if (options.diagram_type && !JSON_DIAGRAM_TYPES.includes(options.diagram_type)) {
+          throw new Error(`JSON files can be drawn as ${JSON_DIAGRAM_TYPES.join(', ')} diagrams, not ${options.diagram_type}`);
+        }
+
+        // JSON Schema documents become class diagrams, other data a tree
+        if (options.diagram_type === 'class' || (!options.diagram_type && isJsonSchema(parsedData))) {
+          const schema = parseJsonSchema(parsedData);
+          parsedData = {
+            classes: schema.classes.map(cls => ({ name: cls.name, fields: cls.fields })),
+            warnings: schema.warnings
+          };
+          mermaidCode = renderSchemaClassDiagram(schema);
+        } else {
+          mermaidCode = renderTree(jsonToTree(parsedData, treeOptions));
+        }
+        break;
+
+      case 'yaml':
+      case 'yml':
+        parsedData = parseYaml(fileContent);
+        mermaidCode = isOpenApiSpec(parsedData)
+          ? renderOpenApi(parsedData)
+          : renderTree(jsonToTree(parsedData, treeOptions));
+        break;
+
+      case 'xml': {
+        const xml = parseXmlDocument(fileContent);
+        parsedData = xml.value;
+        mermaidCode = renderTree(jsonToTree(xml.value, { ...treeOptions, rootLabel: xml.name }));
+        break;
+      }
+
+      case 'md':
+      case 'markdown': {
+        const outline = parseMarkdownOutline(fileContent, {
+          title: options.file_name ? options.file_name.replace(/\.\w+$/, '') : undefined
+        });
+        parsedData = { outline };
+        mermaidCode = renderTree(outline, 'mindmap');
+        break;
+      }
+
+      case 'dot':
+      case 'gv': {
+        if (options.diagram_type && options.diagram_type !== 'flowchart') {
+          throw new Error(`DOT graphs are drawn as flowcharts, not ${options.diagram_type}`);
+        }
+        const graph = parseDot(fileContent);
+        parsedData = {
+          nodes: graph.nodes.map(node => node.label),
+          edges: graph.edges.length,
+          clusters: graph.groups.map(group => group.label)
+        };
+        mermaidCode = buildDiagram(graph).mermaid_code;
+        break;
+      }
+
+      case 'sql': {
+        const schema = parseSqlDdl(fileContent);
+        parsedData = {
+          tables: [...schema.tables.values()].map(table => ({
+            name: table.name,
+            columns: table.columns.map(column => column.name),
+            primary_key: table.primaryKey,
+            foreign_keys: table.foreignKeys.map(fk => ({ columns: fk.columns, references: fk.table }))
+          }))
+        };
+        mermaidCode = renderERDiagram(schema);
+        break;
+      }
+
+      case 'js':
+      case 'ts': {
+        const sources = [
+          { name: options.file_name || null, content: fileContent },
+          ...(options.files || [])
+        ];
+        const declarations = sources.flatMap(source => parseSourceFile(source.content, source.name));
+        parsedData = {
+          classes: declarations.map(declaration => ({
+            name: declaration.name,
+            kind: declaration.kind,
+            file: declaration.file,
+            extends: declaration.extends,
+            implements: declaration.implements,
+            fields: declaration.fields.map(field => field.name),
+            methods: declaration.methods.map(method => method.name)
+          }))
+        };
+        mermaidCode = renderSourceClassDiagram(declarations);
+        break;
+      }
+
+      case 'trace':
+      case 'log':
+        parsedData = { lines: fileContent.split('\n').filter(line => line.trim()) };
+        mermaidCode = generateSequenceDiagram(fileContent);
+        break;
+
+      case 'txt':
+        const lines = fileContent.split('\n').filter(line => line.trim());
+        parsedData = { lines: lines };
+        if (options.diagram_type === 'sequence') {
+          mermaidCode = generateSequenceDiagram(fileContent);
+        } else if (options.diagram_type === 'gantt') {
+          mermaidCode = generateGantt(fileContent);
+        } else if (options.diagram_type === 'pie') {
+          mermaidCode = generatePieChart(fileContent, {
+            labelColumn: options.label_column,
+            valueColumn: options.value_column,
+            aggregate: options.aggregate,
+            top: options.top
+          });
+        } else if (options.diagram_type === 'git') {
+          mermaidCode = generateGitGraph(fileContent);
+        } else if (options.diagram_type === 'class') {
+          mermaidCode = generateClassDiagram(fileContent);
+        } else if (options.diagram_type === 'er') {
+          mermaidCode = generateERDiagram(fileContent);
+        } else if (options.diagram_type === 'state') {
+          throw new Error('State diagrams are built from CSV column mappings');
+        } else {
+          mermaidCode = generateFlowchart(fileContent);
+        }
+        break;
+
+      default:
+        throw new Error(`Unsupported file type: ${fileType}`);
+    }
+  } catch (error) {
+    // The file comes from the caller, so anything unreadable in it is invalid params
+    throw rpcError(-32602, `Failed to parse ${fileType} file: ${error.message}`);
   }
 
-  return { mermaid_code: mermaidCode, diagram_type: diagramType };
+  return { mermaid_code: mermaidCode, parsed_data: parsedData };
 }
 
 /**
- * Generate flowchart diagram
+ * MCP Tool: validate_diagram
+ * Parses Mermaid source and reports syntax diagnostics
  */
-function generateFlowchart(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let flowchart = 'flowchart TD\n';
-  
-  // Simple heuristic: if text contains arrows or steps, parse them
-  if (text.includes('->') || text.includes('→')) {
-    const steps = text.split(/[->→]/).map(s => s.trim()).filter(s => s);
-    steps.forEach((step, index) => {
-      const nodeId = `A${index}`;
-      flowchart += `    ${nodeId}["${step}"]\n`;
-      if (index < steps.length - 1) {
-        flowchart += `    ${nodeId} --> A${index + 1}\n`;
-      }
-    });
-  } else {
-    // Create simple nodes from lines
-    lines.forEach((line, index) => {
-      const nodeId = `A${index}`;
-      flowchart += `    ${nodeId}["${line}"]\n`;
-      if (index < lines.length - 1) {
-        flowchart += `    ${nodeId} --> A${index + 1}\n`;
-      }
-    });
+const validateDiagramSchema = z.object({
+  mermaid_code: z.string().min(1, 'Mermaid code is required')
+});
+
+/**
+ * MCP Tool: convert_diagram
+ * Converts flowcharts and sequence diagrams between Mermaid, DOT, PlantUML and draw.io
+ */
+const convertDiagramSchema = z.object({
+  source: z.string().min(1, 'Diagram source is required'),
+  from: z.enum(DIAGRAM_FORMATS).optional(),
+  to: z.enum(DIAGRAM_FORMATS),
+  diagram_type: z.enum(CONVERTIBLE_TYPES).optional()
+});
+
+const FORMAT_NAMES = { mermaid: 'Mermaid', dot: 'GraphViz DOT', plantuml: 'PlantUML', drawio: 'draw.io' };
+
+/**
+ * Convert a diagram and attach Mermaid code so the viewer can preview it
+ */
+function convertDiagramWithPreview({ source, from, to, diagram_type }) {
+  let conversion;
+  let mermaidCode = source;
+  try {
+    conversion = convertDiagram(source, { from, to, diagramType: diagram_type });
+    if (to === 'mermaid') {
+      mermaidCode = conversion.code;
+    } else if (conversion.from !== 'mermaid') {
+      mermaidCode = convertDiagram(source, { from: conversion.from, to: 'mermaid', diagramType: diagram_type }).code;
+    }
+  } catch (error) {
+    // The source comes from the caller, so anything unreadable in it is invalid params
+    throw rpcError(-32602, `Failed to convert diagram: ${error.message}`);
   }
-  
-  return flowchart;
+  assertValidMermaid(mermaidCode);
+  return { ...conversion, mermaid_code: mermaidCode };
 }
 
 /**
- * Generate sequence diagram
+ * MCP Tools: save_diagram, get_diagram, list_diagrams, delete_diagram
+ * Persist diagrams in the store under DATA_DIR
  */
-function generateSequence(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let sequence = 'sequenceDiagram\n';
-  
-  // Extract participants and messages
-  const participants = new Set();
-  lines.forEach(line => {
-    if (line.includes('->') || line.includes('→')) {
-      const parts = line.split(/[->→]/).map(s => s.trim());
-      if (parts.length >= 2) {
-        participants.add(parts[0]);
-        participants.add(parts[1]);
-      }
+const diagramTagsSchema = z.array(z.string().trim().min(1).max(50)).max(20);
+
+const saveDiagramSchema = z.object({
+  id: z.string().min(1).optional(),
+  mermaid_code: z.string().min(1, 'Mermaid code is required').optional(),
+  title: z.string().trim().min(1).max(200).optional(),
+  tags: diagramTagsSchema.optional(),
+  source_input: z.string().max(500000).optional()
+}).refine(args => args.id || args.mermaid_code, { message: 'Mermaid code is required when creating a diagram', path: ['mermaid_code'] });
+
+const diagramIdSchema = z.object({
+  id: z.string().min(1, 'Diagram id is required')
+});
+
+const getDiagramSchema = diagramIdSchema.extend({
+  revision: z.coerce.number().int().min(1).optional()
+});
+
+const listDiagramsSchema = z.object({
+  tag: z.string().optional(),
+  diagram_type: z.string().optional(),
+  query: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  offset: z.coerce.number().int().min(0).optional()
+});
+
+function requireDiagramStore() {
+  if (!diagramStore) {
+    throw new Error('Diagram storage is disabled. Set DATA_DIR on the server to enable it');
+  }
+  return diagramStore;
+}
+
+/**
+ * Create a diagram, or update it when an id is given
+ * New code is validated; its type and front-matter title fill in missing fields.
+ */
+function saveDiagram({ id, mermaid_code, title, tags, source_input }) {
+  const store = requireDiagramStore();
+  const fields = { title, tags, source_input };
+  if (mermaid_code !== undefined) {
+    // The code comes from the caller, so a parse error is invalid params
+    const { valid, diagnostics, diagram_type } = validateMermaid(mermaid_code);
+    if (!valid) {
+      const first = diagnostics.find(d => d.severity === 'error');
+      throw rpcError(-32602, `Mermaid code is invalid (line ${first.line}, column ${first.column}): ${first.message}`, { data: diagnostics });
     }
-  });
-  
-  participants.forEach(participant => {
-    sequence += `    participant ${participant.replace(/\s+/g, '')} as ${participant}\n`;
-  });
-  
-  lines.forEach(line => {
-    if (line.includes('->') || line.includes('→')) {
-      const parts = line.split(/[->→]/).map(s => s.trim());
-      if (parts.length >= 2) {
-        const from = parts[0].replace(/\s+/g, '');
-        const to = parts[1].replace(/\s+/g, '');
-        const message = parts[2] || 'message';
-        sequence += `    ${from}->>${to}: ${message}\n`;
-      }
+    fields.mermaid_code = mermaid_code;
+    fields.diagram_type = diagram_type;
+    if (!id && !title) {
+      fields.title = /^---\s*\n(?:.*\n)*?title:\s*(.+)\n/.exec(mermaid_code)?.[1].trim();
     }
-  });
-  
-  return sequence;
+  }
+  if (!id) {
+    return store.create(fields);
+  }
+  const updated = store.update(id, fields);
+  if (!updated) {
+    throw new Error(`Diagram "${id}" not found`);
+  }
+  return updated;
+}
+
+function getDiagram(id) {
+  const diagram = requireDiagramStore().get(id);
+  if (!diagram) {
+    throw new Error(`Diagram "${id}" not found`);
+  }
+  return diagram;
+}
+
+function getRevision(id, revision) {
+  const found = requireDiagramStore().getRevision(id, revision);
+  if (!found) {
+    throw new Error(`Diagram "${id}" has no revision ${revision}`);
+  }
+  return found;
 }
 
 /**
- * Generate class diagram
+ * A saved diagram with its revision list, optionally at an older revision
  */
-function generateClassDiagram(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let classDiagram = 'classDiagram\n';
-  
-  lines.forEach(line => {
-    if (line.includes('class') || line.includes('{')) {
-      const className = line.replace(/class\s+/i, '').replace(/\s*\{.*/, '').trim();
-      if (className) {
-        classDiagram += `    class ${className.replace(/\s+/g, '')} {\n`;
-        classDiagram += `        +${className}\n`;
-        classDiagram += `    }\n`;
-      }
-    } else if (line.trim()) {
-      const className = line.trim().replace(/\s+/g, '');
-      classDiagram += `    class ${className}\n`;
-    }
-  });
-  
-  return classDiagram;
+function getDiagramWithHistory({ id, revision }) {
+  const diagram = getDiagram(id);
+  const revisions = diagramStore.listRevisions(id);
+  if (revision === undefined || revision === diagram.revision) {
+    return { ...diagram, revisions };
+  }
+  const { mermaid_code, diagram_type, title } = getRevision(id, revision);
+  return { ...diagram, mermaid_code, diagram_type, title, revision, revisions };
 }
 
 /**
- * Generate ER diagram
+ * share_url and embed_url for a tool result with mermaid_code
+ * The latest revision of a saved diagram links to /d/:id; anything else is
+ * encoded in a signed /s/ link, unless it is too large for one.
  */
-function generateERDiagram(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let erDiagram = 'erDiagram\n';
-  
-  lines.forEach(line => {
-    if (line.toLowerCase().includes('entity')) {
-      const entityName = line.replace(/entity\s*/i, '').trim().replace(/\s+/g, '');
-      if (entityName) {
-        erDiagram += `    ${entityName} {\n`;
-        erDiagram += `        string id\n`;
-        erDiagram += `    }\n`;
-      }
-    }
-  });
-  
-  return erDiagram;
+function withShareLinks(content) {
+  const saved = content.id && content.created_at && diagramStore ? diagramStore.get(content.id) : null;
+  const links = saved && saved.revision === content.revision
+    ? shareLinks.forDiagram(content.id)
+    : shareLinks.forCode({ mermaid_code: content.mermaid_code, title: content.title || null });
+  if (!links) {
+    return {
+      ...content,
+      share_note: diagramStore
+        ? 'Diagram is too large for a share link. Save it with save_diagram to share it as /d/:id'
+        : 'Diagram is too large for a share link'
+    };
+  }
+  return { ...content, ...links };
 }
 
 /**
- * Generate Gantt chart
+ * MCP Tool: diff_diagram
+ * Semantic diff of two Mermaid sources or two revisions of a saved diagram
+ */
+const diffDiagramSchema = z.object({
+  old_code: z.string().min(1).optional(),
+  new_code: z.string().min(1).optional(),
+  id: z.string().min(1).optional(),
+  from_revision: z.number().int().min(1).optional(),
+  to_revision: z.number().int().min(1).optional()
+}).refine(args => args.id || (args.old_code && args.new_code), { message: 'Pass old_code and new_code, or the id of a saved diagram', path: ['old_code'] });
+
+/**
+ * Missing sides come from the saved diagram: new_code defaults to to_revision
+ * (or the latest), old_code to from_revision (or the one before)
  */
-function generateGantt(text) {
-  return `gantt
-    title Gantt Chart
-    dateFormat YYYY-MM-DD
-    section Section
-    Task 1 :a1, 2024-01-01, 30d
-    Task 2 :a2, after a1, 20d`;
+function diffDiagram({ old_code, new_code, id, from_revision, to_revision }) {
+  if (!id) {
+    return diffDiagrams(old_code, new_code);
+  }
+  const diagram = getDiagram(id);
+  let oldCode = old_code;
+  let newCode = new_code;
+  let fromRevision = null;
+  let toRevision = null;
+  if (newCode === undefined) {
+    toRevision = to_revision ?? diagram.revision;
+    newCode = getRevision(id, toRevision).mermaid_code;
+  }
+  if (oldCode === undefined) {
+    fromRevision = from_revision ?? (toRevision ? toRevision - 1 : diagram.revision);
+    if (fromRevision < 1) {
+      throw new Error(`Diagram "${id}" has no earlier revision to compare with`);
+    }
+    oldCode = getRevision(id, fromRevision).mermaid_code;
+  }
+  return { ...diffDiagrams(oldCode, newCode), id, from_revision: fromRevision, to_revision: toRevision };
 }
 
 /**
- * Generate pie chart
+ * MCP Tool: build_diagram
+ * Builds Mermaid code from a structured graph model (nodes, edges, groups)
  */
-function generatePieChart(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let pie = 'pie title Distribution\n';
-  
-  lines.forEach((line, index) => {
-    const parts = line.split(/[:,\t]/).map(s => s.trim());
-    if (parts.length >= 2) {
-      const label = parts[0];
-      const value = parts[1] || '10';
-      pie += `    "${label}" : ${value}\n`;
-    } else if (line.trim()) {
-      pie += `    "${line.trim()}" : 10\n`;
+const GRAPH_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const GRAPH_RESERVED_IDS = [
+  'end', 'graph', 'subgraph', 'flowchart', 'state', 'class', 'classdef', 'style', 'linkstyle', 'direction', 'namespace',
+  'note', 'click', 'call', 'href', 'default', 'interpolate'
+];
+const graphIdSchema = z.string()
+  .regex(GRAPH_ID_PATTERN, 'Ids must start with a letter or underscore and contain only letters, digits and underscores')
+  .refine(id => !GRAPH_RESERVED_IDS.includes(id.toLowerCase()), id => ({ message: `"${id}" is a reserved word and cannot be used as an id` }));
+
+const buildDiagramSchema = z.object({
+  diagramType: z.enum(GRAPH_DIAGRAM_TYPES).optional(),
+  direction: z.enum(GRAPH_DIRECTIONS).optional(),
+  nodes: z.array(z.object({
+    id: graphIdSchema,
+    label: z.string().optional(),
+    shape: z.enum(NODE_SHAPES).optional(),
+    class: z.string().regex(/^[\w-]+$/).optional(),
+    fields: z.array(z.object({
+      name: z.string().regex(/^[\w$]+$/, 'Field names may contain only letters, digits, _ and $'),
+      type: z.string().optional(),
+      visibility: z.enum(FIELD_VISIBILITY).optional(),
+      key: z.enum(['PK', 'FK', 'UK']).optional(),
+      comment: z.string().optional()
+    })).optional(),
+    methods: z.array(z.object({
+      name: z.string().regex(/^[\w$]+$/, 'Method names may contain only letters, digits, _ and $'),
+      parameters: z.string().optional(),
+      returns: z.string().optional(),
+      visibility: z.enum(FIELD_VISIBILITY).optional(),
+      static: z.boolean().optional()
+    })).optional()
+  })).min(1, 'At least one node is required'),
+  edges: z.array(z.object({
+    from: z.string(),
+    to: z.string(),
+    label: z.string().optional(),
+    style: z.enum(EDGE_STYLES).optional(),
+    arrow: z.boolean().optional(),
+    relation: z.enum(EDGE_RELATIONS).optional(),
+    cardinality: z.object({
+      from: z.string().optional(),
+      to: z.string().optional()
+    }).optional()
+  })).default([]),
+  groups: z.array(z.object({
+    id: graphIdSchema,
+    label: z.string().optional(),
+    nodes: z.array(z.string()),
+    parent: z.string().optional()
+  })).optional(),
+  classDefs: z.record(z.string().regex(/^[\w-]+$/), z.string()).optional()
+}).superRefine((graph, ctx) => {
+  const nodeIds = new Set();
+  graph.nodes.forEach((node, index) => {
+    if (nodeIds.has(node.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['nodes', index, 'id'], message: `Duplicate node id "${node.id}"` });
     }
+    nodeIds.add(node.id);
   });
-  
-  return pie;
-}
+
+  graph.edges.forEach((edge, index) => {
+    ['from', 'to'].forEach(end => {
+      if (!nodeIds.has(edge[end])) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['edges', index, end], message: `Edge refers to unknown node "${edge[end]}"` });
+      }
+    });
+  });
+
+  const groupIds = new Set((graph.groups || []).map(group => group.id));
+  const grouped = new Set();
+  (graph.groups || []).forEach((group, index) => {
+    if (nodeIds.has(group.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['groups', index, 'id'], message: `Group id "${group.id}" clashes with a node id` });
+    }
+    if (group.parent && (!groupIds.has(group.parent) || group.parent === group.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['groups', index, 'parent'], message: `Unknown parent group "${group.parent}"` });
+    }
+    group.nodes.forEach((nodeId, nodeIndex) => {
+      if (!nodeIds.has(nodeId)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['groups', index, 'nodes', nodeIndex], message: `Group refers to unknown node "${nodeId}"` });
+      } else if (grouped.has(nodeId)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['groups', index, 'nodes', nodeIndex], message: `Node "${nodeId}" belongs to more than one group` });
+      }
+      grouped.add(nodeId);
+    });
+  });
+});
+
+const SERVER_INFO = {
+  name: SERVER_NAME,
+  version: SERVER_VERSION
+};
 
 /**
- * Generate git graph
+ * Capabilities announced in the initialize result
  */
-function generateGitGraph(text) {
-  return `gitGraph
-    commit
-    branch develop
-    checkout develop
-    commit
-    commit
-    checkout main
-    merge develop
-    commit`;
+function serverCapabilities(clientCapabilities) {
+  // Check if client requested experimental capabilities
+  const clientExperimental = clientCapabilities?.experimental || {};
+  const supportsOpenAIVisibility = clientExperimental['openai/visibility']?.enabled === true;
+
+  return {
+    tools: {
+      listChanged: true
+    },
+    resources: {
+      listChanged: true
+    },
+    // Include experimental capabilities if client supports them
+    ...(supportsOpenAIVisibility && {
+      experimental: {
+        'openai/visibility': {
+          enabled: true
+        }
+      }
+    })
+  };
 }
 
 /**
- * MCP Tool: parse_file
- * Parses uploaded CSV/JSON/TXT and converts to Mermaid
+ * JSON-RPC error; status is what the plain JSON endpoint answers with
  */
-const parseFileSchema = z.object({
-  file_content: z.string().min(1, 'File content is required'),
-  file_type: z.enum(['csv', 'json', 'txt'])
-});
+function rpcError(code, message, { data, status = 400 } = {}) {
+  return Object.assign(new Error(message), { code, data, status });
+}
 
 /**
- * Parse file content and convert to Mermaid diagram
+ * Run one MCP method and return its result
+ * Shared by every transport: the plain JSON endpoint, Streamable HTTP
+ * sessions and stdio. Protocol errors are thrown as rpcError.
  */
-function parseFileToMermaid(fileContent, fileType) {
-  let parsedData = {};
-  let mermaidCode = '';
+async function executeMCPMethod(method, params) {
+  let result;
+
+  switch (method) {
+    case 'initialize':
+      // Get client's requested protocol version, default to latest supported
+      const clientProtocolVersion = params?.protocolVersion || '2024-11-05';
+      // Support protocol versions: 2024-11-05, 2025-03-26, 2025-11-25
+      // Use the client's version if it's supported, otherwise use the latest we support
+      const supportedVersions = ['2024-11-05', '2025-03-26', '2025-11-25'];
+      const protocolVersion = supportedVersions.includes(clientProtocolVersion) 
+        ? clientProtocolVersion 
+        : '2025-11-25'; // Use latest supported version
+      
+      result = {
+        protocolVersion: protocolVersion,
+        capabilities: serverCapabilities(params?.capabilities),
+        serverInfo: SERVER_INFO
+      };
+      break;
+
+    case 'tools/list':
+      result = {
+        tools: [
+          {
+            name: 'generate_diagram',
+            title: 'Generate Mermaid Diagram',
+            description: 'Convert text or data into Mermaid diagram code',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                text: {
+                  type: 'string',
+                  description: 'Text or data to convert into a Mermaid diagram. Gantt charts use one task per line as "Name: start, duration[, done|active|crit|milestone]" where start is a date, "next Monday", "+2w" or "after <task>", duration is like "5d"/"2w" or "until <date>", and "section Name" starts a section. Flowcharts use one statement per line: "A -> B -> C", labelled edges "A -[yes]-> B", branches "A -> B & C", decisions end with "?", terminals in parentheses "(Start)", and a line ending in ":" opens a group for the indented lines below it. Pie charts take "Label: value" lines (an optional "title ..." line) or a CSV table aggregated by column. Git graphs take commands ("commit Message", "branch feature [from main]", "checkout main", "merge feature [into main]", "cherry-pick <message>", "tag v1.0") or pasted `git log --graph --oneline --all` output. ER diagrams take SQL DDL (CREATE TABLE statements). Class diagrams take JavaScript or TypeScript source. Sequence diagrams take "service -> service: message" lines ("-->" for replies, "~>" for async messages) or OpenTelemetry/Jaeger/Zipkin trace JSON'
+                },
+                diagramType: {
+                  type: 'string',
+                  enum: ['flowchart', 'sequence', 'class', 'er', 'gantt', 'pie', 'git'],
+                  description: 'Type of diagram to generate (optional, defaults to flowchart)'
+                },
+                labelColumn: {
+                  type: 'string',
+                  description: 'Pie charts from a table: column that names each slice (defaults to the first text column)'
+                },
+                valueColumn: {
+                  type: 'string',
+                  description: 'Pie charts from a table: numeric column to aggregate (defaults to the first numeric column)'
+                },
+                aggregate: {
+                  type: 'string',
+                  enum: PIE_AGGREGATES,
+                  description: 'Pie charts from a table: sum the value column, count rows, or show each slice as a percent of the total'
+                },
+                top: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Pie charts: keep the largest N slices and group the rest as "Other"'
+                },
+                theme: {
+                  type: 'string',
+                  enum: themeNames(),
+                  description: themeDescription()
+                },
+                themeVariables: {
+                  type: 'object',
+                  additionalProperties: { type: ['string', 'number', 'boolean'] },
+                  description: THEME_VARIABLES_DESCRIPTION
+                }
+              },
+              required: ['text']
+            },
+            annotations: {
+              readOnlyHint: false,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/toolInvocation/invoking': 'Generating diagram…',
+              'openai/toolInvocation/invoked': 'Diagram ready'
+            }
+          },
+          {
+            name: 'parse_file',
+            title: 'Parse File to Mermaid',
+            description: 'Parse uploaded CSV/JSON/TXT/SQL/JS/TS/trace/YAML/XML/Markdown/DOT files and convert to Mermaid',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                file_content: {
+                  type: 'string',
+                  description: 'Content of the uploaded file'
+                },
+                file_type: {
+                  type: 'string',
+                  enum: FILE_TYPES,
+                  description: 'Type of the file (csv, json, txt, sql, js, ts, trace, log, yaml/yml, xml, md/markdown, or dot/gv). SQL files are read as CREATE TABLE DDL and become ER diagrams; JavaScript/TypeScript source becomes a class diagram; OpenTelemetry/Jaeger/Zipkin trace JSON and "service -> service: message" lines (trace or log) become sequence diagrams; YAML and XML become hierarchy trees like JSON; Markdown headings and nested lists become a mindmap; GraphViz DOT graphs become flowcharts with clusters as subgraphs'
+                },
+                file_name: {
+                  type: 'string',
+                  description: 'Name of the file (optional). Used as its namespace when several source files are merged'
+                },
+                files: {
+                  type: 'array',
+                  description: 'Additional js/ts source files merged into the same class diagram, one namespace per file',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      content: { type: 'string' }
+                    },
+                    required: ['name', 'content']
+                  }
+                },
+                diagram_type: {
+                  type: 'string',
+                  enum: FILE_DIAGRAM_TYPES,
+                  description: 'Diagram to build (optional). CSV task lists are detected as Gantt charts; use "pie" to aggregate a CSV into a pie chart. Mapped CSV edge lists and trees render as flowchart (default), state, class or er. JSON Schema documents are detected as class diagrams and other JSON as a flowchart tree; pass "flowchart", "mindmap" or "class" to override. YAML, XML and Markdown outlines take "flowchart" or "mindmap". OpenAPI specs (JSON or YAML) render endpoints as a flowchart by default, "class" for components.schemas and "sequence" with operation'
+                },
+                label_column: {
+                  type: 'string',
+                  description: 'Pie charts: column that names each slice. CSV trees: column with the node label (default: name, label or title)'
+                },
+                value_column: {
+                  type: 'string',
+                  description: 'Pie charts: numeric column to aggregate'
+                },
+                aggregate: {
+                  type: 'string',
+                  enum: PIE_AGGREGATES,
+                  description: 'Pie charts: sum, count or percent'
+                },
+                top: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Pie charts: keep the largest N slices and group the rest as "Other"'
+                },
+                source_column: {
+                  type: 'string',
+                  description: 'CSV edge lists: column with the edge source (default: from or source)'
+                },
+                target_column: {
+                  type: 'string',
+                  description: 'CSV edge lists: column with the edge target (default: to or target)'
+                },
+                edge_label_column: {
+                  type: 'string',
+                  description: 'CSV edge lists and trees: column with the edge label (edge lists default to label or relation)'
+                },
+                group_column: {
+                  type: 'string',
+                  description: 'CSV graphs: column whose values group nodes into subgraphs'
+                },
+                id_column: {
+                  type: 'string',
+                  description: 'CSV trees: column with the node id (default: id)'
+                },
+                parent_column: {
+                  type: 'string',
+                  description: 'CSV trees: column with the parent id, e.g. manager_id for an org chart (default: parent, parent_id, manager_id or reports_to)'
+                },
+                max_depth: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: `JSON, YAML and XML trees: levels to expand before objects and arrays are summarised (default ${JSON_TREE_DEFAULTS.maxDepth})`
+                },
+                array_items: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: `JSON, YAML and XML trees: array entries to show before the rest are counted as "+N more" (default ${JSON_TREE_DEFAULTS.arrayItems})`
+                },
+                operation: {
+                  type: 'string',
+                  description: 'OpenAPI specs: operationId or "METHOD /path" to draw as a sequence diagram with one reply per response status'
+                },
+                theme: {
+                  type: 'string',
+                  enum: themeNames(),
+                  description: themeDescription()
+                },
+                theme_variables: {
+                  type: 'object',
+                  additionalProperties: { type: ['string', 'number', 'boolean'] },
+                  description: THEME_VARIABLES_DESCRIPTION
+                }
+              },
+              required: ['file_content', 'file_type']
+            },
+            annotations: {
+              readOnlyHint: false,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/toolInvocation/invoking': 'Parsing file…',
+              'openai/toolInvocation/invoked': 'File parsed'
+            }
+          },
+          {
+            name: 'build_diagram',
+            title: 'Build Diagram from Graph Model',
+            description: 'Build a flowchart, state, class or ER diagram deterministically from a structured model of nodes, edges and groups',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                diagramType: {
+                  type: 'string',
+                  enum: GRAPH_DIAGRAM_TYPES,
+                  description: 'Diagram to emit from the model (default flowchart)'
+                },
+                direction: {
+                  type: 'string',
+                  enum: GRAPH_DIRECTIONS,
+                  description: 'Layout direction'
+                },
+                nodes: {
+                  type: 'array',
+                  description: 'Nodes; for class and ER diagrams these are classes/entities',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string', description: 'Unique id (letters, digits, underscore)' },
+                      label: { type: 'string', description: 'Display label (defaults to id)' },
+                      shape: { type: 'string', enum: NODE_SHAPES, description: 'Node shape; start/end/choice/fork/join are state diagram pseudo-states' },
+                      class: { type: 'string', description: 'Styling class, defined in classDefs' },
+                      fields: {
+                        type: 'array',
+                        description: 'Class fields or entity attributes',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            name: { type: 'string' },
+                            type: { type: 'string' },
+                            visibility: { type: 'string', enum: FIELD_VISIBILITY },
+                            key: { type: 'string', enum: ['PK', 'FK', 'UK'] },
+                            comment: { type: 'string' }
+                          },
+                          required: ['name']
+                        }
+                      },
+                      methods: {
+                        type: 'array',
+                        description: 'Class methods',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            name: { type: 'string' },
+                            parameters: { type: 'string' },
+                            returns: { type: 'string' },
+                            visibility: { type: 'string', enum: FIELD_VISIBILITY },
+                            static: { type: 'boolean' }
+                          },
+                          required: ['name']
+                        }
+                      }
+                    },
+                    required: ['id']
+                  }
+                },
+                edges: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      from: { type: 'string', description: 'Source node id' },
+                      to: { type: 'string', description: 'Target node id' },
+                      label: { type: 'string' },
+                      style: { type: 'string', enum: EDGE_STYLES },
+                      arrow: { type: 'boolean', description: 'Draw an arrowhead (default true)' },
+                      relation: { type: 'string', enum: EDGE_RELATIONS, description: 'Class diagram relationship kind' },
+                      cardinality: {
+                        type: 'object',
+                        description: 'Cardinality at each end, e.g. "1", "0..1", "0..*", "1..*"',
+                        properties: {
+                          from: { type: 'string' },
+                          to: { type: 'string' }
+                        }
+                      }
+                    },
+                    required: ['from', 'to']
+                  }
+                },
+                groups: {
+                  type: 'array',
+                  description: 'Subgraphs, composite states or namespaces',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      label: { type: 'string' },
+                      nodes: { type: 'array', items: { type: 'string' } },
+                      parent: { type: 'string', description: 'Id of the enclosing group' }
+                    },
+                    required: ['id', 'nodes']
+                  }
+                },
+                classDefs: {
+                  type: 'object',
+                  description: 'Styling classes, e.g. { "warn": "fill:#fdd,stroke:#c00" }',
+                  additionalProperties: { type: 'string' }
+                }
+              },
+              required: ['nodes']
+            },
+            annotations: {
+              readOnlyHint: false,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/toolInvocation/invoking': 'Building diagram…',
+              'openai/toolInvocation/invoked': 'Diagram ready'
+            }
+          },
+          {
+            name: 'convert_diagram',
+            title: 'Convert Diagram',
+            description: 'Convert flowcharts and sequence diagrams between Mermaid, GraphViz DOT, PlantUML and draw.io (mxGraph XML). Sequence diagrams convert between Mermaid and PlantUML only. Constructs the target cannot express are listed in warnings',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                source: {
+                  type: 'string',
+                  description: 'Diagram source: Mermaid code, a DOT graph, PlantUML (@startuml ... @enduml) or a draw.io file'
+                },
+                from: {
+                  type: 'string',
+                  enum: DIAGRAM_FORMATS,
+                  description: 'Source format (optional, detected from the source)'
+                },
+                to: {
+                  type: 'string',
+                  enum: DIAGRAM_FORMATS,
+                  description: 'Target format'
+                },
+                diagram_type: {
+                  type: 'string',
+                  enum: CONVERTIBLE_TYPES,
+                  description: 'Read PlantUML as a flowchart (deployment elements and links) or a sequence diagram when detection guesses wrong'
+                }
+              },
+              required: ['source', 'to']
+            },
+            annotations: {
+              readOnlyHint: true,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/toolInvocation/invoking': 'Converting diagram…',
+              'openai/toolInvocation/invoked': 'Diagram converted'
+            }
+          },
+          {
+            name: 'validate_diagram',
+            title: 'Validate Mermaid Diagram',
+            description: 'Check Mermaid code for syntax errors and return line/column diagnostics with suggested fixes',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                mermaid_code: {
+                  type: 'string',
+                  description: 'Mermaid diagram source to validate'
+                }
+              },
+              required: ['mermaid_code']
+            },
+            annotations: {
+              readOnlyHint: true,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/toolInvocation/invoking': 'Validating diagram…',
+              'openai/toolInvocation/invoked': 'Diagram validated'
+            }
+          },
+          {
+            name: 'save_diagram',
+            title: 'Save Diagram',
+            description: 'Save Mermaid code to the diagram store with a title, tags and the input it was generated from. Pass the id of a saved diagram to update it. Only available when the server has storage enabled',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  description: 'Id of a saved diagram to update (omit to create a new one)'
+                },
+                mermaid_code: {
+                  type: 'string',
+                  description: 'Mermaid diagram source (required when creating)'
+                },
+                title: {
+                  type: 'string',
+                  description: 'Diagram title (defaults to the front-matter title)'
+                },
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Tags for finding the diagram later'
+                },
+                source_input: {
+                  type: 'string',
+                  description: 'The text or file content the diagram was generated from'
+                }
+              }
+            },
+            annotations: {
+              readOnlyHint: false,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/widgetAccessible': true,
+              'openai/toolInvocation/invoking': 'Saving diagram…',
+              'openai/toolInvocation/invoked': 'Diagram saved'
+            }
+          },
+          {
+            name: 'get_diagram',
+            title: 'Open Saved Diagram',
+            description: 'Load a saved diagram by id and display it, with its list of revisions',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  description: 'Id returned by save_diagram or list_diagrams'
+                },
+                revision: {
+                  type: 'number',
+                  description: 'Open an earlier revision instead of the latest (saving it again restores it)'
+                }
+              },
+              required: ['id']
+            },
+            annotations: {
+              readOnlyHint: true,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/toolInvocation/invoking': 'Opening diagram…',
+              'openai/toolInvocation/invoked': 'Diagram opened'
+            }
+          },
+          {
+            name: 'list_diagrams',
+            title: 'List Saved Diagrams',
+            description: 'List saved diagrams, newest first, optionally filtered by tag, diagram type or a title search',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                tag: {
+                  type: 'string',
+                  description: 'Only diagrams with this tag'
+                },
+                diagram_type: {
+                  type: 'string',
+                  description: 'Only diagrams of this type, e.g. "flowchart" or "sequence"'
+                },
+                query: {
+                  type: 'string',
+                  description: 'Case-insensitive search in titles and tags'
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of diagrams to return (default: 50)'
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Number of diagrams to skip, for paging'
+                }
+              }
+            },
+            annotations: {
+              readOnlyHint: true,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/toolInvocation/invoking': 'Listing diagrams…',
+              'openai/toolInvocation/invoked': 'Diagrams listed'
+            }
+          },
+          {
+            name: 'diff_diagram',
+            title: 'Compare Diagrams',
+            description: 'Compare two versions of a flowchart or sequence diagram semantically: added, removed and renamed nodes or participants, and changed edges, messages and labels. Pass old_code and new_code, or the id of a saved diagram to compare its revisions (by default the latest against the one before). Flowchart diffs are drawn with additions in green and removals in red',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                old_code: {
+                  type: 'string',
+                  description: 'Earlier Mermaid source'
+                },
+                new_code: {
+                  type: 'string',
+                  description: 'Later Mermaid source'
+                },
+                id: {
+                  type: 'string',
+                  description: 'Saved diagram whose revisions fill in old_code and/or new_code'
+                },
+                from_revision: {
+                  type: 'number',
+                  description: 'Revision to use as the old side (default: the one before to_revision)'
+                },
+                to_revision: {
+                  type: 'number',
+                  description: 'Revision to use as the new side (default: the latest)'
+                }
+              }
+            },
+            annotations: {
+              readOnlyHint: true,
+              destructiveHint: false,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/outputTemplate': 'template://mermaid-viewer',
+              'openai/widgetPrefersBorder': true,
+              'openai/widgetAccessible': true,
+              'openai/toolInvocation/invoking': 'Comparing diagrams…',
+              'openai/toolInvocation/invoked': 'Diagrams compared'
+            }
+          },
+          {
+            name: 'delete_diagram',
+            title: 'Delete Saved Diagram',
+            description: 'Permanently delete a saved diagram by id',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  description: 'Id of the diagram to delete'
+                }
+              },
+              required: ['id']
+            },
+            annotations: {
+              readOnlyHint: false,
+              destructiveHint: true,
+              openWorldHint: false
+            },
+            _meta: {
+              securitySchemes: [
+                { type: 'noauth' }
+              ],
+              'openai/toolInvocation/invoking': 'Deleting diagram…',
+              'openai/toolInvocation/invoked': 'Diagram deleted'
+            }
+          }
+        ]
+      };
+      break;
 
-  try {
-    switch (fileType.toLowerCase()) {
-      case 'csv':
-        const csvResult = Papa.parse(fileContent, {
-          header: true,
-          skipEmptyLines: true
-        });
-        parsedData = csvResult.data;
+    case 'tools/call':
+      // #region agent log
+      fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:605',message:'tools/call received',data:{hasParams:!!params,paramsKeys:params?Object.keys(params):null,name:params?.name,hasArguments:!!params?.arguments},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
+      // #endregion
+      
+      const { name, arguments: toolArgs } = params || {};
+      
+      // #region agent log
+      fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:612',message:'Tool call processing',data:{toolName:name,hasToolArgs:!!toolArgs,toolArgsKeys:toolArgs?Object.keys(toolArgs):null},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
+      // #endregion
+      
+      if (!name) {
+        throw rpcError(-32602, 'Invalid params: tool name is required');
+      }
+
+      const toolCallStartTime = Date.now();
+      const toolCallId = `tool_${name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      try {
+        console.log(`[Tool Call ${toolCallId}] ${name} - Started`, { arguments: toolArgs });
         
-        // Convert CSV to flowchart
-        if (csvResult.data.length > 0) {
-          const headers = Object.keys(csvResult.data[0]);
-          mermaidCode = 'flowchart TD\n';
-          csvResult.data.forEach((row, index) => {
-            const nodeId = `Node${index}`;
-            const label = Object.values(row).join(', ');
-            mermaidCode += `    ${nodeId}["${label}"]\n`;
-            if (index < csvResult.data.length - 1) {
-              mermaidCode += `    ${nodeId} --> Node${index + 1}\n`;
+        if (name === 'generate_diagram') {
+          const validated = generateDiagramSchema.parse(toolArgs);
+          const { text, diagramType = 'flowchart', labelColumn, valueColumn, aggregate, top, theme, themeVariables } = validated;
+          const generated = generateMermaidCode(text, diagramType, { labelColumn, valueColumn, aggregate, top });
+          const themed = themeDiagram(generated.mermaid_code, theme, themeVariables);
+          const mermaidCode = themed.mermaid_code;
+          assertValidMermaid(mermaidCode);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: `Generated ${diagramType} diagram from your input.`
+            }],
+            structuredContent: {
+              mermaid_code: mermaidCode,
+              diagram_type: diagramType,
+              input_text: text,
+              theme: themed.theme
+            },
+            _meta: {
+              // Component-only metadata (not visible to model)
+              // outputTemplate is already in tool descriptor, no need to repeat here
             }
-          });
+          };
+          
+          // #region agent log
+          fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:771',message:'Tool result structure - generate_diagram',data:{toolName:name,hasContent:!!result.content,contentLength:result.content?.length,hasStructuredContent:!!result.structuredContent,hasMermaidCode:!!result.structuredContent?.mermaid_code,mermaidCodeLength:result.structuredContent?.mermaid_code?.length,mermaidCodePreview:result.structuredContent?.mermaid_code?.substring(0,100),resultKeys:Object.keys(result),structuredContentKeys:result.structuredContent?Object.keys(result.structuredContent):null,diagramType},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
+          // #endregion
+        } else if (name === 'parse_file') {
+          const validated = parseFileSchema.parse(toolArgs);
+          const parseResult = parseFileToMermaid(validated.file_content, validated.file_type, validated);
+          const themed = themeDiagram(parseResult.mermaid_code, validated.theme, validated.theme_variables);
+          assertValidMermaid(themed.mermaid_code);
+          
+          // Create user-friendly message based on file type
+          const fileTypeName = validated.file_type.toUpperCase();
+          const userMessage = `Parsed ${fileTypeName} file and generated Mermaid diagram`;
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [
+              {
+                type: 'text',
+                text: userMessage
+              }
+            ],
+            structuredContent: {
+              mermaid_code: themed.mermaid_code,
+              parsed_data: parseResult.parsed_data,
+              file_type: validated.file_type,
+              theme: themed.theme
+            },
+            _meta: {
+              // Component-only metadata (not visible to model)
+              // outputTemplate is already in tool descriptor, no need to repeat here
+            }
+          };
+          
+          // #region agent log
+          fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:810',message:'Parse file tool result structure',data:{hasStructuredContent:!!result.structuredContent,hasMermaidCode:!!result.structuredContent?.mermaid_code,mermaidCodeLength:result.structuredContent?.mermaid_code?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
+          // #endregion
+        } else if (name === 'build_diagram') {
+          const validated = buildDiagramSchema.parse(toolArgs);
+          const buildResult = buildDiagram(validated);
+          assertValidMermaid(buildResult.mermaid_code);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: `Built ${buildResult.diagram_type} diagram with ${validated.nodes.length} node(s) and ${validated.edges.length} edge(s).`
+                + (buildResult.warnings.length ? ` Warnings: ${buildResult.warnings.join('; ')}` : '')
+            }],
+            structuredContent: {
+              mermaid_code: buildResult.mermaid_code,
+              diagram_type: buildResult.diagram_type,
+              warnings: buildResult.warnings
+            },
+            _meta: {
+              // Component-only metadata (not visible to model)
+              // outputTemplate is already in tool descriptor, no need to repeat here
+            }
+          };
+        } else if (name === 'convert_diagram') {
+          const validated = convertDiagramSchema.parse(toolArgs);
+          const conversion = convertDiagramWithPreview(validated);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: `Converted ${conversion.diagram_type} from ${FORMAT_NAMES[conversion.from]} to ${FORMAT_NAMES[conversion.to]}.`
+                + (conversion.warnings.length ? ` Not converted: ${conversion.warnings.join('; ')}` : '')
+            }],
+            structuredContent: conversion
+          };
+        } else if (name === 'validate_diagram') {
+          const validated = validateDiagramSchema.parse(toolArgs);
+          const validation = validateMermaid(validated.mermaid_code);
+          const errorCount = validation.diagnostics.filter(d => d.severity === 'error').length;
+          const warningCount = validation.diagnostics.length - errorCount;
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: validation.valid
+                ? `Diagram is valid${warningCount ? ` with ${warningCount} warning(s)` : ''}.`
+                : `Diagram has ${errorCount} error(s): ${validation.diagnostics.filter(d => d.severity === 'error').map(d => `line ${d.line}, column ${d.column}: ${d.message}`).join('; ')}`
+            }],
+            structuredContent: validation
+          };
+        } else if (name === 'save_diagram') {
+          const validated = saveDiagramSchema.parse(toolArgs);
+          const diagram = saveDiagram(validated);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: `${validated.id ? 'Updated' : 'Saved'} diagram "${diagram.title}" with id ${diagram.id}.`
+            }],
+            structuredContent: diagram
+          };
+        } else if (name === 'get_diagram') {
+          const validated = getDiagramSchema.parse(toolArgs);
+          const diagram = getDiagramWithHistory(validated);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: `Opened ${diagram.diagram_type} diagram "${diagram.title}" at revision ${diagram.revision} of ${diagram.revisions.length} (last updated ${diagram.updated_at}).`
+            }],
+            structuredContent: diagram
+          };
+        } else if (name === 'list_diagrams') {
+          const validated = listDiagramsSchema.parse(toolArgs);
+          const listing = requireDiagramStore().list(validated);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: listing.total === 0
+                ? 'No saved diagrams found.'
+                : `Found ${listing.total} saved diagram(s): ${listing.diagrams.map(d => `"${d.title}" (${d.id}, ${d.diagram_type})`).join(', ')}`
+            }],
+            structuredContent: listing
+          };
+        } else if (name === 'diff_diagram') {
+          const validated = diffDiagramSchema.parse(toolArgs);
+          const diff = diffDiagram(validated);
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: diff.identical
+                ? 'The diagrams are semantically identical.'
+                : `${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed: ${describeDiff(diff).join('; ')}`
+            }],
+            structuredContent: diff
+          };
+        } else if (name === 'delete_diagram') {
+          const validated = diagramIdSchema.parse(toolArgs);
+          if (!requireDiagramStore().remove(validated.id)) {
+            throw new Error(`Diagram "${validated.id}" not found`);
+          }
+          
+          const toolLatency = Date.now() - toolCallStartTime;
+          console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
+          
+          result = {
+            content: [{
+              type: 'text',
+              text: `Deleted diagram ${validated.id}.`
+            }],
+            structuredContent: { id: validated.id, deleted: true }
+          };
+        } else {
+          throw new Error(`Unknown tool: ${name}`);
         }
-        break;
 
-      case 'json':
-        parsedData = JSON.parse(fileContent);
+        // Share links need the HTTP server, which stdio mode does not start
+        if (result.structuredContent?.mermaid_code && !STDIO_MODE) {
+          result.structuredContent = withShareLinks(result.structuredContent);
+        }
+      } catch (error) {
+        const toolLatency = Date.now() - toolCallStartTime;
+        console.error(`[Tool Call ${toolCallId}] ${name} - Failed after ${toolLatency}ms:`, error);
         
-        // Convert JSON to flowchart or class diagram
-        if (Array.isArray(parsedData)) {
-          mermaidCode = 'flowchart TD\n';
-          parsedData.forEach((item, index) => {
-            const nodeId = `Node${index}`;
-            const label = typeof item === 'object' ? JSON.stringify(item).substring(0, 50) : String(item);
-            mermaidCode += `    ${nodeId}["${label}"]\n`;
-            if (index < parsedData.length - 1) {
-              mermaidCode += `    ${nodeId} --> Node${index + 1}\n`;
-            }
-          });
-        } else if (typeof parsedData === 'object') {
-          mermaidCode = 'classDiagram\n';
-          Object.keys(parsedData).forEach(key => {
-            const className = key.replace(/\s+/g, '');
-            mermaidCode += `    class ${className} {\n`;
-            mermaidCode += `        +${key}\n`;
-            mermaidCode += `    }\n`;
-          });
+        if (error instanceof z.ZodError) {
+          throw rpcError(-32602, 'Invalid params', { data: error.errors });
         }
-        break;
+        throw error;
+      }
+      break;
+
+    case 'resources/list':
+      result = {
+        resources: [
+          {
+            uri: 'template://mermaid-viewer',
+            name: 'Mermaid Diagram Viewer',
+            description: 'Interactive UI component for viewing and editing Mermaid diagrams',
+            mimeType: 'text/html+skybridge'
+          }
+        ]
+      };
+      break;
 
-      case 'txt':
-        const lines = fileContent.split('\n').filter(line => line.trim());
-        parsedData = { lines: lines };
-        mermaidCode = generateFlowchart(fileContent);
-        break;
+    case 'resources/read':
+      const { uri } = params || {};
+      
+      // #region agent log
+      fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:849',message:'Resource read request',data:{uri,requestedUri:uri,expectedUri:'template://mermaid-viewer',matches:uri==='template://mermaid-viewer'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
+      // #endregion
+      
+      if (uri === 'template://mermaid-viewer') {
+        try {
+          const templateContent = readWidgetTemplate();
+          const widgetDomain = BASE_URL;
+          result = {
+            contents: [
+              {
+                uri: 'template://mermaid-viewer',
+                mimeType: 'text/html+skybridge',
+                text: templateContent,
+                metadata: {
+                  'openai/widgetDescription': 'Interactive Mermaid diagram viewer with editing, download, and regeneration capabilities',
+                  'openai/widgetPrefersBorder': true,
+                  'openai/widgetDomain': widgetDomain,
+                  'openai/widgetCSP': {
+                    connect_domains: [MERMAID_ORIGIN],
+                    resource_domains: [MERMAID_ORIGIN, 'https://*.oaistatic.com'],
+                    redirect_domains: [],
+                    frame_domains: []
+                  }
+                }
+              }
+            ]
+          };
+          
+          // #region agent log
+          fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:876',message:'Resource read success',data:{uri,hasContents:!!result.contents,contentsLength:result.contents?.length,mimeType:result.contents?.[0]?.mimeType,hasMetadata:!!result.contents?.[0]?.metadata,templateLength:templateContent.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
+          // #endregion
+        } catch (error) {
+          throw rpcError(-32603, `Failed to read resource: ${error.message}`, { status: 500 });
+        }
+      } else {
+        throw rpcError(-32601, `Resource not found: ${uri}`, { status: 404 });
+      }
+      break;
 
-      default:
-        throw new Error(`Unsupported file type: ${fileType}`);
-    }
-  } catch (error) {
-    throw new Error(`Failed to parse ${fileType} file: ${error.message}`);
+    default:
+      throw rpcError(-32601, `Method not found: ${method}`);
   }
 
-  return { mermaid_code: mermaidCode, parsed_data: parsedData };
+  return result;
 }
 
 /**
  * MCP JSON-RPC Handler Function
- * Handles MCP protocol requests (tools/list, tools/call, resources/list, resources/read)
+ * Answers single JSON-RPC messages with plain JSON, without sessions
  * This function can be called by both the /mcp endpoint and REST wrapper endpoints
  */
 async function handleMCPRequest(req, res) {
@@ -508,451 +1935,7 @@ async function handleMCPRequest(req, res) {
       });
     }
 
-    let result;
-
-    switch (method) {
-      case 'initialize':
-        // Get client's requested protocol version, default to latest supported
-        const clientProtocolVersion = params?.protocolVersion || '2024-11-05';
-        // Support protocol versions: 2024-11-05, 2025-03-26, 2025-11-25
-        // Use the client's version if it's supported, otherwise use the latest we support
-        const supportedVersions = ['2024-11-05', '2025-03-26', '2025-11-25'];
-        const protocolVersion = supportedVersions.includes(clientProtocolVersion) 
-          ? clientProtocolVersion 
-          : '2025-11-25'; // Use latest supported version
-        
-        // Check if client requested experimental capabilities
-        const clientExperimental = params?.capabilities?.experimental || {};
-        const supportsOpenAIVisibility = clientExperimental['openai/visibility']?.enabled === true;
-        
-        result = {
-          protocolVersion: protocolVersion,
-          capabilities: {
-            tools: {
-              listChanged: true
-            },
-            resources: {
-              listChanged: true
-            },
-            // Include experimental capabilities if client supports them
-            ...(supportsOpenAIVisibility && {
-              experimental: {
-                'openai/visibility': {
-                  enabled: true
-                }
-              }
-            })
-          },
-          serverInfo: {
-            name: SERVER_NAME,
-            version: SERVER_VERSION
-          }
-        };
-        break;
-
-      case 'tools/list':
-        result = {
-          tools: [
-            {
-              name: 'generate_diagram',
-              title: 'Generate Mermaid Diagram',
-              description: 'Convert text or data into Mermaid diagram code',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  text: {
-                    type: 'string',
-                    description: 'Text or data to convert into a Mermaid diagram'
-                  },
-                  diagramType: {
-                    type: 'string',
-                    enum: ['flowchart', 'sequence', 'class', 'er', 'gantt', 'pie', 'git'],
-                    description: 'Type of diagram to generate (optional, auto-detected if not provided)'
-                  }
-                },
-                required: ['text']
-              },
-              annotations: {
-                readOnlyHint: false,
-                destructiveHint: false,
-                openWorldHint: false
-              },
-              _meta: {
-                securitySchemes: [
-                  { type: 'noauth' }
-                ],
-                'openai/outputTemplate': 'template://mermaid-viewer',
-                'openai/widgetPrefersBorder': true,
-                'openai/toolInvocation/invoking': 'Generating diagram…',
-                'openai/toolInvocation/invoked': 'Diagram ready'
-              }
-            },
-            {
-              name: 'parse_file',
-              title: 'Parse File to Mermaid',
-              description: 'Parse uploaded CSV/JSON/TXT and convert to Mermaid',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  file_content: {
-                    type: 'string',
-                    description: 'Content of the uploaded file'
-                  },
-                  file_type: {
-                    type: 'string',
-                    enum: ['csv', 'json', 'txt'],
-                    description: 'Type of the file (csv, json, or txt)'
-                  }
-                },
-                required: ['file_content', 'file_type']
-              },
-              annotations: {
-                readOnlyHint: false,
-                destructiveHint: false,
-                openWorldHint: false
-              },
-              _meta: {
-                securitySchemes: [
-                  { type: 'noauth' }
-                ],
-                'openai/outputTemplate': 'template://mermaid-viewer',
-                'openai/widgetPrefersBorder': true,
-                'openai/toolInvocation/invoking': 'Parsing file…',
-                'openai/toolInvocation/invoked': 'File parsed'
-              }
-            }
-          ]
-        };
-        break;
-
-      case 'tools/call':
-        // #region agent log
-        fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:605',message:'tools/call received',data:{hasParams:!!params,paramsKeys:params?Object.keys(params):null,name:params?.name,hasArguments:!!params?.arguments},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
-        
-        const { name, arguments: toolArgs } = params || {};
-        
-        // #region agent log
-        fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:612',message:'Tool call processing',data:{toolName:name,hasToolArgs:!!toolArgs,toolArgsKeys:toolArgs?Object.keys(toolArgs):null},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
-        
-        if (!name) {
-          return res.status(400).json({
-            jsonrpc: '2.0',
-            error: {
-              code: -32602,
-              message: 'Invalid params: tool name is required'
-            },
-            id
-          });
-        }
-
-        try {
-          const toolCallStartTime = Date.now();
-          const toolCallId = `tool_${name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          
-          console.log(`[Tool Call ${toolCallId}] ${name} - Started`, { arguments: toolArgs });
-          
-          if (name === 'generate_diagram') {
-            const validated = generateDiagramSchema.parse(toolArgs);
-            const { text, diagramType = 'flowchart' } = validated;
-            let mermaidCode = '';
-            
-            if (diagramType === 'flowchart') {
-              // Detect pattern and generate appropriate flowchart
-              const lowerText = text.toLowerCase();
-              
-              if (lowerText.includes('login') || lowerText.includes('sign in')) {
-                mermaidCode = `flowchart TD
-    A[User Opens App] --> B[Enter Credentials]
-    B --> C{Valid Credentials?}
-    C -->|Yes| D[Generate Session]
-    C -->|No| E[Show Error Message]
-    D --> F[Redirect to Dashboard]
-    E --> B`;
-              } else if (lowerText.includes('register') || lowerText.includes('signup')) {
-                mermaidCode = `flowchart TD
-    A[User Clicks Register] --> B[Fill Registration Form]
-    B --> C[Submit Information]
-    C --> D{Validation Check}
-    D -->|Valid| E[Create Account]
-    D -->|Invalid| F[Show Errors]
-    E --> G[Send Verification Email]
-    F --> B
-    G --> H[User Verifies Email]
-    H --> I[Account Activated]`;
-              } else if (lowerText.includes('payment') || lowerText.includes('checkout')) {
-                mermaidCode = `flowchart TD
-    A[Add Items to Cart] --> B[Proceed to Checkout]
-    B --> C[Enter Payment Details]
-    C --> D[Process Payment]
-    D --> E{Payment Success?}
-    E -->|Yes| F[Order Confirmed]
-    E -->|No| G[Payment Failed]
-    F --> H[Send Receipt]
-    G --> C`;
-              } else {
-                // Generic workflow
-                const title = text.substring(0, 40);
-                mermaidCode = `flowchart TD
-    A[Start: ${title}] --> B[Receive Input]
-    B --> C{Validate Input}
-    C -->|Valid| D[Process Request]
-    C -->|Invalid| E[Return Error]
-    D --> F[Execute Action]
-    F --> G[Return Success]
-    E --> H[End]
-    G --> H`;
-              }
-            } else if (diagramType === 'sequence') {
-              const lowerText = text.toLowerCase();
-              
-              if (lowerText.includes('api') || lowerText.includes('request')) {
-                mermaidCode = `sequenceDiagram
-    participant Client
-    participant API
-    participant Database
-    Client->>API: ${text}
-    API->>Database: Query Data
-    Database-->>API: Results
-    API-->>Client: JSON Response`;
-              } else if (lowerText.includes('order') || lowerText.includes('pizza')) {
-                mermaidCode = `sequenceDiagram
-    participant Customer
-    participant Website
-    participant Kitchen
-    participant Delivery
-    Customer->>Website: Place Order
-    Website->>Kitchen: Send Order Details
-    Kitchen->>Kitchen: Prepare Food
-    Kitchen->>Delivery: Ready for Pickup
-    Delivery->>Customer: Deliver Order
-    Customer->>Website: Confirm Receipt`;
-              } else {
-                mermaidCode = `sequenceDiagram
-    participant User
-    participant System
-    participant Service
-    User->>System: ${text}
-    System->>Service: Process Request
-    Service-->>System: Return Data
-    System-->>User: Display Result`;
-              }
-            } else if (diagramType === 'class') {
-              const className = text.replace(/\s+/g, '');
-              mermaidCode = `classDiagram
-    class ${className} {
-        -id: String
-        -name: String
-        -createdAt: Date
-        +create()
-        +update()
-        +delete()
-        +find()
-    }
-    class Database {
-        +save()
-        +query()
-    }
-    ${className} --> Database`;
-            } else if (diagramType === 'er') {
-              mermaidCode = `erDiagram
-    USER ||--o{ ORDER : places
-    USER {
-        int id
-        string name
-        string email
-    }
-    ORDER ||--|{ ORDER_ITEM : contains
-    ORDER {
-        int id
-        int user_id
-        date created_at
-    }
-    ORDER_ITEM {
-        int id
-        int order_id
-        int product_id
-        int quantity
-    }
-    PRODUCT ||--o{ ORDER_ITEM : "ordered in"
-    PRODUCT {
-        int id
-        string name
-        decimal price
-    }`;
-            } else if (diagramType === 'gantt') {
-              mermaidCode = `gantt
-    title ${text}
-    dateFormat YYYY-MM-DD
-    section Planning
-    Requirements Gathering: 2024-01-01, 7d
-    Design Phase: 2024-01-08, 10d
-    section Development
-    Backend Development: 2024-01-18, 14d
-    Frontend Development: 2024-01-25, 14d
-    section Testing
-    QA Testing: 2024-02-08, 7d
-    User Acceptance: 2024-02-15, 5d`;
-            }
-            
-            const toolLatency = Date.now() - toolCallStartTime;
-            console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
-            
-            result = {
-              content: [{
-                type: 'text',
-                text: `Generated ${diagramType} diagram from your input.`
-              }],
-              structuredContent: {
-                mermaid_code: mermaidCode,
-                diagram_type: diagramType,
-                input_text: text
-              },
-              _meta: {
-                // Component-only metadata (not visible to model)
-                // outputTemplate is already in tool descriptor, no need to repeat here
-              }
-            };
-            
-            // #region agent log
-            fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:771',message:'Tool result structure - generate_diagram',data:{toolName:name,hasContent:!!result.content,contentLength:result.content?.length,hasStructuredContent:!!result.structuredContent,hasMermaidCode:!!result.structuredContent?.mermaid_code,mermaidCodeLength:result.structuredContent?.mermaid_code?.length,mermaidCodePreview:result.structuredContent?.mermaid_code?.substring(0,100),resultKeys:Object.keys(result),structuredContentKeys:result.structuredContent?Object.keys(result.structuredContent):null,diagramType},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-            // #endregion
-          } else if (name === 'parse_file') {
-            const validated = parseFileSchema.parse(toolArgs);
-            const parseResult = parseFileToMermaid(validated.file_content, validated.file_type);
-            
-            // Create user-friendly message based on file type
-            const fileTypeName = validated.file_type.toUpperCase();
-            const userMessage = `Parsed ${fileTypeName} file and generated Mermaid diagram`;
-            
-            const toolLatency = Date.now() - toolCallStartTime;
-            console.log(`[Tool Call ${toolCallId}] ${name} - Completed in ${toolLatency}ms`);
-            
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: userMessage
-                }
-              ],
-              structuredContent: {
-                mermaid_code: parseResult.mermaid_code,
-                parsed_data: parseResult.parsed_data,
-                file_type: validated.file_type
-              },
-              _meta: {
-                // Component-only metadata (not visible to model)
-                // outputTemplate is already in tool descriptor, no need to repeat here
-              }
-            };
-            
-            // #region agent log
-            fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:810',message:'Parse file tool result structure',data:{hasStructuredContent:!!result.structuredContent,hasMermaidCode:!!result.structuredContent?.mermaid_code,mermaidCodeLength:result.structuredContent?.mermaid_code?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-            // #endregion
-          } else {
-            throw new Error(`Unknown tool: ${name}`);
-          }
-        } catch (error) {
-          const toolLatency = Date.now() - toolCallStartTime;
-          console.error(`[Tool Call ${toolCallId}] ${name} - Failed after ${toolLatency}ms:`, error);
-          
-          if (error instanceof z.ZodError) {
-            return res.status(400).json({
-              jsonrpc: '2.0',
-              error: {
-                code: -32602,
-                message: 'Invalid params',
-                data: error.errors
-              },
-              id
-            });
-          }
-          throw error;
-        }
-        break;
-
-      case 'resources/list':
-        result = {
-          resources: [
-            {
-              uri: 'template://mermaid-viewer',
-              name: 'Mermaid Diagram Viewer',
-              description: 'Interactive UI component for viewing and editing Mermaid diagrams',
-              mimeType: 'text/html+skybridge'
-            }
-          ]
-        };
-        break;
-
-      case 'resources/read':
-        const { uri } = params || {};
-        
-        // #region agent log
-        fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:849',message:'Resource read request',data:{uri,requestedUri:uri,expectedUri:'template://mermaid-viewer',matches:uri==='template://mermaid-viewer'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-        // #endregion
-        
-        if (uri === 'template://mermaid-viewer') {
-          try {
-            const templatePath = join(__dirname, 'templates', 'mermaid-viewer.html');
-            const templateContent = readFileSync(templatePath, 'utf8');
-            const widgetDomain = process.env.BASE_URL || process.env.WIDGET_DOMAIN || `http://localhost:${PORT}`;
-            result = {
-              contents: [
-                {
-                  uri: 'template://mermaid-viewer',
-                  mimeType: 'text/html+skybridge',
-                  text: templateContent,
-                  metadata: {
-                    'openai/widgetDescription': 'Interactive Mermaid diagram viewer with editing, download, and regeneration capabilities',
-                    'openai/widgetPrefersBorder': true,
-                    'openai/widgetDomain': widgetDomain,
-                    'openai/widgetCSP': {
-                      connect_domains: ['https://cdn.jsdelivr.net'],
-                      resource_domains: ['https://cdn.jsdelivr.net', 'https://*.oaistatic.com'],
-                      redirect_domains: [],
-                      frame_domains: []
-                    }
-                  }
-                }
-              ]
-            };
-            
-            // #region agent log
-            fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:876',message:'Resource read success',data:{uri,hasContents:!!result.contents,contentsLength:result.contents?.length,mimeType:result.contents?.[0]?.mimeType,hasMetadata:!!result.contents?.[0]?.metadata,templateLength:templateContent.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-            // #endregion
-          } catch (error) {
-            return res.status(500).json({
-              jsonrpc: '2.0',
-              error: {
-                code: -32603,
-                message: `Failed to read resource: ${error.message}`
-              },
-              id
-            });
-          }
-        } else {
-          return res.status(404).json({
-            jsonrpc: '2.0',
-            error: {
-              code: -32601,
-              message: `Resource not found: ${uri}`
-            },
-            id
-          });
-        }
-        break;
-
-      default:
-        return res.status(400).json({
-          jsonrpc: '2.0',
-          error: {
-            code: -32601,
-            message: `Method not found: ${method}`
-          },
-          id
-        });
-    }
+    const result = await executeMCPMethod(method, params);
 
     const latency = Date.now() - requestStartTime;
     
@@ -962,11 +1945,7 @@ async function handleMCPRequest(req, res) {
     
     console.log(`[MCP Request ${requestId}] ${method} - Completed in ${latency}ms`);
     
-    // Check if client supports streaming (via Accept header)
-    const acceptHeader = req.headers.accept || '';
-    const supportsStreaming = acceptHeader.includes('text/event-stream') || req.query.stream === 'true';
-    
-    // For now, use regular JSON responses (streaming can be added later if needed)
+    // Clients that accept event streams are served by the Streamable HTTP sessions instead
     res.json({
       jsonrpc: '2.0',
       result,
@@ -974,6 +1953,18 @@ async function handleMCPRequest(req, res) {
     });
 
   } catch (error) {
+    if (Number.isInteger(error.code)) {
+      return res.status(error.status).json({
+        jsonrpc: '2.0',
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.data !== undefined && { data: error.data })
+        },
+        id: req.body?.id ?? null
+      });
+    }
+
     const latency = Date.now() - requestStartTime;
     const errorPayload = {
       message: error.message,
@@ -1026,19 +2017,40 @@ app.get('/.well-known/openid-configuration', (req, res) => {
 
 /**
  * MCP JSON-RPC Endpoint
- * Main endpoint for MCP protocol requests
+ * Main endpoint for MCP protocol requests. Clients that accept event
+ * streams get Streamable HTTP sessions; plain JSON POSTs are answered
+ * statelessly by handleMCPRequest.
  */
+const mcpSessions = createMcpSessions({
+  createServer: (initializeParams) => createMcpServer({
+    serverInfo: SERVER_INFO,
+    capabilities: {
+      ...serverCapabilities(initializeParams?.capabilities),
+      resources: { listChanged: true, subscribe: true }
+    },
+    handleRequest: executeMCPMethod
+  })
+});
+
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
 
-// GET /mcp - Server info endpoint
-app.get('/mcp', (req, res) => {
+// GET /mcp - Session event stream, or server info for browsers and health checks
+app.get('/mcp', async (req, res, next) => {
+  if (acceptsEventStream(req)) {
+    return mcpSessions.handleRequest(req, res).catch(next);
+  }
+  // Listed from tools/list so new tools show up here too
+  const { tools } = await executeMCPMethod('tools/list');
   res.json({
     name: "Mermaid Visualizer MCP Server",
     version: "1.0.0",
     status: "healthy",
     protocol: "MCP (Model Context Protocol)",
     description: "Convert text and data into Mermaid diagrams",
-    capabilities: ["generate_diagram", "parse_file"],
-    supported_types: ["flowchart", "sequence", "class", "er", "gantt"],
+    capabilities: tools.map(tool => tool.name),
+    supported_types: ["flowchart", "sequence", "class", "er", "gantt", "pie", "git"],
     usage: "POST to this endpoint with MCP protocol messages"
   });
 });
@@ -1047,8 +2059,9 @@ app.get('/mcp', (req, res) => {
 app.options('/mcp', (req, res) => {
   fetch('http://127.0.0.1:7242/ingest/56a9e989-8fa0-4cf3-a7bb-742b0d43a189',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'server.js:612',message:'OPTIONS preflight request',data:{origin:req.headers.origin,method:req.method,accessControlRequestMethod:req.headers['access-control-request-method'],accessControlRequestHeaders:req.headers['access-control-request-headers']},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
   res.sendStatus(200);
 });
 // #endregion
@@ -1064,37 +2077,122 @@ app.use('/mcp', (req, res, next) => {
   next();
 });
 
-app.post('/mcp', handleMCPRequest);
+app.post('/mcp', (req, res, next) => {
+  if (req.headers['mcp-session-id'] || (acceptsEventStream(req) && req.body?.method === 'initialize')) {
+    return mcpSessions.handleRequest(req, res).catch(next);
+  }
+  handleMCPRequest(req, res);
+});
+
+// DELETE /mcp - End a session
+app.delete('/mcp', (req, res, next) => {
+  mcpSessions.handleRequest(req, res).catch(next);
+});
+
+/**
+ * Change notifications for session clients
+ * Tool schemas list the brand palettes, so editing BRAND_PALETTES_FILE
+ * reloads them and sends tools/list_changed. Editing the widget template
+ * sends resources/updated to sessions subscribed to it.
+ */
+if (process.env.BRAND_PALETTES_FILE) {
+  watchFile(process.env.BRAND_PALETTES_FILE, { persistent: false }, () => {
+    try {
+      const palettes = loadBrandPalettes(process.env.BRAND_PALETTES_FILE);
+      if (DEFAULT_THEME && !MERMAID_THEMES.includes(DEFAULT_THEME) && !palettes[DEFAULT_THEME]) {
+        throw new Error(`DEFAULT_THEME "${DEFAULT_THEME}" is no longer defined`);
+      }
+      brandPalettes = palettes;
+      console.log(`Brand palettes reloaded: ${Object.keys(brandPalettes).join(', ') || 'none'}`);
+      mcpSessions.notifyToolListChanged();
+    } catch (error) {
+      console.error('Keeping the previous brand palettes:', error.message);
+    }
+  });
+}
+
+watchFile(join(__dirname, 'templates', 'mermaid-viewer.html'), { persistent: false }, () => {
+  mcpSessions.notifyResourceUpdated('template://mermaid-viewer');
+});
 
 /**
  * File Upload Endpoint
  * Handles file uploads and returns parsed data
  */
-app.post('/upload', upload.single('file'), async (req, res) => {
+app.post('/upload', upload.array('file', 20), async (req, res) => {
   try {
-    if (!req.file) {
+    const [file, ...extraFiles] = req.files || [];
+    if (!file) {
       return res.status(400).json({
         error: 'No file uploaded'
       });
     }
 
-    const fileContent = req.file.buffer.toString('utf8');
-    const fileType = req.file.originalname.split('.').pop()?.toLowerCase() || 'txt';
+    const fileContent = file.buffer.toString('utf8');
+    const typeOf = (upload) => upload.originalname.split('.').pop()?.toLowerCase() || 'txt';
+    const fileType = typeOf(file);
+
+    if (!FILE_TYPES.includes(fileType)) {
+      return res.status(400).json({
+        error: `Invalid file type. Only ${FILE_TYPES.join(', ')} files are supported.`
+      });
+    }
+    if (extraFiles.length > 0 && ![file, ...extraFiles].every(upload => SOURCE_FILE_TYPES.includes(typeOf(upload)))) {
+      return res.status(400).json({
+        error: `Only ${SOURCE_FILE_TYPES.join(', ')} files can be uploaded together.`
+      });
+    }
 
-    if (!['csv', 'json', 'txt'].includes(fileType)) {
+    // Form fields are strings: theme variables arrive as JSON
+    let themeVariables;
+    try {
+      themeVariables = req.body.theme_variables ? JSON.parse(req.body.theme_variables) : undefined;
+    } catch (error) {
       return res.status(400).json({
-        error: 'Invalid file type. Only CSV, JSON, and TXT files are supported.'
+        error: `Invalid options: theme_variables: ${error.message}`
       });
     }
 
-    const result = parseFileToMermaid(fileContent, fileType);
+    // Optional form fields mirror the parse_file arguments
+    const options = parseFileSchema.omit({ file_content: true, file_type: true }).parse({
+      file_name: file.originalname,
+      files: extraFiles.map(upload => ({ name: upload.originalname, content: upload.buffer.toString('utf8') })),
+      diagram_type: req.body.diagram_type || undefined,
+      label_column: req.body.label_column || undefined,
+      value_column: req.body.value_column || undefined,
+      aggregate: req.body.aggregate || undefined,
+      top: req.body.top ? Number(req.body.top) : undefined,
+      source_column: req.body.source_column || undefined,
+      target_column: req.body.target_column || undefined,
+      edge_label_column: req.body.edge_label_column || undefined,
+      group_column: req.body.group_column || undefined,
+      id_column: req.body.id_column || undefined,
+      parent_column: req.body.parent_column || undefined,
+      max_depth: req.body.max_depth ? Number(req.body.max_depth) : undefined,
+      array_items: req.body.array_items ? Number(req.body.array_items) : undefined,
+      operation: req.body.operation || undefined,
+      theme: req.body.theme || undefined,
+      theme_variables: themeVariables
+    });
+    const result = parseFileToMermaid(fileContent, fileType, options);
+    const themed = themeDiagram(result.mermaid_code, options.theme, options.theme_variables);
+    assertValidMermaid(themed.mermaid_code);
 
     res.json({
       success: true,
-      ...result
+      ...result,
+      ...themed
     });
 
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: `Invalid options: ${error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`
+      });
+    }
+    if (error.code === -32602) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('File upload error:', error);
     res.status(500).json({
       error: `Failed to process file: ${error.message}`
@@ -1102,6 +2200,188 @@ app.post('/upload', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * Diagram Conversion Endpoint
+ * Body mirrors the convert_diagram arguments
+ */
+app.post('/convert', (req, res) => {
+  try {
+    res.json(convertDiagramWithPreview(convertDiagramSchema.parse(req.body || {})));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: `Invalid options: ${error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`
+      });
+    }
+    res.status(400).json({
+      error: error.code === -32602 ? error.message : `Failed to convert diagram: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Diagram Diff Endpoint
+ * Body mirrors the diff_diagram arguments
+ */
+app.post('/diff', (req, res) => {
+  try {
+    res.json(diffDiagram(diffDiagramSchema.parse(req.body || {})));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: `Invalid options: ${error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`
+      });
+    }
+    res.status(400).json({
+      error: `Failed to diff diagrams: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Diagram Store Endpoints
+ * Mirror the save/get/list/delete_diagram tools; 503 when DATA_DIR is not set
+ */
+function sendDiagramStoreError(res, error, action) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      error: `Invalid options: ${error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`
+    });
+  }
+  if (error.code === -32602) {
+    return res.status(400).json({ error: error.message, diagnostics: error.data });
+  }
+  res.status(400).json({
+    error: `Failed to ${action}: ${error.message}`
+  });
+}
+
+app.use('/diagrams', (req, res, next) => {
+  if (!diagramStore) {
+    return res.status(503).json({
+      error: 'Diagram storage is disabled. Set DATA_DIR on the server to enable it'
+    });
+  }
+  next();
+});
+
+app.get('/diagrams', (req, res) => {
+  try {
+    const { q, ...query } = req.query;
+    res.json(diagramStore.list(listDiagramsSchema.parse({ ...query, query: q })));
+  } catch (error) {
+    sendDiagramStoreError(res, error, 'list diagrams');
+  }
+});
+
+app.get('/diagrams/:id', (req, res) => {
+  const diagram = diagramStore.get(req.params.id);
+  if (!diagram) {
+    return res.status(404).json({ error: `Diagram "${req.params.id}" not found` });
+  }
+  res.json(diagram);
+});
+
+app.post('/diagrams', (req, res) => {
+  try {
+    const { id, ...fields } = req.body || {};
+    res.status(201).json(saveDiagram(saveDiagramSchema.parse(fields)));
+  } catch (error) {
+    sendDiagramStoreError(res, error, 'save diagram');
+  }
+});
+
+app.put('/diagrams/:id', (req, res) => {
+  if (!diagramStore.get(req.params.id)) {
+    return res.status(404).json({ error: `Diagram "${req.params.id}" not found` });
+  }
+  try {
+    res.json(saveDiagram(saveDiagramSchema.parse({ ...req.body, id: req.params.id })));
+  } catch (error) {
+    sendDiagramStoreError(res, error, 'update diagram');
+  }
+});
+
+app.get('/diagrams/:id/revisions', (req, res) => {
+  const revisions = diagramStore.listRevisions(req.params.id);
+  if (!revisions) {
+    return res.status(404).json({ error: `Diagram "${req.params.id}" not found` });
+  }
+  res.json({ id: req.params.id, revisions });
+});
+
+app.get('/diagrams/:id/revisions/:revision', (req, res) => {
+  const revision = diagramStore.getRevision(req.params.id, Number(req.params.revision));
+  if (!revision) {
+    return res.status(404).json({ error: `Diagram "${req.params.id}" has no revision ${req.params.revision}` });
+  }
+  res.json(revision);
+});
+
+app.delete('/diagrams/:id', (req, res) => {
+  if (!diagramStore.remove(req.params.id)) {
+    return res.status(404).json({ error: `Diagram "${req.params.id}" not found` });
+  }
+  res.status(204).end();
+});
+
+/**
+ * Shared Diagram Pages
+ * Read-only viewer pages for saved diagrams (/d/:id) and signed links to
+ * unsaved ones (/s/:token); the /embed variants drop the chrome for iframes
+ */
+function renderSharePage(res, diagram, { embed, pageUrl }) {
+  const templateContent = readWidgetTemplate();
+  const shared = JSON.stringify({
+    mermaid_code: diagram.mermaid_code,
+    title: diagram.title || null,
+    page_url: pageUrl,
+    embed
+  }).replace(/</g, '\\u003c');
+  res.setHeader('Content-Type', 'text/html');
+  // Only the embed variant may be framed by other sites
+  res.setHeader('Content-Security-Policy', embed ? 'frame-ancestors *' : "frame-ancestors 'self'");
+  res.send(templateContent
+    .replace('</head>', () => `    <script>window.sharedDiagram = ${shared};</script>\n</head>`)
+    .replace('<body>', `<body class="shared${embed ? ' embed' : ''}">`));
+}
+
+function sendShareError(res, status, message) {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Diagram unavailable</title></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px;">
+    <p>${message}</p>
+</body>
+</html>`);
+}
+
+function sendSavedDiagramPage(req, res, embed) {
+  if (!diagramStore) {
+    return sendShareError(res, 503, 'Diagram storage is disabled on this server.');
+  }
+  const diagram = diagramStore.get(req.params.id);
+  if (!diagram) {
+    return sendShareError(res, 404, 'This diagram does not exist or was deleted.');
+  }
+  renderSharePage(res, diagram, { embed, pageUrl: shareLinks.forDiagram(diagram.id).share_url });
+}
+
+function sendSignedDiagramPage(req, res, embed) {
+  let diagram;
+  try {
+    diagram = shareLinks.readToken(req.params.token);
+  } catch (error) {
+    return sendShareError(res, 404, 'This share link is invalid or has expired.');
+  }
+  renderSharePage(res, diagram, { embed, pageUrl: `${BASE_URL}/s/${req.params.token}` });
+}
+
+app.get('/d/:id', (req, res) => sendSavedDiagramPage(req, res, false));
+app.get('/d/:id/embed', (req, res) => sendSavedDiagramPage(req, res, true));
+app.get('/s/:token', (req, res) => sendSignedDiagramPage(req, res, false));
+app.get('/s/:token/embed', (req, res) => sendSignedDiagramPage(req, res, true));
+
 /**
  * Health Check Endpoint
  */
@@ -1110,6 +2390,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     server: SERVER_NAME,
     version: SERVER_VERSION,
+    mcp_sessions: mcpSessions.size,
     timestamp: new Date().toISOString()
   });
 });
@@ -1143,13 +2424,23 @@ app.get('/privacy', (req, res) => {
     <p><strong>Last Updated:</strong> ${new Date().toLocaleDateString()}</p>
     
     <h2>Data Collection</h2>
-    <p>Mermaid Visualizer processes diagram generation requests and file uploads. We do not store, log, or retain any user data, content, or files beyond the immediate request processing.</p>
+    <p>Mermaid Visualizer processes diagram generation requests and file uploads. Unless you save a diagram, we do not store, log, or retain any user data, content, or files beyond the immediate request processing.</p>
+    
+    <h2>Saved Diagrams</h2>
+    <p>${diagramStore
+      ? 'This server has diagram storage enabled. When you save a diagram (with the Save button or the save_diagram tool), its code, title, tags and the input it was generated from are stored on this server until you delete it.'
+      : 'Diagram storage is disabled on this server, so saving diagrams is not available and nothing is stored.'}</p>
+    
+    <h2>Share Links</h2>
+    <p>Share links to saved diagrams point at the stored copy. Share links to unsaved diagrams contain the diagram code itself, so anyone with the link can view it; the server does not keep a copy.</p>
     
     <h2>Data Processing</h2>
-    <p>All processing occurs in memory during the request. Files are processed temporarily and not persisted to disk or any database.</p>
+    <p>All other processing occurs in memory during the request. Uploaded files are processed temporarily and not persisted to disk or any database.</p>
     
     <h2>Third-Party Services</h2>
-    <p>We use Mermaid.js library loaded from jsdelivr.net CDN for diagram rendering. No data is sent to third-party services.</p>
+    <p>${mermaidBundle
+      ? 'Diagrams are rendered with the Mermaid.js library served by this server.'
+      : `Diagrams are rendered with the Mermaid.js library loaded from ${MERMAID_ORIGIN}.`} No data is sent to third-party services.</p>
     
     <h2>Cookies and Tracking</h2>
     <p>We do not use cookies or any tracking mechanisms.</p>
@@ -1169,10 +2460,8 @@ app.get('/privacy', (req, res) => {
  */
 app.get('/template/mermaid-viewer', (req, res) => {
   try {
-    const templatePath = join(__dirname, 'templates', 'mermaid-viewer.html');
-    const templateContent = readFileSync(templatePath, 'utf8');
     res.setHeader('Content-Type', 'text/html');
-    res.send(templateContent);
+    res.send(readWidgetTemplate());
   } catch (error) {
     console.error('Template serve error:', error);
     res.status(500).json({
@@ -1214,7 +2503,7 @@ app.post('/tools/list', async (req, res) => {
     };
     
     // Call the MCP handler
-    await handleMCPRequest({ body: mcpRequest }, wrapperRes);
+    await handleMCPRequest({ body: mcpRequest, headers: req.headers, query: req.query }, wrapperRes);
   } catch (error) {
     console.error('Tools list error:', error);
     res.status(500).json({
@@ -1248,7 +2537,10 @@ app.post('/tools/call', async (req, res) => {
     
     const wrapperRes = {
       json: (data) => {
-        if (data.result && data.result.content) {
+        if (data.result && data.result.structuredContent) {
+          // Prefer structured output when the tool provides it
+          res.json(data.result.structuredContent);
+        } else if (data.result && data.result.content) {
           // Extract the actual result from MCP response
           const content = data.result.content[0];
           if (content && content.text) {
@@ -1272,7 +2564,7 @@ app.post('/tools/call', async (req, res) => {
       })
     };
     
-    await handleMCPRequest({ body: mcpRequest }, wrapperRes);
+    await handleMCPRequest({ body: mcpRequest, headers: req.headers, query: req.query }, wrapperRes);
   } catch (error) {
     console.error('Tool call error:', error);
     res.status(500).json({
@@ -1307,7 +2599,7 @@ app.post('/resources/list', async (req, res) => {
       })
     };
     
-    await handleMCPRequest({ body: mcpRequest }, wrapperRes);
+    await handleMCPRequest({ body: mcpRequest, headers: req.headers, query: req.query }, wrapperRes);
   } catch (error) {
     console.error('Resources list error:', error);
     res.status(500).json({
@@ -1351,7 +2643,7 @@ app.post('/resources/read', async (req, res) => {
       })
     };
     
-    await handleMCPRequest({ body: mcpRequest }, wrapperRes);
+    await handleMCPRequest({ body: mcpRequest, headers: req.headers, query: req.query }, wrapperRes);
   } catch (error) {
     console.error('Resource read error:', error);
     res.status(500).json({
@@ -1370,10 +2662,22 @@ app.use((err, req, res, next) => {
 
 /**
  * Start server
+ * In stdio mode a single MCP server answers on stdin/stdout with the same
+ * methods as the HTTP endpoint.
  */
-app.listen(PORT, () => {
-  console.log(`MCP Server "${SERVER_NAME}" running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`MCP endpoint: http://localhost:${PORT}/mcp`);
-});
+if (STDIO_MODE) {
+  const { server } = createMcpServer({
+    serverInfo: SERVER_INFO,
+    capabilities: serverCapabilities(),
+    handleRequest: executeMCPMethod
+  });
+  await server.connect(new StdioServerTransport());
+  console.log(`MCP Server "${SERVER_NAME}" running on stdio`);
+} else {
+  app.listen(PORT, () => {
+    console.log(`MCP Server "${SERVER_NAME}" running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+    console.log(`MCP endpoint: http://localhost:${PORT}/mcp`);
+  });
+}
 
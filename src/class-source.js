@@ -0,0 +1,533 @@
+/**
+ * JavaScript/TypeScript source to class diagram
+ * A lightweight scanner (no full parser) that finds class, interface and
+ * enum declarations, reads their fields and methods with visibility, and
+ * draws extends/implements relationships plus composition from fields
+ * typed (or initialised with `new`) as another class in the same input.
+ * Several files merge into one diagram, grouped into a namespace per file.
+ */
+
+const MODIFIERS = ['public', 'private', 'protected', 'static', 'readonly', 'abstract', 'async', 'override', 'declare', 'accessor'];
+const COLLECTION_TYPES = ['Array', 'ReadonlyArray', 'Set', 'Map', 'WeakMap', 'WeakSet', 'Record', 'Iterable', 'List'];
+const REGEX_PRECEDERS = /[(,=:[!&|?{};+\-*%<>~^]$|\breturn$|\btypeof$|^$/;
+
+/**
+ * Blank out comments, string contents and regex literals so braces and
+ * keywords inside them cannot confuse the scanner. Offsets are preserved.
+ */
+function maskSource(source) {
+  let output = '';
+  let index = 0;
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+  while (index < source.length) {
+    const char = source[index];
+    const pair = source.slice(index, index + 2);
+
+    if (pair === '//') {
+      const end = source.indexOf('\n', index);
+      const stop = end === -1 ? source.length : end;
+      output += blank(source.slice(index, stop));
+      index = stop;
+    } else if (pair === '/*') {
+      const end = source.indexOf('*/', index + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      output += blank(source.slice(index, stop));
+      index = stop;
+    } else if (char === "'" || char === '"' || char === '`') {
+      let end = index + 1;
+      while (end < source.length && source[end] !== char) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      output += char + blank(source.slice(index + 1, end)) + (end < source.length ? char : '');
+      index = end + 1;
+    } else if (char === '/' && REGEX_PRECEDERS.test(output.trimEnd())) {
+      let end = index + 1;
+      let inClass = false;
+      while (end < source.length && source[end] !== '\n' && (inClass || source[end] !== '/')) {
+        if (source[end] === '\\') end++;
+        else if (source[end] === '[') inClass = true;
+        else if (source[end] === ']') inClass = false;
+        end++;
+      }
+      output += `/${blank(source.slice(index + 1, end))}/`;
+      index = end + 1;
+    } else {
+      output += char;
+      index++;
+    }
+  }
+  return output;
+}
+
+/**
+ * Index just past the bracket that closes the one at `start`
+ */
+function matchClose(text, start) {
+  const open = text[start];
+  const close = { '{': '}', '(': ')', '[': ']', '<': '>' }[open];
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === open) depth++;
+    if (text[index] === close && !(close === '>' && text[index - 1] === '=')) depth--;
+    if (depth === 0) {
+      return index + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Split on commas that are not nested in brackets
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if ('([{<'.includes(char)) depth++;
+    if (')]}'.includes(char) || (char === '>' && text[index - 1] !== '=')) depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Type text as Mermaid shows it: generics use ~, object literals collapse
+ */
+function displayType(type) {
+  return (type || '')
+    .replace(/\{[^]*\}/g, 'object')
+    .replace(/\([^()]*\)\s*=>\s*[\w$.[\]]+/g, 'Function')
+    .replace(/\s+/g, ' ')
+    .replace(/[<>]/g, '~')
+    .trim();
+}
+
+/**
+ * Name of the base in "extends React.Component<P>" or "extends mixin(Base)"
+ */
+function baseName(expression) {
+  const withoutArgs = expression.replace(/<[^]*>/g, '').trim();
+  const call = withoutArgs.match(/\(\s*([\w$.]+)\s*\)\s*$/);
+  const path = call ? call[1] : withoutArgs.match(/^[\w$.]+/)?.[0] || '';
+  return path.split('.').pop();
+}
+
+/**
+ * Split a class or interface body into member statements
+ * Methods keep their body text so constructors can be scanned for fields.
+ */
+function splitMembers(body) {
+  const members = [];
+  let current = '';
+  let depth = 0;
+  let angle = 0;
+
+  const push = (extra = {}) => {
+    if (current.trim()) {
+      members.push({ text: current.trim().replace(/\s+/g, ' '), ...extra });
+    }
+    current = '';
+  };
+
+  for (let index = 0; index < body.length; index++) {
+    const char = body[index];
+    if ('(['.includes(char)) depth++;
+    if (')]'.includes(char)) depth--;
+    // Generic arguments such as Map<string, Item> hold commas too
+    if (char === '<' && /[\w$]$/.test(current)) angle++;
+    if (char === '>' && angle > 0 && !current.endsWith('=')) angle--;
+
+    if (char === '{' && depth === 0) {
+      const end = matchClose(body, index);
+      const head = current.trim();
+      if (/\)\s*(:[^=]*)?$/.test(head) || /=>$/.test(head) || head === 'static') {
+        push({ body: body.slice(index + 1, end - 1) });
+      } else {
+        // Object literal initialiser or inline object type
+        current += '{}';
+      }
+      index = end - 1;
+      continue;
+    }
+
+    if ((char === ';' || (char === ',' && angle === 0)) && depth === 0) {
+      push();
+      continue;
+    }
+
+    if (char === '\n' && depth === 0) {
+      const rest = body.slice(index + 1).trimStart();
+      const continues = /[,=|&:(<?.+\-*/]$/.test(current.trim()) || /^[.=|&?:<>]/.test(rest);
+      if (!continues && !/^(public|private|protected|static|readonly|abstract|async|get|set|declare|override)$/.test(current.trim())) {
+        push();
+        continue;
+      }
+    }
+    current += char;
+  }
+  push();
+  return members;
+}
+
+/**
+ * Read one parameter such as "private readonly repo: Repo = x"
+ */
+function parseParameter(text) {
+  const match = text.replace(/^@[\w$.]+(\([^)]*\))?\s*/, '').match(/^((?:(?:public|private|protected|readonly|override)\s+)*)(\.\.\.)?([\w$]+)\??\s*(?::\s*([^=]+))?(?:=\s*(.+))?$/);
+  if (!match) {
+    return { name: text.replace(/[^\w$]/g, '') || 'arg', type: null, modifiers: [] };
+  }
+  return {
+    name: `${match[2] || ''}${match[3]}`,
+    type: match[4] ? match[4].trim() : null,
+    modifiers: match[1].trim().split(/\s+/).filter(Boolean)
+  };
+}
+
+function visibilityOf(modifiers, name) {
+  if (name.startsWith('#') || modifiers.includes('private')) return 'private';
+  if (modifiers.includes('protected')) return 'protected';
+  return 'public';
+}
+
+/**
+ * Infer a field type from its initialiser
+ */
+function typeOfInitializer(init) {
+  if (!init) return null;
+  const value = init.trim();
+  const constructed = value.match(/^new\s+([\w$.]+)/);
+  if (constructed) return constructed[1].split('.').pop() + (value.match(/^new\s+[\w$.]+\s*(<[^(]*>)/)?.[1] || '');
+  if (/^["'`]/.test(value)) return 'string';
+  if (/^-?\d/.test(value)) return 'number';
+  if (/^(true|false)$/.test(value)) return 'boolean';
+  if (value.startsWith('[')) return 'Array';
+  if (value.startsWith('{')) return 'object';
+  return null;
+}
+
+/**
+ * Parse one member statement into a field or method, or null to skip it
+ */
+function parseMember(text, body, kind) {
+  let rest = text.replace(/^(@[\w$.]+(\([^)]*\))?\s*)+/, '');
+  const modifiers = [];
+  let accessor = null;
+
+  for (;;) {
+    const match = rest.match(/^([\w$]+)\s+(?=[#\w$*[])/);
+    if (match && MODIFIERS.includes(match[1])) {
+      modifiers.push(match[1]);
+      rest = rest.slice(match[0].length);
+    } else if (match && ['get', 'set'].includes(match[1])) {
+      accessor = match[1];
+      rest = rest.slice(match[0].length);
+    } else {
+      break;
+    }
+  }
+  rest = rest.replace(/^\*\s*/, '');
+
+  const nameMatch = rest.match(/^(#?[\w$]+|"[^"]*"|'[^']*')([?!])?\s*/);
+  if (!nameMatch || (kind === 'class' && nameMatch[1] === 'static' && !rest.slice(nameMatch[0].length))) {
+    return null;
+  }
+  const rawName = nameMatch[1].replace(/^["']|["']$/g, '').trim();
+  if (!rawName) {
+    return null;
+  }
+  const name = rawName.replace(/^#/, '');
+  const visibility = visibilityOf(modifiers, rawName);
+  const isStatic = modifiers.includes('static');
+  rest = rest.slice(nameMatch[0].length);
+
+  // Method: name(params) or name<T>(params)
+  if (rest.startsWith('(') || rest.startsWith('<')) {
+    const paramsStart = rest.startsWith('<') ? matchClose(rest, 0) : 0;
+    const paramsEnd = matchClose(rest, rest.indexOf('(', paramsStart));
+    const params = splitTopLevel(rest.slice(rest.indexOf('(', paramsStart) + 1, paramsEnd - 1)).map(parseParameter);
+    const returns = rest.slice(paramsEnd).match(/^\s*:\s*(.+)$/)?.[1] || null;
+
+    if (accessor) {
+      return { member: 'field', name, visibility, static: isStatic, type: accessor === 'get' ? returns : params[0]?.type || null };
+    }
+    return {
+      member: 'method',
+      name,
+      visibility,
+      static: isStatic,
+      abstract: modifiers.includes('abstract'),
+      params,
+      returns,
+      body: body || ''
+    };
+  }
+
+  // Field: name: Type = init, or an arrow function property
+  const fieldMatch = rest.match(/^(?::\s*((?:[^=]|=>)+?))?\s*(?:=(?!>)\s*(.*))?$/);
+  const type = fieldMatch?.[1]?.trim() || null;
+  const init = fieldMatch?.[2]?.trim() || '';
+  const arrow = init.match(/^(?:async\s+)?(?:\(([^)]*)\)|([\w$]+))\s*(?::\s*([^=]+?))?\s*=>/) || init.match(/^(?:async\s+)?function\b[^(]*\(([^)]*)\)/);
+  if (arrow || (body !== undefined && /=>$/.test(text))) {
+    return {
+      member: 'method',
+      name,
+      visibility,
+      static: isStatic,
+      abstract: false,
+      params: splitTopLevel((arrow?.[1] ?? arrow?.[2]) || '').map(parseParameter),
+      returns: arrow?.[3] || null,
+      body: body || ''
+    };
+  }
+  return { member: 'field', name, visibility, static: isStatic, type: type || typeOfInitializer(init), init };
+}
+
+/**
+ * Read `this.x = ...` assignments in a constructor as fields (plain JS)
+ */
+function constructorFields(body) {
+  const fields = [];
+  const pattern = /\bthis\.(#?[\w$]+)\s*=(?!=)\s*([^;\n]*)/g;
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    fields.push({
+      member: 'field',
+      name: match[1].replace(/^#/, ''),
+      visibility: match[1].startsWith('#') ? 'private' : 'public',
+      static: false,
+      type: typeOfInitializer(match[2])
+    });
+  }
+  return fields;
+}
+
+/**
+ * Find class, interface and enum declarations in one source file
+ */
+export function parseSourceFile(source, fileName = null) {
+  const masked = maskSource(source.replace(/\r\n?/g, '\n'));
+  const declarations = [];
+  const pattern = /(?:\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*)?\b(?:(abstract)\s+)?(class|interface|enum)\b\s*([A-Za-z_$][\w$]*)?/g;
+  let match;
+
+  while ((match = pattern.exec(masked)) !== null) {
+    const kind = match[3];
+    const name = match[4] && match[4] !== 'extends' && match[4] !== 'implements' ? match[4] : match[1];
+    if (!name) {
+      continue;
+    }
+    // Skip property access such as "node.class"
+    if (masked.slice(0, match.index).trimEnd().endsWith('.')) {
+      continue;
+    }
+
+    // Header runs to the "{" outside generic brackets
+    let index = pattern.lastIndex;
+    let angle = 0;
+    while (index < masked.length) {
+      const char = masked[index];
+      if (char === '<') angle++;
+      if (char === '>' && masked[index - 1] !== '=') angle--;
+      if (char === '{' && angle <= 0) break;
+      if (char === ';' || (char === '=' && angle <= 0 && masked[index + 1] !== '>')) {
+        index = -1;
+        break;
+      }
+      index++;
+    }
+    if (index === -1 || index >= masked.length) {
+      continue;
+    }
+
+    const headerStart = match[4] === name ? match.index + match[0].length : match.index + match[0].length - (match[4] ? match[4].length : 0);
+    let header = masked.slice(headerStart, index).trim();
+    const bodyEnd = matchClose(masked, index);
+    const body = masked.slice(index + 1, bodyEnd - 1);
+    pattern.lastIndex = kind === 'enum' || kind === 'interface' ? bodyEnd : index + 1;
+
+    let generics = [];
+    if (header.startsWith('<')) {
+      const end = matchClose(header, 0);
+      generics = splitTopLevel(header.slice(1, end - 1)).map(param => param.match(/^[\w$]+/)?.[0]).filter(Boolean);
+      header = header.slice(end).trim();
+    }
+    const extendsMatch = header.match(/\bextends\s+(.+?)(?=\bimplements\b|$)/);
+    const implementsMatch = header.match(/\bimplements\s+(.+)$/);
+
+    const declaration = {
+      name,
+      kind: kind === 'class' && match[2] ? 'abstract' : kind,
+      generics,
+      extends: extendsMatch ? (kind === 'interface' ? splitTopLevel(extendsMatch[1]).map(baseName) : [baseName(extendsMatch[1])]) : [],
+      implements: implementsMatch ? splitTopLevel(implementsMatch[1]).map(baseName) : [],
+      fields: [],
+      methods: [],
+      values: [],
+      file: fileName
+    };
+
+    if (kind === 'enum') {
+      declaration.values = splitTopLevel(body).map(value => value.split('=')[0].trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    } else {
+      splitMembers(body).forEach(({ text, body: memberBody }) => {
+        if (/^\[/.test(text) || /^\(/.test(text) || /^(new|static)$/.test(text)) {
+          return;
+        }
+        const member = parseMember(text, memberBody, kind);
+        if (!member) {
+          return;
+        }
+        if (member.member === 'method' && member.name === 'constructor') {
+          member.params
+            .filter(param => param.modifiers.length > 0)
+            .forEach(param => declaration.fields.push({
+              member: 'field',
+              name: param.name,
+              visibility: visibilityOf(param.modifiers, param.name),
+              static: false,
+              type: param.type
+            }));
+          constructorFields(member.body).forEach(field => declaration.fields.push(field));
+        }
+        (member.member === 'method' ? declaration.methods : declaration.fields).push(member);
+      });
+    }
+
+    // Overloads and repeated this.x assignments collapse to one member
+    const unique = (members) => members.filter((member, position) =>
+      members.findIndex(other => other.name === member.name) === position);
+    declaration.fields = unique(declaration.fields);
+    declaration.methods = unique(declaration.methods);
+    declarations.push(declaration);
+  }
+
+  return declarations;
+}
+
+/**
+ * Types referenced by a field, and whether it holds many of them
+ */
+function fieldTargets(field, known) {
+  const type = field.type || '';
+  const names = (type.match(/[A-Za-z_$][\w$]*/g) || []).filter(name => known.has(name));
+  const many = /\[\]/.test(type) || COLLECTION_TYPES.some(collection => new RegExp(`\\b${collection}\\b`).test(type));
+  return { names: [...new Set(names)], many };
+}
+
+const VISIBILITY_MARKERS = { public: '+', private: '-', protected: '#' };
+
+function renderParameter(param) {
+  return param.type ? `${displayType(param.type)} ${param.name}` : param.name;
+}
+
+function safeNamespace(fileName) {
+  return fileName.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').replace(/[^\w.]+/g, '_') || 'module';
+}
+
+/**
+ * Render parsed declarations as Mermaid classDiagram code
+ */
+export function renderSourceClassDiagram(declarations) {
+  // Interfaces declared more than once merge; other duplicates keep the first
+  const byName = new Map();
+  declarations.forEach(declaration => {
+    const existing = byName.get(declaration.name);
+    if (!existing) {
+      byName.set(declaration.name, { ...declaration });
+    } else if (existing.kind === 'interface' && declaration.kind === 'interface') {
+      existing.fields = [...existing.fields, ...declaration.fields.filter(f => !existing.fields.some(e => e.name === f.name))];
+      existing.methods = [...existing.methods, ...declaration.methods.filter(m => !existing.methods.some(e => e.name === m.name))];
+      existing.extends = [...new Set([...existing.extends, ...declaration.extends])];
+    }
+  });
+
+  if (byName.size === 0) {
+    throw new Error('No class, interface or enum declarations found');
+  }
+
+  const known = new Set(byName.keys());
+  const files = [...new Set([...byName.values()].map(declaration => declaration.file))];
+  const useNamespaces = files.length > 1 && files.every(Boolean);
+  let code = 'classDiagram\n';
+
+  const renderDeclaration = (declaration, indent) => {
+    const generics = declaration.generics.length ? `~${declaration.generics.join(', ')}~` : '';
+    const lines = [];
+    if (declaration.kind === 'interface') lines.push('<<interface>>');
+    if (declaration.kind === 'abstract') lines.push('<<abstract>>');
+    if (declaration.kind === 'enum') {
+      lines.push('<<enumeration>>', ...declaration.values);
+    }
+    declaration.fields.forEach(field => {
+      const type = displayType(field.type);
+      lines.push(`${VISIBILITY_MARKERS[field.visibility]}${type ? `${type} ` : ''}${field.name}${field.static ? '$' : ''}`);
+    });
+    declaration.methods.forEach(method => {
+      const returns = method.returns ? ` ${displayType(method.returns)}` : '';
+      const classifier = method.abstract ? '*' : method.static ? '$' : '';
+      lines.push(`${VISIBILITY_MARKERS[method.visibility]}${method.name}(${method.params.map(renderParameter).join(', ')})${classifier}${returns}`);
+    });
+    if (lines.length === 0) {
+      return `${indent}class ${declaration.name}${generics}\n`;
+    }
+    return `${indent}class ${declaration.name}${generics} {\n${lines.map(line => `${indent}    ${line}\n`).join('')}${indent}}\n`;
+  };
+
+  if (useNamespaces) {
+    files.forEach(file => {
+      code += `    namespace ${safeNamespace(file)} {\n`;
+      byName.forEach(declaration => {
+        if (declaration.file === file) {
+          code += renderDeclaration(declaration, '        ');
+        }
+      });
+      code += '    }\n';
+    });
+  } else {
+    byName.forEach(declaration => {
+      code += renderDeclaration(declaration, '    ');
+    });
+  }
+
+  const relations = new Set();
+  byName.forEach(declaration => {
+    declaration.extends.forEach(base => {
+      relations.add(`    ${base} <|-- ${declaration.name}\n`);
+    });
+    declaration.implements.forEach(contract => {
+      relations.add(`    ${contract} <|.. ${declaration.name}\n`);
+    });
+    declaration.fields.forEach(field => {
+      const { names, many } = fieldTargets(field, known);
+      names
+        .filter(target => target !== declaration.name || many)
+        .forEach(target => {
+          relations.add(many
+            ? `    ${declaration.name} "1" *-- "*" ${target} : ${field.name}\n`
+            : `    ${declaration.name} *-- ${target} : ${field.name}\n`);
+        });
+    });
+  });
+  relations.forEach(relation => {
+    code += relation;
+  });
+
+  return code;
+}
+
+/**
+ * Generate a class diagram from one or more source files
+ * Accepts a string or an array of { name, content }.
+ */
+export function generateClassDiagram(files) {
+  const sources = typeof files === 'string' ? [{ name: null, content: files }] : files;
+  return renderSourceClassDiagram(sources.flatMap(file => parseSourceFile(file.content, file.name)));
+}
@@ -0,0 +1,1358 @@
+/**
+ * Diagram format conversion
+ * Translates flowcharts and sequence diagrams between Mermaid, GraphViz DOT,
+ * PlantUML and draw.io (mxGraph XML). Every source is read into the models
+ * the Mermaid parser produces (flowchart: nodes/edges/groups, sequence:
+ * participants/events) and every target is rendered from them, so
+ * conversions follow the graph rather than the text. Constructs a target
+ * cannot express are reported as warnings.
+ */
+
+import { inflateRawSync } from 'zlib';
+import { parseMermaid } from './mermaid-parser.js';
+import { createFlowchartModel, renderFlowchart } from './flowchart.js';
+import { createIdAllocator } from './graph-builder.js';
+import { parseDot } from './dot.js';
+import { parseXml } from './xml.js';
+
+export const DIAGRAM_FORMATS = ['mermaid', 'dot', 'plantuml', 'drawio'];
+export const CONVERTIBLE_TYPES = ['flowchart', 'sequence'];
+
+/**
+ * Formats that can hold sequence diagrams
+ */
+const SEQUENCE_FORMATS = ['mermaid', 'plantuml'];
+
+/**
+ * Guess the format of a diagram source from its first statement
+ */
+export function detectFormat(source) {
+  const text = source.replace(/^\uFEFF/, '').trimStart();
+  if (/^@start\w*/.test(text)) {
+    return 'plantuml';
+  }
+  if (text.startsWith('<')) {
+    return 'drawio';
+  }
+  if (/^(?:(?:\/\/|#)[^\n]*\n\s*)*(?:strict\s+)?(?:di)?graph\b[^\n{]*\{/i.test(text)) {
+    return 'dot';
+  }
+  return 'mermaid';
+}
+
+/**
+ * Split "fill:#fff,stroke:#333" style lists into properties
+ */
+function parseCss(style) {
+  const properties = {};
+  (style || '').split(/[,;]/).forEach(part => {
+    const [key, ...value] = part.split(':');
+    if (key.trim() && value.length > 0) {
+      properties[key.trim()] = value.join(':').trim();
+    }
+  });
+  return properties;
+}
+
+/**
+ * Register colour styles as classDefs named prefix1, prefix2, ...
+ * Returns a function mapping { fill, stroke, color } to a class name.
+ */
+function createClassRegistry(model, prefix) {
+  const byStyle = new Map();
+  return (properties) => {
+    const css = Object.entries(properties)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}:${value}`)
+      .join(',');
+    if (!css) {
+      return null;
+    }
+    if (!byStyle.has(css)) {
+      const name = `${prefix}${byStyle.size + 1}`;
+      byStyle.set(css, name);
+      model.classDefs.set(name, css);
+    }
+    return byStyle.get(css);
+  };
+}
+
+function nodeStyle(model, node) {
+  return parseCss(node.className && model.classDefs ? model.classDefs.get(node.className) : '');
+}
+
+function createFlowModel(direction = 'TD') {
+  const model = createFlowchartModel(direction);
+  model.classDefs = new Map();
+  model.title = null;
+  return model;
+}
+
+/**
+ * Add a node to a flowchart model, inside the given group
+ */
+function addFlowNode(model, node, group = null) {
+  const created = { label: node.id, shape: 'process', className: null, ...node, group: group ? group.id : null };
+  model.nodes.set(created.id, created);
+  if (group) {
+    group.nodes.push(created.id);
+  }
+  return created;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Mermaid                                                                  */
+/* ------------------------------------------------------------------------ */
+
+function frontMatterTitle(source) {
+  const match = /^---\s*\n([\s\S]*?)\n---/.exec(source.trimStart());
+  const title = match && /^title:\s*(.+)$/m.exec(match[1]);
+  return title ? title[1].trim().replace(/^(["'])(.*)\1$/, '$2') : null;
+}
+
+function readMermaid(source, warn) {
+  const { diagram_type: type, model, diagnostics } = parseMermaid(source);
+  const error = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+  if (error) {
+    throw new Error(`Line ${error.line}: ${error.message}`);
+  }
+  if (!CONVERTIBLE_TYPES.includes(type)) {
+    throw new Error(`Only flowchart and sequence diagrams can be converted, not ${type}`);
+  }
+  if (type === 'flowchart') {
+    model.title = frontMatterTitle(source);
+    if (/^\s*(style|linkStyle|click)\s/m.test(source)) {
+      warn('style, linkStyle and click statements are not converted; use classDef and class for colours');
+    }
+  }
+  return { type, model };
+}
+
+/**
+ * Mermaid message text: semicolons would end the statement
+ */
+function mermaidText(text) {
+  return String(text).replace(/;/g, '#59;').replace(/\n/g, '<br/>').trim();
+}
+
+function renderMermaidFlowchart(model) {
+  const code = renderFlowchart(model);
+  return model.title ? `---\ntitle: ${model.title.replace(/[\n:]/g, ' ')}\n---\n${code}` : code;
+}
+
+const MERMAID_BRANCHES = { alt: 'else', par: 'and', critical: 'option' };
+
+function renderMermaidSequence(model) {
+  let code = 'sequenceDiagram\n';
+  if (model.title) {
+    code += `    title ${mermaidText(model.title)}\n`;
+  }
+  if (model.autonumber) {
+    code += '    autonumber\n';
+  }
+  model.participants.forEach(participant => {
+    const keyword = participant.kind === 'actor' ? 'actor' : 'participant';
+    code += participant.label && participant.label !== participant.id
+      ? `    ${keyword} ${participant.id} as ${mermaidText(participant.label)}\n`
+      : `    ${keyword} ${participant.id}\n`;
+  });
+
+  let depth = 1;
+  const line = (text, offset = 0) => {
+    code += `${'    '.repeat(depth + offset)}${text}\n`;
+  };
+  model.events.forEach(event => {
+    switch (event.kind) {
+      case 'message':
+        line(`${event.from}${event.arrow}${event.activate ? '+' : event.deactivate ? '-' : ''}${event.to}: ${mermaidText(event.text)}`);
+        break;
+      case 'activate':
+      case 'deactivate':
+        line(`${event.kind} ${event.participant}`);
+        break;
+      case 'note':
+        line(`Note ${event.placement} ${event.participants.join(',')}: ${mermaidText(event.text)}`);
+        break;
+      case 'block':
+        line(`${event.block} ${mermaidText(event.label)}`.trimEnd());
+        depth++;
+        break;
+      case 'branch':
+        line(`${MERMAID_BRANCHES[event.block]} ${mermaidText(event.label)}`.trimEnd(), -1);
+        break;
+      case 'end':
+        depth--;
+        line('end');
+        break;
+    }
+  });
+  return code;
+}
+
+/* ------------------------------------------------------------------------ */
+/* GraphViz DOT                                                             */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Graph-builder model (from the DOT importer) to a flowchart model
+ */
+function readDot(source) {
+  const graph = parseDot(source);
+  const model = createFlowModel(graph.direction);
+  model.classDefs = new Map(Object.entries(graph.classDefs || {}));
+  model.groups = graph.groups.map(group => ({
+    id: group.id,
+    title: group.label || group.id,
+    nodes: [],
+    parent: group.parent || null
+  }));
+  const groups = new Map(model.groups.map(group => [group.id, group]));
+  const groupOf = new Map();
+  graph.groups.forEach(group => group.nodes.forEach(id => groupOf.set(id, groups.get(group.id))));
+  graph.nodes.forEach(node => {
+    addFlowNode(model, { id: node.id, label: node.label || node.id, shape: node.shape || 'process', className: node.class || null }, groupOf.get(node.id));
+  });
+  model.edges = graph.edges.map(edge => ({
+    from: edge.from,
+    to: edge.to,
+    label: edge.label || null,
+    style: edge.style || 'solid',
+    arrow: edge.arrow === false ? 'none' : 'arrow',
+    bidirectional: false
+  }));
+  return { type: 'flowchart', model };
+}
+
+const DOT_SHAPE_OF = {
+  process: { shape: 'box' },
+  rounded: { shape: 'box', style: 'rounded' },
+  terminal: { shape: 'ellipse' },
+  decision: { shape: 'diamond' },
+  circle: { shape: 'circle' },
+  'double-circle': { shape: 'doublecircle' },
+  database: { shape: 'cylinder' },
+  subroutine: { shape: 'component' },
+  hexagon: { shape: 'hexagon' },
+  parallelogram: { shape: 'parallelogram' },
+  'parallelogram-alt': { shape: 'parallelogram' },
+  asymmetric: { shape: 'cds' }
+};
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function dotId(id) {
+  return /^[A-Za-z_][\w]*$/.test(id) ? id : dotString(id);
+}
+
+function dotAttributes(attributes) {
+  const entries = Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length > 0 ? ` [${entries.map(([key, value]) => `${key}=${value}`).join(', ')}]` : '';
+}
+
+function renderDot(model, warn) {
+  const rankdir = { TD: 'TB', LR: 'LR', BT: 'BT', RL: 'RL' }[model.direction] || 'TB';
+  let code = 'digraph {\n';
+  code += `    rankdir=${rankdir};\n`;
+  if (model.title) {
+    code += `    label=${dotString(model.title)};\n    labelloc=t;\n`;
+  }
+  code += '    node [shape=box];\n';
+
+  const renderNode = (node, indent) => {
+    const { shape, style } = DOT_SHAPE_OF[node.shape] || DOT_SHAPE_OF.process;
+    const colours = nodeStyle(model, node);
+    const styles = [style, colours.fill ? 'filled' : null].filter(Boolean);
+    code += `${indent}${dotId(node.id)}${dotAttributes({
+      label: node.label !== node.id || !/^[A-Za-z_]\w*$/.test(node.id) ? dotString(node.label) : null,
+      shape: shape !== 'box' ? shape : null,
+      style: styles.length > 0 ? dotString(styles.join(',')) : null,
+      fillcolor: colours.fill ? dotString(colours.fill) : null,
+      color: colours.stroke ? dotString(colours.stroke) : null,
+      fontcolor: colours.color ? dotString(colours.color) : null
+    })};\n`;
+  };
+
+  const renderGroup = (group, depth) => {
+    const indent = '    '.repeat(depth);
+    code += `${indent}subgraph ${dotId(`cluster_${group.id}`)} {\n`;
+    code += `${indent}    label=${dotString(group.title)};\n`;
+    group.nodes.forEach(id => renderNode(model.nodes.get(id), `${indent}    `));
+    model.groups.filter(child => child.parent === group.id).forEach(child => renderGroup(child, depth + 1));
+    code += `${indent}}\n`;
+  };
+  model.groups.filter(group => !group.parent).forEach(group => renderGroup(group, 1));
+  model.nodes.forEach(node => {
+    if (!node.group) {
+      renderNode(node, '    ');
+    }
+  });
+
+  model.edges.forEach(edge => {
+    if (edge.arrow === 'cross') {
+      warn('Cross arrowheads have no DOT equivalent and are drawn as "tee"');
+    }
+    code += `    ${dotId(edge.from)} -> ${dotId(edge.to)}${dotAttributes({
+      label: edge.label ? dotString(edge.label) : null,
+      style: { dotted: 'dashed', invisible: 'invis' }[edge.style],
+      penwidth: edge.style === 'thick' ? 2 : null,
+      dir: edge.bidirectional ? 'both' : edge.arrow === 'none' ? 'none' : null,
+      arrowhead: { circle: 'odot', cross: 'tee' }[edge.arrow]
+    })};\n`;
+  });
+  return `${code}}\n`;
+}
+
+/* ------------------------------------------------------------------------ */
+/* PlantUML                                                                 */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Flowchart shapes as PlantUML deployment elements
+ */
+const PLANTUML_ELEMENT_OF = {
+  process: 'rectangle',
+  rounded: 'card',
+  terminal: 'usecase',
+  circle: 'circle',
+  'double-circle': 'circle',
+  database: 'database',
+  subroutine: 'component',
+  hexagon: 'hexagon'
+};
+
+/**
+ * PlantUML deployment elements as flowchart shapes
+ */
+const PLANTUML_SHAPES = {
+  rectangle: 'process',
+  card: 'rounded',
+  agent: 'process',
+  label: 'process',
+  usecase: 'terminal',
+  circle: 'circle',
+  database: 'database',
+  storage: 'database',
+  component: 'subroutine',
+  hexagon: 'hexagon'
+};
+
+const PLANTUML_ELEMENTS = [
+  ...Object.keys(PLANTUML_SHAPES),
+  'actor', 'person', 'artifact', 'boundary', 'cloud', 'collections', 'control', 'entity', 'file',
+  'folder', 'frame', 'interface', 'node', 'package', 'queue', 'stack'
+];
+
+const PLANTUML_PARTICIPANTS = ['participant', 'actor', 'boundary', 'control', 'entity', 'database', 'collections', 'queue'];
+
+/**
+ * Strip comments, preprocessor lines and styling from PlantUML source
+ * Returns [{ text, line }]
+ */
+function plantumlStatements(source, warn) {
+  const statements = [];
+  let inComment = false;
+  let skipUntil = null;
+
+  source.replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+    let text = raw.trim();
+    if (inComment) {
+      if (!text.includes("'/")) {
+        return;
+      }
+      inComment = false;
+      text = text.slice(text.indexOf("'/") + 2).trim();
+    }
+    if (text.startsWith("/'")) {
+      inComment = !text.includes("'/", 2);
+      return;
+    }
+    if (skipUntil) {
+      if (skipUntil.test(text)) {
+        skipUntil = null;
+      }
+      return;
+    }
+    if (!text || text.startsWith("'") || /^@(start|end)\w*/.test(text)) {
+      return;
+    }
+    if (/^skinparam\b.*\{$/.test(text)) {
+      skipUntil = /^\}$/;
+      return;
+    }
+    if (/^legend\b/.test(text)) {
+      skipUntil = /^end\s*legend$/;
+      return;
+    }
+    if (/^!include/.test(text)) {
+      warn('!include files are not resolved');
+      return;
+    }
+    if (/^(!|skinparam\b|hide\b|show\b|scale\b|caption\b|header\b|footer\b|newpage\b|allowmixing\b|set\b)/.test(text)) {
+      return;
+    }
+    statements.push({ text, line: index + 1 });
+  });
+  return statements;
+}
+
+/**
+ * Read "Name", "Name as Alias", "\"Label\" as Alias" and "Alias as \"Label\""
+ * Returns { name, label, rest } or null
+ */
+function readPlantumlName(text) {
+  const match = /^(?:"([^"]*)"|([^\s"#<{]+))(?:\s+as\s+(?:"([^"]*)"|([^\s"#<{]+)))?\s*(.*)$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [, quoted, plain, aliasLabel, alias, rest] = match;
+  if (alias) {
+    return { name: alias, label: quoted ?? plain, rest };
+  }
+  if (aliasLabel !== undefined) {
+    return { name: quoted ?? plain, label: aliasLabel, rest };
+  }
+  return { name: quoted ?? plain, label: quoted ?? plain, rest };
+}
+
+/**
+ * "#back;line:red;text:blue" (or "#back:..." / "#red") to CSS properties
+ */
+function plantumlColours(text) {
+  const colour = (value) => (/^[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value) ? `#${value}` : value);
+  const properties = {};
+  const spec = /#(\S+)/.exec(text || '');
+  if (spec) {
+    spec[1].split(';').forEach((part, index) => {
+      const [key, value] = part.includes(':') ? part.split(':') : [index === 0 ? 'back' : part, index === 0 ? part : null];
+      const css = { back: 'fill', line: 'stroke', text: 'color' }[key];
+      if (css && value) {
+        properties[css] = colour(value.replace(/^#/, ''));
+      }
+    });
+  }
+  return properties;
+}
+
+function isPlantumlSequence(statements) {
+  const element = new RegExp(`^(${PLANTUML_ELEMENTS.filter(keyword => !PLANTUML_PARTICIPANTS.includes(keyword)).join('|')})\\s`);
+  if (statements.some(({ text }) => element.test(text) || /^(left to right|top to bottom) direction$/.test(text) || /^[[(:]/.test(text))) {
+    return false;
+  }
+  return statements.some(({ text }) => new RegExp(`^(${PLANTUML_PARTICIPANTS.join('|')}|activate|deactivate|autonumber|alt|loop|return)\\b`).test(text) || /->|<-/.test(text));
+}
+
+const PLANTUML_ENDPOINT = '\\[[^\\]]+\\]|\\([^)]+\\)|:[^:]+:|"[^"]+"|\\w(?:[\\w.]*\\w)?';
+const PLANTUML_LINK = new RegExp(
+  `^(${PLANTUML_ENDPOINT})\\s*(?:"[^"]*"\\s*)?(<?[-.=]+(?:\\[[^\\]]*\\])?(?:(?:left|right|up|down|le|ri|do|up|[lrud])(?=[-.=]))?[-.=]*>?)\\s*(?:"[^"]*"\\s*)?(${PLANTUML_ENDPOINT})\\s*(?::\\s*(.*))?$`
+);
+
+function readPlantumlFlowchart(statements, warn) {
+  const model = createFlowModel('TD');
+  const classFor = createClassRegistry(model, 'puml');
+  const nodeId = createIdAllocator('n');
+  const groupId = createIdAllocator('group');
+  const byName = new Map();
+  const stack = [];
+  const currentGroup = () => [...stack].reverse().find(Boolean) || null;
+
+  const node = (name, label = name, shape = 'process') => {
+    if (!byName.has(name)) {
+      byName.set(name, addFlowNode(model, { id: nodeId(name), label, shape }, currentGroup()));
+    }
+    return byName.get(name);
+  };
+  const endpoint = (text) => {
+    const shorthand = { '[': 'subroutine', '(': 'terminal', ':': 'rounded' }[text[0]];
+    if (shorthand) {
+      const label = text.slice(1, -1).trim();
+      return node(text, label, shorthand);
+    }
+    return node(text.replace(/^"(.*)"$/, '$1'));
+  };
+
+  statements.forEach(({ text, line }) => {
+    if (/^left to right direction$/.test(text)) {
+      model.direction = 'LR';
+      return;
+    }
+    if (/^top to bottom direction$/.test(text)) {
+      model.direction = 'TD';
+      return;
+    }
+    const title = /^title\s+(.+)$/.exec(text);
+    if (title) {
+      model.title = title[1].trim();
+      return;
+    }
+    if (text === '}') {
+      stack.pop();
+      return;
+    }
+    if (/^together\s*\{$/.test(text)) {
+      stack.push(null);
+      return;
+    }
+    if (/^note\b/.test(text)) {
+      warn('Notes are not converted');
+      return;
+    }
+
+    const declaration = new RegExp(`^(${PLANTUML_ELEMENTS.join('|')})\\s+(.+?)\\s*(\\{)?$`).exec(text);
+    if (declaration) {
+      const [, keyword, spec, opensGroup] = declaration;
+      const name = readPlantumlName(spec);
+      if (!name) {
+        warn(`Line ${line}: skipped "${text}"`);
+        return;
+      }
+      if (name.rest.includes('<<')) {
+        warn('Stereotypes (<<...>>) are not converted');
+      }
+      if (opensGroup) {
+        const group = { id: groupId(name.name), title: name.label, nodes: [], parent: currentGroup()?.id || null };
+        model.groups.push(group);
+        stack.push(group);
+        return;
+      }
+      if (!PLANTUML_SHAPES[keyword]) {
+        warn(`"${keyword}" elements are drawn as rectangles`);
+      }
+      const created = node(name.name, name.label, PLANTUML_SHAPES[keyword] || 'process');
+      created.label = name.label;
+      created.shape = PLANTUML_SHAPES[keyword] || 'process';
+      created.className = classFor(plantumlColours(name.rest)) || created.className;
+      return;
+    }
+
+    const link = PLANTUML_LINK.exec(text);
+    if (link) {
+      const [, fromText, arrow, toText, label] = link;
+      const options = (/\[([^\]]*)\]/.exec(arrow)?.[1] || '').toLowerCase();
+      const body = arrow.replace(/\[[^\]]*\]/g, '').replace(/[a-z]+/gi, '');
+      let from = endpoint(fromText);
+      let to = endpoint(toText);
+      const head = body.endsWith('>');
+      const tail = body.startsWith('<');
+      if (tail && !head) {
+        [from, to] = [to, from];
+      }
+      let style = 'solid';
+      if (options.includes('hidden')) {
+        style = 'invisible';
+      } else if (/dashed|dotted/.test(options) || body.includes('.')) {
+        style = 'dotted';
+      } else if (/bold|thickness/.test(options) || body.includes('=')) {
+        style = 'thick';
+      }
+      model.edges.push({
+        from: from.id,
+        to: to.id,
+        label: label ? label.trim() : null,
+        style,
+        arrow: head || tail ? 'arrow' : 'none',
+        bidirectional: head && tail
+      });
+      return;
+    }
+    warn(`Line ${line}: skipped "${text}"`);
+  });
+
+  if (model.nodes.size === 0) {
+    throw new Error('No PlantUML elements or links found');
+  }
+  return { type: 'flowchart', model };
+}
+
+/**
+ * PlantUML sequence arrows: prefix, dashes, optional [#colour] and head
+ */
+const PLANTUML_MESSAGE = /^("[^"]+"|[^\s"<>-]+?)\s*(<<?)?(-{1,2})(?:\[[^\]]*\])?-?(>>|>x|>|x|\\\\|\\|\/\/|\/)?\s*("[^"]+"|[^\s":+*!-]+)\s*(\+\+|--|\*\*|!!)?\s*(?::\s*(.*))?$/;
+
+function readPlantumlSequence(statements, warn) {
+  const model = { participants: new Map(), events: [], autonumber: false, title: null };
+  const participantId = createIdAllocator('p');
+  const blocks = [];
+  const activations = [];
+  let lastMessage = null;
+  let note = null;
+
+  const participant = (name, label = name, kind = 'participant') => {
+    const clean = name.replace(/^"(.*)"$/, '$1');
+    const id = participantId(clean);
+    if (!model.participants.has(id)) {
+      model.participants.set(id, { id, label: label.replace(/^"(.*)"$/, '$1'), kind });
+    }
+    return id;
+  };
+  const message = (event) => {
+    model.events.push({ kind: 'message', activate: false, deactivate: false, ...event });
+    lastMessage = model.events[model.events.length - 1];
+  };
+
+  statements.forEach(({ text, line }) => {
+    if (note) {
+      if (/^end\s*[hr]?note$/.test(text)) {
+        model.events.push({ ...note, text: note.lines.join('<br/>') });
+        note = null;
+      } else {
+        note.lines.push(text);
+      }
+      return;
+    }
+
+    const declaration = new RegExp(`^(?:create\\s+)?(${PLANTUML_PARTICIPANTS.join('|')})\\s+(.+)$`).exec(text);
+    if (declaration) {
+      const name = readPlantumlName(declaration[2]);
+      if (!name) {
+        warn(`Line ${line}: skipped "${text}"`);
+        return;
+      }
+      if (!['participant', 'actor'].includes(declaration[1])) {
+        warn(`"${declaration[1]}" participants are drawn as plain participants`);
+      }
+      const id = participant(name.name, name.label, declaration[1] === 'actor' ? 'actor' : 'participant');
+      model.participants.get(id).label = name.label;
+      return;
+    }
+
+    const title = /^title\s+(.+)$/.exec(text);
+    if (title) {
+      model.title = title[1].trim();
+      return;
+    }
+    if (/^autonumber\b/.test(text)) {
+      model.autonumber = true;
+      return;
+    }
+    if (/^(hide|show)\s/.test(text) || /^(\.\.\.|\|\|\|?|\|\|\d+\|\|)/.test(text)) {
+      return;
+    }
+    if (/^==.*==$/.test(text)) {
+      warn('Separators (== ... ==) are not converted');
+      return;
+    }
+    if (/^box\b/.test(text) || /^end\s+box$/.test(text)) {
+      warn('Participant boxes are not converted');
+      return;
+    }
+
+    const activation = /^(activate|deactivate|destroy)\s+(\S+)/.exec(text);
+    if (activation) {
+      const id = participant(activation[2]);
+      if (activation[1] === 'destroy') {
+        warn('destroy is not converted');
+        return;
+      }
+      model.events.push({ kind: activation[1], participant: id, line });
+      if (activation[1] === 'activate') {
+        activations.push({ caller: lastMessage && lastMessage.to === id ? lastMessage.from : null, callee: id });
+      } else {
+        const index = activations.map(entry => entry.callee).lastIndexOf(id);
+        if (index !== -1) {
+          activations.splice(index, 1);
+        }
+      }
+      return;
+    }
+
+    const returnMatch = /^return\b\s*(.*)$/.exec(text);
+    if (returnMatch) {
+      const top = activations.pop();
+      if (!top || !top.caller) {
+        warn(`Line ${line}: "return" without an activated call was skipped`);
+        return;
+      }
+      message({ from: top.callee, to: top.caller, arrow: '-->>', text: returnMatch[1], deactivate: true, line });
+      return;
+    }
+
+    const noteMatch = /^[hr]?note\s+(left of|right of|over|left|right)\s*([^:]*?)\s*(?::\s*(.*))?$/.exec(text);
+    if (noteMatch) {
+      let [, placement, targets, noteText] = noteMatch;
+      let participants = targets ? targets.split(',').map(target => participant(target.trim())) : [];
+      if (participants.length === 0) {
+        if (!lastMessage) {
+          warn(`Line ${line}: note without a participant was skipped`);
+          return;
+        }
+        participants = [placement === 'left' ? lastMessage.from : lastMessage.to];
+      }
+      placement = { left: 'left of', right: 'right of' }[placement] || placement;
+      const event = { kind: 'note', placement, participants: placement === 'over' ? participants : participants.slice(0, 1), line };
+      if (noteText === undefined) {
+        note = { ...event, lines: [] };
+      } else {
+        model.events.push({ ...event, text: noteText });
+      }
+      return;
+    }
+
+    const block = /^(alt|opt|loop|par|break|critical|group)\b\s*(.*)$/.exec(text);
+    if (block) {
+      let kind = block[1];
+      if (kind === 'group') {
+        warn('group blocks are drawn as opt blocks');
+        kind = 'opt';
+      }
+      blocks.push(kind);
+      model.events.push({ kind: 'block', block: kind, label: block[2].trim(), line });
+      return;
+    }
+    const elseMatch = /^else\b\s*(.*)$/.exec(text);
+    if (elseMatch) {
+      const open = blocks[blocks.length - 1];
+      if (!MERMAID_BRANCHES[open]) {
+        warn(`Line ${line}: "else" inside ${open || 'no'} block was skipped`);
+        return;
+      }
+      model.events.push({ kind: 'branch', block: open, label: elseMatch[1].trim(), line });
+      return;
+    }
+    if (text === 'end') {
+      if (blocks.length === 0) {
+        warn(`Line ${line}: "end" without a block was skipped`);
+        return;
+      }
+      model.events.push({ kind: 'end', block: blocks.pop(), line });
+      return;
+    }
+
+    const messageMatch = PLANTUML_MESSAGE.exec(text);
+    if (messageMatch) {
+      const [, fromName, tail, dashes, head, toName, shortcut, messageText] = messageMatch;
+      let from = participant(fromName);
+      let to = participant(toName);
+      const dotted = dashes.length === 2;
+      let arrow;
+      if (tail && head) {
+        arrow = dotted ? '<<-->>' : '<<->>';
+      } else {
+        if (tail) {
+          [from, to] = [to, from];
+        }
+        const kind = tail === '<<' || head === '>>' ? 'async' : /x/.test(head || '') ? 'lost' : 'sync';
+        if (/[\\/]/.test(head || '')) {
+          warn('Half arrowheads are drawn as full arrowheads');
+        }
+        arrow = { sync: dotted ? '-->>' : '->>', async: dotted ? '--)' : '-)', lost: dotted ? '--x' : '-x' }[kind];
+      }
+      if (shortcut === '**' || shortcut === '!!') {
+        warn('Create (**) and destroy (!!) shortcuts are not converted');
+      }
+      message({ from, to, arrow, text: messageText || '', activate: shortcut === '++', deactivate: shortcut === '--', line });
+      if (shortcut === '++') {
+        activations.push({ caller: from, callee: to });
+      } else if (shortcut === '--') {
+        const index = activations.map(entry => entry.callee).lastIndexOf(from);
+        if (index !== -1) {
+          activations.splice(index, 1);
+        }
+      }
+      return;
+    }
+    if (/^(\[|.*\]$)/.test(text)) {
+      warn('Incoming and outgoing messages ([-> and ->]) are not converted');
+      return;
+    }
+    warn(`Line ${line}: skipped "${text}"`);
+  });
+
+  if (note) {
+    throw new Error(`Line ${note.line}: note is never closed with "end note"`);
+  }
+  if (blocks.length > 0) {
+    throw new Error(`"${blocks[blocks.length - 1]}" block is never closed with "end"`);
+  }
+  if (model.participants.size === 0) {
+    throw new Error('No PlantUML participants or messages found');
+  }
+  return { type: 'sequence', model };
+}
+
+function readPlantuml(source, diagramType, warn) {
+  const statements = plantumlStatements(source, warn);
+  const type = diagramType || (isPlantumlSequence(statements) ? 'sequence' : 'flowchart');
+  return type === 'sequence' ? readPlantumlSequence(statements, warn) : readPlantumlFlowchart(statements, warn);
+}
+
+function plantumlString(text) {
+  return `"${String(text).replace(/"/g, "'").replace(/\n/g, '\\n')}"`;
+}
+
+function renderPlantumlFlowchart(model, warn) {
+  const alias = createIdAllocator('n');
+  let code = '@startuml\n';
+  if (model.title) {
+    code += `title ${model.title}\n`;
+  }
+  if (model.direction === 'LR' || model.direction === 'RL') {
+    code += 'left to right direction\n';
+  }
+  if (model.direction === 'BT' || model.direction === 'RL') {
+    warn(`PlantUML cannot lay out ${model.direction} diagrams; the direction is not reversed`);
+  }
+
+  const renderNode = (node, indent) => {
+    let keyword = PLANTUML_ELEMENT_OF[node.shape];
+    if (!keyword) {
+      warn(node.shape === 'decision' ? 'Decision nodes are drawn as hexagons' : `${node.shape} nodes are drawn as rectangles`);
+      keyword = node.shape === 'decision' ? 'hexagon' : 'rectangle';
+    }
+    const colours = nodeStyle(model, node);
+    const parts = [
+      colours.fill ? `back:${colours.fill.replace(/^#/, '')}` : null,
+      colours.stroke ? `line:${colours.stroke.replace(/^#/, '')}` : null,
+      colours.color ? `text:${colours.color.replace(/^#/, '')}` : null
+    ].filter(Boolean);
+    code += `${indent}${keyword} ${plantumlString(node.label)} as ${alias(node.id)}${parts.length > 0 ? ` #${parts.join(';')}` : ''}\n`;
+  };
+  const renderGroup = (group, depth) => {
+    const indent = '  '.repeat(depth);
+    code += `${indent}rectangle ${plantumlString(group.title)} as ${alias(`group ${group.id}`)} {\n`;
+    group.nodes.forEach(id => renderNode(model.nodes.get(id), `${indent}  `));
+    model.groups.filter(child => child.parent === group.id).forEach(child => renderGroup(child, depth + 1));
+    code += `${indent}}\n`;
+  };
+  model.groups.filter(group => !group.parent).forEach(group => renderGroup(group, 0));
+  model.nodes.forEach(node => {
+    if (!node.group) {
+      renderNode(node, '');
+    }
+  });
+
+  model.edges.forEach(edge => {
+    const line = { dotted: '..', thick: '-[bold]-', invisible: '-[hidden]-' }[edge.style] || '--';
+    if (edge.arrow === 'circle' || edge.arrow === 'cross') {
+      warn(`${edge.arrow === 'circle' ? 'Circle' : 'Cross'} arrowheads are drawn as normal arrows`);
+    }
+    const arrow = edge.arrow === 'none' ? line : `${edge.bidirectional ? '<' : ''}${line}>`;
+    code += `${alias(edge.from)} ${arrow} ${alias(edge.to)}${edge.label ? ` : ${edge.label}` : ''}\n`;
+  });
+  return `${code}@enduml\n`;
+}
+
+/**
+ * Mermaid arrows as PlantUML arrows
+ */
+const PLANTUML_ARROWS = {
+  '->>': '->',
+  '-->>': '-->',
+  '->': '->',
+  '-->': '-->',
+  '-x': '->x',
+  '--x': '-->x',
+  '-)': '->>',
+  '--)': '-->>',
+  '<<->>': '<->',
+  '<<-->>': '<-->'
+};
+
+const PLANTUML_BRANCHES = { alt: 'else', par: 'else', critical: 'else' };
+
+function renderPlantumlSequence(model, warn) {
+  const alias = createIdAllocator('p');
+  const name = (id) => alias(id);
+  let code = '@startuml\n';
+  if (model.title) {
+    code += `title ${model.title}\n`;
+  }
+  if (model.autonumber) {
+    code += 'autonumber\n';
+  }
+  model.participants.forEach(participant => {
+    const keyword = participant.kind === 'actor' ? 'actor' : 'participant';
+    code += participant.label !== participant.id || name(participant.id) !== participant.id
+      ? `${keyword} ${plantumlString(participant.label)} as ${name(participant.id)}\n`
+      : `${keyword} ${participant.id}\n`;
+  });
+
+  let depth = 0;
+  const skipped = [];
+  const line = (text, offset = 0) => {
+    code += `${'  '.repeat(Math.max(depth + offset, 0))}${text}\n`;
+  };
+  const text = (value) => String(value).replace(/<br\s*\/?>/gi, '\\n').replace(/#59;/g, ';');
+  model.events.forEach(event => {
+    switch (event.kind) {
+      case 'message':
+        if (event.arrow === '->' || event.arrow === '-->') {
+          warn('Messages without arrowheads (-> and -->) are drawn with arrowheads');
+        }
+        line(`${name(event.from)} ${PLANTUML_ARROWS[event.arrow]} ${name(event.to)}${event.activate ? ' ++' : event.deactivate ? ' --' : ''}${event.text ? ` : ${text(event.text)}` : ''}`);
+        break;
+      case 'activate':
+      case 'deactivate':
+        line(`${event.kind} ${name(event.participant)}`);
+        break;
+      case 'note':
+        line(`note ${event.placement} ${event.participants.map(name).join(', ')} : ${text(event.text)}`);
+        break;
+      case 'block':
+        if (event.block === 'rect' || event.block === 'box') {
+          warn(`${event.block} blocks are not converted`);
+          skipped.push(true);
+          return;
+        }
+        skipped.push(false);
+        line(`${event.block} ${text(event.label)}`.trimEnd());
+        depth++;
+        break;
+      case 'branch':
+        line(`${PLANTUML_BRANCHES[event.block]} ${text(event.label)}`.trimEnd(), -1);
+        break;
+      case 'end':
+        if (skipped.pop()) {
+          return;
+        }
+        depth--;
+        line('end');
+        break;
+    }
+  });
+  return `${code}@enduml\n`;
+}
+
+/* ------------------------------------------------------------------------ */
+/* draw.io (mxGraph XML)                                                    */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Parse "rounded=1;whiteSpace=wrap;rhombus" into { base, ...keys }
+ */
+function parseDrawioStyle(style) {
+  const properties = { base: null };
+  (style || '').split(';').forEach(part => {
+    if (!part) {
+      return;
+    }
+    const [key, value] = part.split('=');
+    if (value === undefined) {
+      properties.base = properties.base || key;
+      properties[key] = '1';
+    } else {
+      properties[key] = value;
+    }
+  });
+  return properties;
+}
+
+function drawioLabel(value, style) {
+  let text = value || '';
+  if (style.html === '1') {
+    text = text
+      .replace(/<br\s*\/?>|<\/(div|p)>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function drawioShape(style, geometry) {
+  const shape = style.shape || style.base;
+  switch (shape) {
+    case 'rhombus':
+      return 'decision';
+    case 'doubleEllipse':
+      return 'double-circle';
+    case 'ellipse':
+      return geometry.width === geometry.height ? 'circle' : 'terminal';
+    case 'cylinder':
+    case 'cylinder3':
+    case 'datastore':
+      return 'database';
+    case 'hexagon':
+      return 'hexagon';
+    case 'parallelogram':
+      return style.flipH === '1' ? 'parallelogram-alt' : 'parallelogram';
+    case 'process':
+      return 'subroutine';
+    case 'step':
+      return 'asymmetric';
+    default:
+      if (style.rounded === '1') {
+        return Number(style.arcSize) >= 40 ? 'terminal' : 'rounded';
+      }
+      return 'process';
+  }
+}
+
+/**
+ * Decompress a page stored as base64 deflate of URI-encoded XML
+ */
+function inflateDiagram(text) {
+  try {
+    return decodeURIComponent(inflateRawSync(Buffer.from(text.trim(), 'base64')).toString('utf8'));
+  } catch (error) {
+    throw new Error('Could not decompress the draw.io page');
+  }
+}
+
+/**
+ * Flatten <mxCell> and <UserObject>/<object> wrappers into cell records
+ */
+function drawioCells(root) {
+  return root.children.filter(child => child.name).map(element => {
+    const cell = element.name === 'mxCell' ? element : element.children.find(child => child.name === 'mxCell');
+    if (!cell) {
+      return null;
+    }
+    const attributes = { ...cell.attributes, ...(cell === element ? {} : { id: element.attributes.id, value: element.attributes.label }) };
+    const geometry = cell.children.find(child => child.name === 'mxGeometry')?.attributes || {};
+    return {
+      id: attributes.id,
+      value: attributes.value,
+      style: parseDrawioStyle(attributes.style),
+      vertex: attributes.vertex === '1',
+      edge: attributes.edge === '1',
+      parent: attributes.parent,
+      source: attributes.source,
+      target: attributes.target,
+      geometry: {
+        x: Number(geometry.x) || 0,
+        y: Number(geometry.y) || 0,
+        width: Number(geometry.width) || 0,
+        height: Number(geometry.height) || 0
+      }
+    };
+  }).filter(Boolean);
+}
+
+function readDrawio(source, warn) {
+  let document = parseXml(source);
+  let title = null;
+  if (document.name === 'mxfile') {
+    const pages = document.children.filter(child => child.name === 'diagram');
+    if (pages.length === 0) {
+      throw new Error('The draw.io file has no pages');
+    }
+    if (pages.length > 1) {
+      warn(`Only the first of ${pages.length} pages is converted`);
+    }
+    const page = pages[0];
+    title = /^Page-\d+$/.test(page.attributes.name || '') ? null : page.attributes.name || null;
+    document = page.children.find(child => child.name === 'mxGraphModel')
+      || parseXml(inflateDiagram(page.children.filter(child => child.text !== undefined).map(child => child.text).join('')));
+  }
+  if (document.name !== 'mxGraphModel') {
+    throw new Error('Expected an <mxfile> or <mxGraphModel> document');
+  }
+  const root = document.children.find(child => child.name === 'root');
+  const cells = drawioCells(root || { children: [] });
+  const byId = new Map(cells.map(cell => [cell.id, cell]));
+  const edgeIds = new Set(cells.filter(cell => cell.edge).map(cell => cell.id));
+
+  const model = createFlowModel('TD');
+  model.title = title;
+  const classFor = createClassRegistry(model, 'drawio');
+  const vertices = cells.filter(cell => cell.vertex && !edgeIds.has(cell.parent));
+  const parents = new Set(vertices.map(cell => cell.parent));
+  const isContainer = (cell) => parents.has(cell.id) || cell.style.swimlane === '1' || cell.style.container === '1' || cell.style.base === 'group';
+
+  // Absolute positions: child geometry is relative to its container
+  const absolute = (cell) => {
+    const parent = byId.get(cell.parent);
+    const offset = parent && parent.vertex ? absolute(parent) : { x: 0, y: 0 };
+    return { x: offset.x + cell.geometry.x, y: offset.y + cell.geometry.y };
+  };
+
+  const groups = new Map();
+  let groupCount = 0;
+  vertices.filter(isContainer).forEach(cell => {
+    groups.set(cell.id, { id: `group${++groupCount}`, title: drawioLabel(cell.value, cell.style), nodes: [], parent: null });
+  });
+  vertices.filter(isContainer).forEach(cell => {
+    groups.get(cell.id).parent = groups.get(cell.parent)?.id || null;
+  });
+  model.groups = [...groups.values()];
+
+  const nodes = new Map();
+  let freeText = 0;
+  vertices.filter(cell => !isContainer(cell)).forEach(cell => {
+    if (cell.style.base === 'text' && !cells.some(edge => edge.edge && (edge.source === cell.id || edge.target === cell.id))) {
+      freeText++;
+      return;
+    }
+    const node = addFlowNode(model, {
+      id: `n${nodes.size + 1}`,
+      label: drawioLabel(cell.value, cell.style),
+      shape: drawioShape(cell.style, cell.geometry),
+      className: classFor({
+        fill: /^#/.test(cell.style.fillColor || '') ? cell.style.fillColor : null,
+        stroke: /^#/.test(cell.style.strokeColor || '') ? cell.style.strokeColor : null,
+        color: /^#/.test(cell.style.fontColor || '') ? cell.style.fontColor : null
+      })
+    }, groups.get(cell.parent));
+    const position = absolute(cell);
+    nodes.set(cell.id, { node, x: position.x + cell.geometry.width / 2, y: position.y + cell.geometry.height / 2 });
+  });
+  if (freeText > 0) {
+    warn(`${freeText} free-standing text label(s) were skipped`);
+  }
+
+  // Edge labels can be child cells of the edge
+  const childLabels = new Map();
+  cells.filter(cell => cell.vertex && edgeIds.has(cell.parent)).forEach(cell => {
+    childLabels.set(cell.parent, [childLabels.get(cell.parent), drawioLabel(cell.value, cell.style)].filter(Boolean).join(' '));
+  });
+
+  let dx = 0;
+  let dy = 0;
+  cells.filter(cell => cell.edge).forEach(cell => {
+    let from = nodes.get(cell.source);
+    let to = nodes.get(cell.target);
+    if (!from || !to) {
+      warn(groups.has(cell.source) || groups.has(cell.target)
+        ? 'Edges to containers are not converted'
+        : 'Edges that are not connected at both ends are not converted');
+      return;
+    }
+    const style = cell.style;
+    const end = style.endArrow || 'classic';
+    const start = style.startArrow || 'none';
+    if (end === 'none' && start !== 'none') {
+      [from, to] = [to, from];
+    }
+    const head = end === 'none' ? start : end;
+    dx += to.x - from.x;
+    dy += to.y - from.y;
+    model.edges.push({
+      from: from.node.id,
+      to: to.node.id,
+      label: drawioLabel(cell.value, style) || childLabels.get(cell.id) || null,
+      style: style.strokeColor === 'none' || style.opacity === '0'
+        ? 'invisible'
+        : style.dashed === '1' ? 'dotted' : Number(style.strokeWidth) > 2 ? 'thick' : 'solid',
+      arrow: head === 'none' ? 'none' : head === 'oval' ? 'circle' : head === 'cross' ? 'cross' : 'arrow',
+      bidirectional: end !== 'none' && start !== 'none'
+    });
+  });
+
+  // Read the direction off the drawing: where do edges mostly point?
+  if (Math.abs(dx) > Math.abs(dy)) {
+    model.direction = dx >= 0 ? 'LR' : 'RL';
+  } else if (dy < 0) {
+    model.direction = 'BT';
+  }
+  if (model.nodes.size === 0) {
+    throw new Error('The draw.io page has no shapes');
+  }
+  return { type: 'flowchart', model };
+}
+
+const DRAWIO_STYLES = {
+  process: 'rounded=0;',
+  rounded: 'rounded=1;',
+  terminal: 'rounded=1;arcSize=50;',
+  decision: 'rhombus;',
+  circle: 'ellipse;aspect=fixed;',
+  'double-circle': 'ellipse;shape=doubleEllipse;aspect=fixed;',
+  database: 'shape=cylinder3;boundedLbl=1;backgroundOutline=1;size=15;',
+  subroutine: 'shape=process;backgroundOutline=1;',
+  hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;fixedSize=1;',
+  parallelogram: 'shape=parallelogram;perimeter=parallelogramPerimeter;fixedSize=1;',
+  'parallelogram-alt': 'shape=parallelogram;perimeter=parallelogramPerimeter;fixedSize=1;flipH=1;',
+  asymmetric: 'shape=step;perimeter=stepPerimeter;fixedSize=1;'
+};
+
+const DRAWIO_NODE = { width: 140, height: 60, gap: 60 };
+const DRAWIO_GROUP_PADDING = { side: 20, top: 40 };
+
+function xmlAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+}
+
+/**
+ * Rank nodes by longest path from the roots; cycles are broken in
+ * declaration order
+ */
+function rankNodes(model) {
+  const order = [...model.nodes.keys()];
+  const indegree = new Map(order.map(id => [id, 0]));
+  const targets = new Map(order.map(id => [id, []]));
+  model.edges.forEach(({ from, to }) => {
+    if (from !== to && targets.has(from) && indegree.has(to)) {
+      targets.get(from).push(to);
+      indegree.set(to, indegree.get(to) + 1);
+    }
+  });
+  const rank = new Map(order.map(id => [id, 0]));
+  const done = new Set();
+  while (done.size < order.length) {
+    const next = order.find(id => !done.has(id) && indegree.get(id) === 0) || order.find(id => !done.has(id));
+    done.add(next);
+    targets.get(next).forEach(to => {
+      if (!done.has(to)) {
+        indegree.set(to, indegree.get(to) - 1);
+        rank.set(to, Math.max(rank.get(to), rank.get(next) + 1));
+      }
+    });
+  }
+  return rank;
+}
+
+function renderDrawio(model) {
+  const rank = rankNodes(model);
+  const maxRank = Math.max(0, ...rank.values());
+  const horizontal = model.direction === 'LR' || model.direction === 'RL';
+  const reversed = model.direction === 'BT' || model.direction === 'RL';
+  const slots = new Map();
+  const boxes = new Map();
+
+  model.nodes.forEach(node => {
+    const level = reversed ? maxRank - rank.get(node.id) : rank.get(node.id);
+    const index = slots.get(level) || 0;
+    slots.set(level, index + 1);
+    const along = 40 + level * ((horizontal ? DRAWIO_NODE.width : DRAWIO_NODE.height) + DRAWIO_NODE.gap);
+    const across = 40 + index * ((horizontal ? DRAWIO_NODE.height : DRAWIO_NODE.width) + DRAWIO_NODE.gap);
+    const square = ['circle', 'double-circle', 'decision'].includes(node.shape);
+    boxes.set(node.id, {
+      x: horizontal ? along : across,
+      y: horizontal ? across : along,
+      width: square ? DRAWIO_NODE.height + 20 : DRAWIO_NODE.width,
+      height: square ? DRAWIO_NODE.height + 20 : DRAWIO_NODE.height
+    });
+  });
+
+  // Containers wrap their nodes and nested containers
+  const groupBoxes = new Map();
+  const groupBox = (group) => {
+    if (!groupBoxes.has(group.id)) {
+      const inner = [
+        ...group.nodes.map(id => boxes.get(id)),
+        ...model.groups.filter(child => child.parent === group.id).map(groupBox)
+      ].filter(Boolean);
+      const left = Math.min(...inner.map(box => box.x)) - DRAWIO_GROUP_PADDING.side;
+      const top = Math.min(...inner.map(box => box.y)) - DRAWIO_GROUP_PADDING.top;
+      groupBoxes.set(group.id, {
+        x: left,
+        y: top,
+        width: Math.max(...inner.map(box => box.x + box.width)) + DRAWIO_GROUP_PADDING.side - left,
+        height: Math.max(...inner.map(box => box.y + box.height)) + DRAWIO_GROUP_PADDING.side - top
+      });
+    }
+    return groupBoxes.get(group.id);
+  };
+  model.groups.forEach(groupBox);
+
+  // Container padding can reach past the page origin; shift everything back
+  const all = [...boxes.values(), ...groupBoxes.values()];
+  const shiftX = 40 - Math.min(...all.map(box => box.x));
+  const shiftY = 40 - Math.min(...all.map(box => box.y));
+  all.forEach(box => {
+    box.x += shiftX;
+    box.y += shiftY;
+  });
+
+  const cellId = (id) => `node-${id}`;
+  const groupCellId = (id) => `group-${id}`;
+  const geometry = (box, parentBox) => `<mxGeometry x="${box.x - (parentBox ? parentBox.x : 0)}" y="${box.y - (parentBox ? parentBox.y : 0)}" width="${box.width}" height="${box.height}" as="geometry" />`;
+  let cellsXml = '        <mxCell id="0" />\n        <mxCell id="1" parent="0" />\n';
+
+  const renderGroup = (group) => {
+    const parent = group.parent ? groupCellId(group.parent) : '1';
+    cellsXml += `        <mxCell id="${xmlAttribute(groupCellId(group.id))}" value="${xmlAttribute(group.title)}" style="swimlane;startSize=30;container=1;collapsible=0;" vertex="1" parent="${xmlAttribute(parent)}">${geometry(groupBox(group), group.parent ? groupBoxes.get(group.parent) : null)}</mxCell>\n`;
+    model.groups.filter(child => child.parent === group.id).forEach(renderGroup);
+  };
+  model.groups.filter(group => !group.parent).forEach(renderGroup);
+
+  model.nodes.forEach(node => {
+    const colours = nodeStyle(model, node);
+    const style = [
+      DRAWIO_STYLES[node.shape] || DRAWIO_STYLES.process,
+      colours.fill ? `fillColor=${colours.fill};` : '',
+      colours.stroke ? `strokeColor=${colours.stroke};` : '',
+      colours.color ? `fontColor=${colours.color};` : ''
+    ].join('');
+    const parent = node.group ? groupCellId(node.group) : '1';
+    cellsXml += `        <mxCell id="${xmlAttribute(cellId(node.id))}" value="${xmlAttribute(node.label)}" style="${xmlAttribute(style)}" vertex="1" parent="${xmlAttribute(parent)}">${geometry(boxes.get(node.id), node.group ? groupBoxes.get(node.group) : null)}</mxCell>\n`;
+  });
+
+  model.edges.forEach((edge, index) => {
+    const style = [
+      'edgeStyle=orthogonalEdgeStyle;rounded=0;',
+      { dotted: 'dashed=1;', thick: 'strokeWidth=3;', invisible: 'strokeColor=none;' }[edge.style] || '',
+      { none: 'endArrow=none;', circle: 'endArrow=oval;endFill=0;', cross: 'endArrow=cross;' }[edge.arrow] || '',
+      edge.bidirectional ? 'startArrow=classic;' : ''
+    ].join('');
+    cellsXml += `        <mxCell id="edge-${index + 1}" value="${xmlAttribute(edge.label || '')}" style="${style}" edge="1" parent="1" source="${xmlAttribute(cellId(edge.from))}" target="${xmlAttribute(cellId(edge.to))}"><mxGeometry relative="1" as="geometry" /></mxCell>\n`;
+  });
+
+  return '<mxfile host="canvas-pro">\n'
+    + `  <diagram name="${xmlAttribute(model.title || 'Page-1')}" id="diagram-1">\n`
+    + '    <mxGraphModel grid="1" gridSize="10" guides="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" math="0" shadow="0">\n'
+    + '      <root>\n'
+    + cellsXml
+    + '      </root>\n'
+    + '    </mxGraphModel>\n'
+    + '  </diagram>\n'
+    + '</mxfile>\n';
+}
+
+/* ------------------------------------------------------------------------ */
+/* Conversion                                                               */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Convert a diagram between formats
+ * Options: from (detected when omitted), to, and diagramType to read
+ * PlantUML as "flowchart" or "sequence" when detection guesses wrong.
+ * Returns { code, from, to, diagram_type, warnings }
+ */
+export function convertDiagram(source, { from, to, diagramType } = {}) {
+  const warnings = new Set();
+  const warn = (message) => warnings.add(message);
+  const sourceFormat = from || detectFormat(source);
+  if (!DIAGRAM_FORMATS.includes(sourceFormat) || !DIAGRAM_FORMATS.includes(to)) {
+    throw new Error(`Formats must be one of ${DIAGRAM_FORMATS.join(', ')}`);
+  }
+
+  let parsed;
+  switch (sourceFormat) {
+    case 'mermaid':
+      parsed = readMermaid(source, warn);
+      break;
+    case 'dot':
+      parsed = readDot(source);
+      break;
+    case 'plantuml':
+      parsed = readPlantuml(source, diagramType, warn);
+      break;
+    case 'drawio':
+      parsed = readDrawio(source, warn);
+      break;
+  }
+  if (diagramType && parsed.type !== diagramType) {
+    throw new Error(`Expected a ${diagramType} diagram but the ${sourceFormat} source is a ${parsed.type} diagram`);
+  }
+  if (parsed.type === 'sequence' && !SEQUENCE_FORMATS.includes(to)) {
+    throw new Error(`Sequence diagrams can only be converted to ${SEQUENCE_FORMATS.join(' or ')}, not ${to}`);
+  }
+
+  let code;
+  if (parsed.type === 'sequence') {
+    code = to === 'mermaid' ? renderMermaidSequence(parsed.model) : renderPlantumlSequence(parsed.model, warn);
+  } else {
+    switch (to) {
+      case 'mermaid':
+        code = renderMermaidFlowchart(parsed.model);
+        break;
+      case 'dot':
+        code = renderDot(parsed.model, warn);
+        break;
+      case 'plantuml':
+        code = renderPlantumlFlowchart(parsed.model, warn);
+        break;
+      case 'drawio':
+        if (parsed.model.edges.some(edge => edge.style === 'invisible')) {
+          warn('Invisible edges are kept as uncoloured edges and do not affect the draw.io layout');
+        }
+        code = renderDrawio(parsed.model);
+        break;
+    }
+  }
+
+  return { code, from: sourceFormat, to, diagram_type: parsed.type, warnings: [...warnings] };
+}
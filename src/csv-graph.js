@@ -0,0 +1,218 @@
+/**
+ * CSV column mapping to graph models
+ * Turns edge lists (source, target, edge label) and parent/child tables
+ * (id, name, parent) into the structured model rendered by graph-builder,
+ * so a "from,to,label" CSV becomes a real graph and an
+ * "id,name,manager_id" CSV an org chart.
+ */
+
+import { createIdAllocator } from './graph-builder.js';
+
+const SOURCE_COLUMNS = ['from', 'source', 'src', 'origin'];
+const TARGET_COLUMNS = ['to', 'target', 'dst', 'dest', 'destination'];
+const EDGE_LABEL_COLUMNS = ['label', 'relation', 'relationship', 'action'];
+const ID_COLUMNS = ['id', 'key', 'employee_id', 'node_id'];
+const PARENT_COLUMNS = ['parent', 'parent_id', 'manager', 'manager_id', 'reports_to', 'supervisor', 'supervisor_id'];
+const NODE_LABEL_COLUMNS = ['name', 'label', 'title'];
+
+/**
+ * Resolve column names case-insensitively against the CSV header
+ */
+function createColumnFinder(fields) {
+  const normalize = (name) => String(name).trim().toLowerCase();
+  return {
+    require(name) {
+      const match = fields.find(field => normalize(field) === normalize(name));
+      if (!match) {
+        throw new Error(`Column "${name}" not found. Available columns: ${fields.join(', ')}`);
+      }
+      return match;
+    },
+    detect(candidates) {
+      return fields.find(field => candidates.includes(normalize(field).replace(/[\s-]+/g, '_'))) || null;
+    }
+  };
+}
+
+function cell(row, column) {
+  return column ? String(row[column] ?? '').trim() : '';
+}
+
+/**
+ * Collect nodes into groups by a group column value
+ */
+function createGrouping() {
+  const groupId = createIdAllocator('g');
+  const groups = new Map();
+  const assigned = new Set();
+  return {
+    assign(nodeId, name) {
+      if (!name || assigned.has(nodeId)) {
+        return;
+      }
+      assigned.add(nodeId);
+      if (!groups.has(name)) {
+        groups.set(name, { id: groupId(name), label: name, nodes: [] });
+      }
+      groups.get(name).nodes.push(nodeId);
+    },
+    list() {
+      return [...groups.values()];
+    }
+  };
+}
+
+/**
+ * Edge list: one row per edge, nodes created on first mention
+ */
+function edgeListToGraph(rows, columns) {
+  const nodeId = createIdAllocator('n');
+  const nodes = new Map();
+  const edges = [];
+  const grouping = createGrouping();
+
+  const addNode = (name) => {
+    const id = nodeId(name);
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, label: name });
+    }
+    return id;
+  };
+
+  rows.forEach(row => {
+    const source = cell(row, columns.source);
+    const target = cell(row, columns.target);
+    if (!source && !target) {
+      return;
+    }
+    const from = source ? addNode(source) : null;
+    const to = target ? addNode(target) : null;
+    // The group column describes the row's source node
+    grouping.assign(from || to, cell(row, columns.group));
+    if (from && to) {
+      const label = cell(row, columns.edgeLabel);
+      edges.push(label ? { from, to, label } : { from, to });
+    }
+  });
+
+  return { direction: 'LR', nodes: [...nodes.values()], edges, groups: grouping.list() };
+}
+
+/**
+ * Parent/child table: one row per node, edges run from parent to child
+ */
+function treeToGraph(rows, columns) {
+  const nodeId = createIdAllocator('n');
+  const nodes = new Map();
+  const parents = new Map();
+  const grouping = createGrouping();
+
+  rows.forEach((row, index) => {
+    const key = cell(row, columns.id);
+    if (!key) {
+      throw new Error(`Row ${index + 1} has no value in the "${columns.id}" column`);
+    }
+    const id = nodeId(key);
+    if (nodes.has(id) && !nodes.get(id).placeholder) {
+      throw new Error(`Duplicate id "${key}" in the "${columns.id}" column`);
+    }
+    nodes.set(id, { id, label: cell(row, columns.label) || key, shape: 'rounded' });
+    grouping.assign(id, cell(row, columns.group));
+
+    const parentKey = cell(row, columns.parent);
+    if (parentKey) {
+      const parentId = nodeId(parentKey);
+      if (!nodes.has(parentId)) {
+        // Parents missing from the file still appear, labelled by their id
+        nodes.set(parentId, { id: parentId, label: parentKey, shape: 'rounded', placeholder: true });
+      }
+      parents.set(id, { parentId, label: cell(row, columns.edgeLabel) });
+    }
+  });
+
+  parents.forEach((_, start) => {
+    const path = [start];
+    let current = parents.get(start)?.parentId;
+    while (current) {
+      if (current === start) {
+        const labels = [...path, start].map(id => nodes.get(id).label);
+        throw new Error(`Cycle in the "${columns.parent}" column: ${labels.join(' -> ')}`);
+      }
+      if (path.includes(current)) {
+        break;
+      }
+      path.push(current);
+      current = parents.get(current)?.parentId;
+    }
+  });
+
+  const edges = [...parents.entries()].map(([id, { parentId, label }]) => (
+    label ? { from: parentId, to: id, label } : { from: parentId, to: id }
+  ));
+
+  return {
+    direction: 'TD',
+    nodes: [...nodes.values()].map(({ placeholder, ...node }) => node),
+    edges,
+    groups: grouping.list()
+  };
+}
+
+/**
+ * Map CSV rows to a graph model
+ * Options: sourceColumn, targetColumn, edgeLabelColumn, groupColumn,
+ * idColumn, labelColumn and parentColumn. Columns that are not given are
+ * detected from common header names (from/to, id/parent_id/manager_id).
+ * Returns null when the table is neither an edge list nor a tree.
+ */
+export function mapCsvToGraph(rows, fields, options = {}) {
+  const columns = createColumnFinder(fields);
+  const pick = (explicit, candidates) => (explicit ? columns.require(explicit) : columns.detect(candidates));
+
+  const group = options.groupColumn ? columns.require(options.groupColumn) : null;
+  let parent = options.parentColumn ? columns.require(options.parentColumn) : null;
+  let source = options.sourceColumn ? columns.require(options.sourceColumn) : null;
+  let target = options.targetColumn ? columns.require(options.targetColumn) : null;
+
+  if (parent && (source || target)) {
+    throw new Error('Map either source and target columns or a parent column, not both');
+  }
+
+  if (!source && !target && !parent) {
+    source = columns.detect(SOURCE_COLUMNS);
+    target = columns.detect(TARGET_COLUMNS);
+    if (!source || !target) {
+      source = null;
+      target = null;
+      parent = columns.detect(PARENT_COLUMNS);
+    }
+  }
+
+  if (source || target) {
+    source = source || columns.detect(SOURCE_COLUMNS);
+    target = target || columns.detect(TARGET_COLUMNS);
+    if (!source || !target) {
+      throw new Error(`Edge lists need both a source and a target column. Available columns: ${fields.join(', ')}`);
+    }
+    let edgeLabel = pick(options.edgeLabelColumn, EDGE_LABEL_COLUMNS);
+    if ([source, target, group].includes(edgeLabel)) {
+      edgeLabel = null;
+    }
+    return edgeListToGraph(rows, { source, target, edgeLabel, group });
+  }
+
+  if (!parent) {
+    if (options.idColumn || options.edgeLabelColumn) {
+      throw new Error('Map a parent column for trees, or source and target columns for edge lists');
+    }
+    return null;
+  }
+
+  const id = pick(options.idColumn, ID_COLUMNS) || fields.find(field => field !== parent);
+  if (!id || id === parent) {
+    throw new Error(`Trees need an id column besides the "${parent}" column`);
+  }
+  const label = pick(options.labelColumn, NODE_LABEL_COLUMNS);
+  const edgeLabel = options.edgeLabelColumn ? columns.require(options.edgeLabelColumn) : null;
+  return treeToGraph(rows, { id, label, parent, edgeLabel, group });
+}
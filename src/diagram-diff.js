@@ -0,0 +1,411 @@
+/**
+ * Semantic diagram diff
+ * Compares two Mermaid flowcharts or sequence diagrams by their parsed
+ * models rather than by lines: nodes and participants are matched by id,
+ * or by label when only the id changed, and edges and messages are compared
+ * after applying those renames. Flowchart diffs also come with a merged
+ * diagram that highlights additions and removals.
+ */
+
+import { parseMermaid } from './mermaid-parser.js';
+import { renderFlowchart } from './flowchart.js';
+
+export const DIFFABLE_TYPES = ['flowchart', 'sequence'];
+
+const DIFF_CLASSES = {
+  diffAdded: 'fill:#d3f9d8,stroke:#2b8a3e,stroke-width:2px,color:#0b3d1a',
+  diffRemoved: 'fill:#ffe3e3,stroke:#c92a2a,stroke-width:2px,stroke-dasharray:4 3,color:#5c0f0f',
+  diffChanged: 'fill:#fff3bf,stroke:#e67700,stroke-width:2px,color:#4a2a00'
+};
+
+const LINK_COLOURS = {
+  added: 'stroke:#2b8a3e,stroke-width:2px',
+  removed: 'stroke:#c92a2a,stroke-width:2px,stroke-dasharray:4 3',
+  changed: 'stroke:#e67700,stroke-width:2px'
+};
+
+function readDiagram(code, side) {
+  const { diagram_type: type, model, diagnostics } = parseMermaid(code);
+  const error = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+  if (error) {
+    throw new Error(`${side} diagram, line ${error.line}: ${error.message}`);
+  }
+  if (!DIFFABLE_TYPES.includes(type)) {
+    throw new Error(`Only flowchart and sequence diagrams can be diffed, not ${type}`);
+  }
+  return { type, model };
+}
+
+/**
+ * Pair ids that only exist on one side when their labels match
+ * Returns Map(oldId -> newId); ambiguous labels are left unpaired.
+ */
+function matchRenames(removed, added) {
+  const renames = new Map();
+  const byLabel = (items) => {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = String(item.label).trim().toLowerCase();
+      groups.set(key, [...(groups.get(key) || []), item]);
+    });
+    return groups;
+  };
+  const addedByLabel = byLabel(added);
+  byLabel(removed).forEach((candidates, label) => {
+    const targets = addedByLabel.get(label);
+    if (candidates.length === 1 && targets && targets.length === 1) {
+      renames.set(candidates[0].id, targets[0].id);
+    }
+  });
+  return renames;
+}
+
+/**
+ * Compare two keyed collections, pairing repeats by occurrence
+ * Returns { both: [[old, new]], onlyOld, onlyNew }
+ */
+function matchByKey(oldItems, newItems, keyOf) {
+  const pending = new Map();
+  oldItems.forEach(item => {
+    const key = keyOf(item);
+    pending.set(key, [...(pending.get(key) || []), item]);
+  });
+  const both = [];
+  const onlyNew = [];
+  newItems.forEach(item => {
+    const queue = pending.get(keyOf(item));
+    if (queue && queue.length > 0) {
+      both.push([queue.shift(), item]);
+    } else {
+      onlyNew.push(item);
+    }
+  });
+  const onlyOld = [...pending.values()].flat();
+  return { both, onlyOld, onlyNew };
+}
+
+function change(from, to) {
+  return { from: from ?? null, to: to ?? null };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Flowchart                                                                */
+/* ------------------------------------------------------------------------ */
+
+function edgeSummary(edge) {
+  return { from: edge.from, to: edge.to, label: edge.label || null };
+}
+
+function diffFlowcharts(before, after) {
+  const oldNodes = [...before.nodes.values()];
+  const newNodes = [...after.nodes.values()];
+  const renames = matchRenames(
+    oldNodes.filter(node => !after.nodes.has(node.id)),
+    newNodes.filter(node => !before.nodes.has(node.id))
+  );
+  const renamedTo = new Set(renames.values());
+  const mapId = (id) => renames.get(id) || id;
+
+  const nodes = {
+    added: newNodes.filter(node => !before.nodes.has(node.id) && !renamedTo.has(node.id))
+      .map(node => ({ id: node.id, label: node.label })),
+    removed: oldNodes.filter(node => !after.nodes.has(node.id) && !renames.has(node.id))
+      .map(node => ({ id: node.id, label: node.label })),
+    renamed: [...renames].map(([from, to]) => ({ from, to, label: after.nodes.get(to).label })),
+    changed: []
+  };
+
+  oldNodes.forEach(node => {
+    const next = after.nodes.get(mapId(node.id));
+    if (!next) {
+      return;
+    }
+    const entry = { id: next.id };
+    if (node.label !== next.label) {
+      entry.label = change(node.label, next.label);
+    }
+    if (node.shape !== next.shape) {
+      entry.shape = change(node.shape, next.shape);
+    }
+    if ((node.group || null) !== (next.group || null)) {
+      entry.group = change(node.group, next.group);
+    }
+    if (Object.keys(entry).length > 1) {
+      nodes.changed.push(entry);
+    }
+  });
+
+  // Edges are compared after renaming old endpoints
+  const oldEdges = before.edges.map(edge => ({ ...edge, from: mapId(edge.from), to: mapId(edge.to) }));
+  const endpoints = (edge) => `${edge.from}\u0000${edge.to}`;
+  const exact = matchByKey(oldEdges, after.edges, edge => `${endpoints(edge)}\u0000${edge.label || ''}\u0000${edge.style}\u0000${edge.arrow}`);
+  const loose = matchByKey(exact.onlyOld, exact.onlyNew, endpoints);
+  const edges = {
+    added: loose.onlyNew.map(edgeSummary),
+    removed: loose.onlyOld.map(edgeSummary),
+    changed: loose.both.map(([edge, next]) => {
+      const entry = { from: next.from, to: next.to };
+      if ((edge.label || null) !== (next.label || null)) {
+        entry.label = change(edge.label, next.label);
+      }
+      if (edge.style !== next.style || edge.arrow !== next.arrow) {
+        entry.link = change(`${edge.style} ${edge.arrow}`, `${next.style} ${next.arrow}`);
+      }
+      return entry;
+    })
+  };
+
+  const groups = {
+    added: after.groups.filter(group => !before.groups.some(old => old.id === group.id))
+      .map(group => ({ id: group.id, title: group.title })),
+    removed: before.groups.filter(group => !after.groups.some(next => next.id === group.id))
+      .map(group => ({ id: group.id, title: group.title })),
+    changed: before.groups.flatMap(group => {
+      const next = after.groups.find(candidate => candidate.id === group.id);
+      return next && next.title !== group.title ? [{ id: group.id, title: change(group.title, next.title) }] : [];
+    })
+  };
+
+  const diff = { nodes, edges, groups };
+  if (before.direction !== after.direction) {
+    diff.direction = change(before.direction, after.direction);
+  }
+  return {
+    diff,
+    mermaidCode: renderFlowchartDiff(before, after, { nodes, renames, loose })
+  };
+}
+
+/**
+ * Merged flowchart: the new diagram plus removed nodes and edges,
+ * coloured with classDef and linkStyle
+ */
+function renderFlowchartDiff(before, after, { nodes, renames, loose }) {
+  const merged = {
+    direction: after.direction,
+    nodes: new Map([...after.nodes].map(([id, node]) => [id, { ...node }])),
+    edges: [],
+    groups: after.groups.map(group => ({ ...group, nodes: [...group.nodes] })),
+    classDefs: new Map([...(after.classDefs || new Map()), ...Object.entries(DIFF_CLASSES)])
+  };
+
+  nodes.added.forEach(({ id }) => {
+    merged.nodes.get(id).className = 'diffAdded';
+  });
+  [...nodes.changed.map(entry => entry.id), ...renames.values()].forEach(id => {
+    merged.nodes.get(id).className = 'diffChanged';
+  });
+
+  // Removed groups come back so their removed nodes have somewhere to go
+  before.groups
+    .filter(group => !merged.groups.some(existing => existing.id === group.id))
+    .forEach(group => merged.groups.push({ id: group.id, title: group.title, nodes: [], parent: group.parent }));
+  nodes.removed.forEach(({ id }) => {
+    const node = before.nodes.get(id);
+    merged.nodes.set(id, { ...node, className: 'diffRemoved' });
+    const group = node.group && merged.groups.find(candidate => candidate.id === node.group);
+    if (group) {
+      group.nodes.push(id);
+    }
+  });
+  merged.groups = merged.groups.filter(group => group.nodes.length > 0 || merged.groups.some(child => child.parent === group.id));
+
+  const linkStyles = [];
+  const push = (edge, status) => {
+    if (status) {
+      linkStyles.push(`    linkStyle ${merged.edges.length} ${LINK_COLOURS[status]}`);
+    }
+    merged.edges.push(edge);
+  };
+  const changedEdges = new Set(loose.both.map(([, next]) => next));
+  const addedEdges = new Set(loose.onlyNew);
+  after.edges.forEach(edge => push(edge, addedEdges.has(edge) ? 'added' : changedEdges.has(edge) ? 'changed' : null));
+  loose.onlyOld.forEach(edge => push({ ...edge, style: edge.style === 'invisible' ? 'solid' : edge.style }, 'removed'));
+
+  const code = renderFlowchart(merged);
+  return linkStyles.length > 0 ? `${code}${linkStyles.join('\n')}\n` : code;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Sequence diagram                                                         */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Longest common subsequence of two key lists
+ * Returns matched index pairs in order.
+ */
+function commonSubsequence(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+function messageSummary(message) {
+  return { from: message.from, to: message.to, text: message.text };
+}
+
+function diffSequences(before, after) {
+  const oldParticipants = [...before.participants.values()];
+  const newParticipants = [...after.participants.values()];
+  const renames = matchRenames(
+    oldParticipants.filter(participant => !after.participants.has(participant.id)),
+    newParticipants.filter(participant => !before.participants.has(participant.id))
+  );
+  const renamedTo = new Set(renames.values());
+  const mapId = (id) => renames.get(id) || id;
+
+  const participants = {
+    added: newParticipants.filter(participant => !before.participants.has(participant.id) && !renamedTo.has(participant.id))
+      .map(participant => ({ id: participant.id, label: participant.label })),
+    removed: oldParticipants.filter(participant => !after.participants.has(participant.id) && !renames.has(participant.id))
+      .map(participant => ({ id: participant.id, label: participant.label })),
+    renamed: [...renames].map(([from, to]) => ({ from, to, label: after.participants.get(to).label })),
+    changed: oldParticipants.flatMap(participant => {
+      const next = after.participants.get(mapId(participant.id));
+      if (!next) {
+        return [];
+      }
+      const entry = { id: next.id };
+      if (participant.label !== next.label) {
+        entry.label = change(participant.label, next.label);
+      }
+      if (participant.kind !== next.kind) {
+        entry.kind = change(participant.kind, next.kind);
+      }
+      return Object.keys(entry).length > 1 ? [entry] : [];
+    })
+  };
+
+  const oldMessages = before.events.filter(event => event.kind === 'message')
+    .map(message => ({ ...message, from: mapId(message.from), to: mapId(message.to) }));
+  const newMessages = after.events.filter(event => event.kind === 'message');
+  const keyOf = (message) => `${message.from}\u0000${message.to}\u0000${message.text}\u0000${message.arrow}`;
+  const pairs = commonSubsequence(oldMessages.map(keyOf), newMessages.map(keyOf));
+
+  // Between matched messages, a removed and an added message with the same
+  // endpoints are one changed message
+  const messages = { added: [], removed: [], changed: [] };
+  let i = 0;
+  let j = 0;
+  [...pairs, [oldMessages.length, newMessages.length]].forEach(([nextOld, nextNew]) => {
+    const gapOld = oldMessages.slice(i, nextOld);
+    const gapNew = newMessages.slice(j, nextNew);
+    const { both, onlyOld, onlyNew } = matchByKey(gapOld, gapNew, message => `${message.from}\u0000${message.to}`);
+    both.forEach(([message, next]) => {
+      const entry = { from: next.from, to: next.to };
+      if (message.text !== next.text) {
+        entry.text = change(message.text, next.text);
+      }
+      if (message.arrow !== next.arrow) {
+        entry.arrow = change(message.arrow, next.arrow);
+      }
+      messages.changed.push(entry);
+    });
+    messages.removed.push(...onlyOld.map(messageSummary));
+    messages.added.push(...onlyNew.map(messageSummary));
+    i = nextOld + 1;
+    j = nextNew + 1;
+  });
+
+  return { diff: { participants, messages }, mermaidCode: null };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Entry point                                                              */
+/* ------------------------------------------------------------------------ */
+
+function countChanges(diff) {
+  const totals = { added: 0, removed: 0, changed: 0 };
+  Object.values(diff).forEach(section => {
+    if (section.added) {
+      totals.added += section.added.length;
+      totals.removed += section.removed.length;
+      totals.changed += section.changed.length + (section.renamed ? section.renamed.length : 0);
+    } else {
+      totals.changed += 1;
+    }
+  });
+  return totals;
+}
+
+/**
+ * Diff two Mermaid sources of the same diagram type
+ * Returns { diagram_type, identical, summary, changes, mermaid_code } where
+ * mermaid_code highlights the changes (flowcharts) or is the new diagram.
+ */
+export function diffDiagrams(oldCode, newCode) {
+  const before = readDiagram(oldCode, 'Old');
+  const after = readDiagram(newCode, 'New');
+  if (before.type !== after.type) {
+    throw new Error(`Cannot diff a ${before.type} diagram against a ${after.type} diagram`);
+  }
+
+  const { diff, mermaidCode } = before.type === 'flowchart'
+    ? diffFlowcharts(before.model, after.model)
+    : diffSequences(before.model, after.model);
+  const summary = countChanges(diff);
+
+  return {
+    diagram_type: before.type,
+    identical: summary.added + summary.removed + summary.changed === 0,
+    summary,
+    changes: diff,
+    mermaid_code: mermaidCode || newCode
+  };
+}
+
+/**
+ * One line per change, for tool text output
+ */
+export function describeDiff({ changes }) {
+  const lines = [];
+  const name = (item) => (item.label && item.label !== item.id ? `${item.id} "${item.label}"` : item.id);
+  const link = (item) => `${item.from} → ${item.to}`;
+  const fields = (entry) => Object.entries(entry)
+    .filter(([, value]) => value && typeof value === 'object')
+    .map(([key, value]) => `${key} "${value.from ?? ''}" → "${value.to ?? ''}"`)
+    .join(', ');
+
+  if (changes.direction) {
+    lines.push(`direction ${changes.direction.from} → ${changes.direction.to}`);
+  }
+  [['nodes', 'node'], ['participants', 'participant'], ['groups', 'subgraph']].forEach(([section, noun]) => {
+    const part = changes[section];
+    if (!part) {
+      return;
+    }
+    part.added.forEach(item => lines.push(`added ${noun} ${name(item)}`));
+    part.removed.forEach(item => lines.push(`removed ${noun} ${name(item)}`));
+    (part.renamed || []).forEach(item => lines.push(`renamed ${noun} ${item.from} to ${item.to}`));
+    part.changed.forEach(item => lines.push(`changed ${noun} ${item.id}: ${fields(item)}`));
+  });
+  [['edges', 'edge'], ['messages', 'message']].forEach(([section, noun]) => {
+    const part = changes[section];
+    if (!part) {
+      return;
+    }
+    const text = (item) => item.label || item.text;
+    part.added.forEach(item => lines.push(`added ${noun} ${link(item)}${text(item) ? ` "${text(item)}"` : ''}`));
+    part.removed.forEach(item => lines.push(`removed ${noun} ${link(item)}${text(item) ? ` "${text(item)}"` : ''}`));
+    part.changed.forEach(item => lines.push(`changed ${noun} ${link(item)}: ${fields(item)}`));
+  });
+  return lines;
+}
@@ -0,0 +1,187 @@
+/**
+ * Diagram store
+ * Keeps saved diagrams in one JSON file under the data directory. The file
+ * is read once at startup and rewritten atomically (temp file + rename)
+ * after every change, so a crash never leaves half a file behind.
+ * Every change to a diagram's code is kept as a numbered revision.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+const STORE_FILE = 'diagrams.json';
+const STORE_VERSION = 2;
+const MAX_REVISIONS = 100;
+
+/**
+ * Short URL-safe ids, e.g. "mX3k9Qa_"
+ */
+function createId() {
+  return randomBytes(6).toString('base64url');
+}
+
+function copy({ revisions, ...record }) {
+  return { ...record, tags: [...record.tags] };
+}
+
+/**
+ * Listing entries leave out the code, source input and history
+ */
+function summarize({ mermaid_code: mermaidCode, source_input: sourceInput, revisions, ...summary }) {
+  return { ...summary, tags: [...summary.tags] };
+}
+
+function snapshot(record, savedAt) {
+  return {
+    revision: record.revision,
+    title: record.title,
+    diagram_type: record.diagram_type,
+    mermaid_code: record.mermaid_code,
+    saved_at: savedAt
+  };
+}
+
+function addRevision(record, savedAt) {
+  record.revisions.push(snapshot(record, savedAt));
+  if (record.revisions.length > MAX_REVISIONS) {
+    record.revisions.splice(0, record.revisions.length - MAX_REVISIONS);
+  }
+}
+
+/**
+ * Open (or create) the store in dataDir
+ * Records are { id, title, diagram_type, mermaid_code, tags, source_input,
+ * revision, created_at, updated_at }; the newest MAX_REVISIONS versions of
+ * the code are kept per diagram.
+ */
+export function createDiagramStore(dataDir) {
+  const file = join(dataDir, STORE_FILE);
+  const diagrams = new Map();
+
+  mkdirSync(dataDir, { recursive: true });
+  if (existsSync(file)) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read diagram store ${file}: ${error.message}`);
+    }
+    (data.diagrams || []).forEach(record => {
+      // Version 1 files have no history: start it at the current code
+      if (!record.revisions) {
+        record.revision = 1;
+        record.revisions = [snapshot(record, record.updated_at)];
+      }
+      diagrams.set(record.id, record);
+    });
+  }
+
+  const persist = () => {
+    const temp = `${file}.${process.pid}.tmp`;
+    writeFileSync(temp, JSON.stringify({ version: STORE_VERSION, diagrams: [...diagrams.values()] }, null, 2));
+    renameSync(temp, file);
+  };
+
+  return {
+    file,
+
+    /**
+     * Newest first; filter by tag, diagram_type or a title/tag query
+     * Returns { diagrams, total }
+     */
+    list({ tag, diagram_type: diagramType, query, limit = 50, offset = 0 } = {}) {
+      const needle = query ? query.toLowerCase() : null;
+      const matches = [...diagrams.values()]
+        .filter(record => !tag || record.tags.includes(tag))
+        .filter(record => !diagramType || record.diagram_type === diagramType)
+        .filter(record => !needle || record.title.toLowerCase().includes(needle) || record.tags.some(t => t.toLowerCase().includes(needle)))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+      return {
+        diagrams: matches.slice(offset, offset + limit).map(summarize),
+        total: matches.length
+      };
+    },
+
+    get(id) {
+      const record = diagrams.get(id);
+      return record ? copy(record) : null;
+    },
+
+    create({ title, diagram_type: diagramType, mermaid_code: mermaidCode, tags = [], source_input: sourceInput = null }) {
+      let id = createId();
+      while (diagrams.has(id)) {
+        id = createId();
+      }
+      const now = new Date().toISOString();
+      const record = {
+        id,
+        title: title || 'Untitled diagram',
+        diagram_type: diagramType,
+        mermaid_code: mermaidCode,
+        tags: [...new Set(tags)],
+        source_input: sourceInput,
+        revision: 1,
+        revisions: [],
+        created_at: now,
+        updated_at: now
+      };
+      addRevision(record, now);
+      diagrams.set(id, record);
+      persist();
+      return copy(record);
+    },
+
+    /**
+     * Apply the given fields; undefined fields are left unchanged
+     * New code starts a new revision. Returns the updated record, or null
+     * when the id is unknown.
+     */
+    update(id, fields) {
+      const record = diagrams.get(id);
+      if (!record) {
+        return null;
+      }
+      const codeChanged = fields.mermaid_code !== undefined && fields.mermaid_code !== record.mermaid_code;
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          record[key] = key === 'tags' ? [...new Set(value)] : value;
+        }
+      });
+      record.updated_at = new Date().toISOString();
+      if (codeChanged) {
+        record.revision += 1;
+        addRevision(record, record.updated_at);
+      }
+      persist();
+      return copy(record);
+    },
+
+    /**
+     * Revision summaries, oldest first, or null when the id is unknown
+     */
+    listRevisions(id) {
+      const record = diagrams.get(id);
+      return record ? record.revisions.map(({ mermaid_code: mermaidCode, ...summary }) => summary) : null;
+    },
+
+    /**
+     * One revision with its code, or null when it is unknown or was pruned
+     */
+    getRevision(id, revision) {
+      const found = diagrams.get(id)?.revisions.find(entry => entry.revision === revision);
+      return found ? { ...found } : null;
+    },
+
+    /**
+     * Returns whether a diagram was deleted
+     */
+    remove(id) {
+      if (!diagrams.delete(id)) {
+        return false;
+      }
+      persist();
+      return true;
+    }
+  };
+}
@@ -0,0 +1,427 @@
+/**
+ * GraphViz DOT importer
+ * Parses graph/digraph sources (node and edge statements, attribute lists,
+ * default node/edge attributes, edge chains and clusters) into the
+ * structured model rendered by graph-builder, so existing .dot files become
+ * Mermaid flowcharts with subgraphs.
+ */
+
+import { createIdAllocator } from './graph-builder.js';
+
+/**
+ * GraphViz shapes mapped to the closest flowchart shape
+ */
+const DOT_SHAPES = {
+  box: 'process',
+  rect: 'process',
+  rectangle: 'process',
+  square: 'process',
+  record: 'process',
+  mrecord: 'rounded',
+  plaintext: 'process',
+  plain: 'process',
+  note: 'process',
+  tab: 'process',
+  folder: 'process',
+  component: 'subroutine',
+  ellipse: 'rounded',
+  oval: 'rounded',
+  egg: 'rounded',
+  circle: 'circle',
+  doublecircle: 'circle',
+  point: 'circle',
+  diamond: 'decision',
+  mdiamond: 'decision',
+  hexagon: 'hexagon',
+  octagon: 'hexagon',
+  cylinder: 'database'
+};
+
+const DOT_RANKDIR = { TB: 'TD', LR: 'LR', BT: 'BT', RL: 'RL' };
+
+/**
+ * Split DOT source into tokens: ids, quoted strings, HTML strings, edge
+ * operators and punctuation. Comments and preprocessor lines are dropped.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  const push = (type, value) => tokens.push({ type, value, line });
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (text.startsWith('//', i) || (char === '#' && (i === 0 || text[i - 1] === '\n'))) {
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new Error(`Line ${line}: comment is never closed`);
+      }
+      line += text.slice(i, end).split('\n').length - 1;
+      i = end + 2;
+    } else if (char === '"') {
+      let value = '';
+      const startLine = line;
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (text[i] === '\\' && text[i + 1] === '\n') {
+          // Backslash-newline continues the string
+          line++;
+          i += 2;
+        } else {
+          if (text[i] === '\n') {
+            line++;
+          }
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) {
+        throw new Error(`Line ${startLine}: string is never closed`);
+      }
+      i++;
+      tokens.push({ type: 'id', value, line: startLine, quoted: true });
+    } else if (char === '<') {
+      // HTML-like labels nest angle brackets
+      let depth = 0;
+      const start = i;
+      const startLine = line;
+      do {
+        if (text[i] === '<') {
+          depth++;
+        } else if (text[i] === '>') {
+          depth--;
+        } else if (text[i] === '\n') {
+          line++;
+        }
+        i++;
+      } while (i < text.length && depth > 0);
+      if (depth > 0) {
+        throw new Error(`Line ${startLine}: HTML label is never closed`);
+      }
+      tokens.push({ type: 'id', value: text.slice(start + 1, i - 1), line: startLine, html: true });
+    } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      push('edgeop', text.slice(i, i + 2));
+      i += 2;
+    } else if ('{}[];,=:'.includes(char)) {
+      push(char, char);
+      i++;
+    } else {
+      const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-￿][\w\u0080-￿]*)/.exec(text.slice(i));
+      if (!match) {
+        throw new Error(`Line ${line}: unexpected "${char}"`);
+      }
+      push('id', match[0]);
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Turn a DOT label into display text
+ */
+function labelText(token) {
+  if (token.html) {
+    return token.value
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  return token.value
+    .replace(/\\[nlr]/g, ' ')
+    .replace(/\\N/g, '')
+    .replace(/[{}|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse DOT source into a graph model
+ * Returns { diagramType, direction, nodes, edges, groups, classDefs }
+ */
+export function parseDot(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const fail = (message, token = peek()) => {
+    throw new Error(`Line ${token ? token.line : text.split('\n').length}: ${message}`);
+  };
+  const expect = (type) => {
+    const token = peek();
+    if (!token || token.type !== type) {
+      fail(`expected "${type}"${token ? `, found "${token.value}"` : ' before the end of the file'}`, token);
+    }
+    pos++;
+    return token;
+  };
+  const isKeyword = (token, word) => token && token.type === 'id' && !token.quoted && token.value.toLowerCase() === word;
+
+  if (isKeyword(peek(), 'strict')) {
+    pos++;
+  }
+  const kind = peek();
+  if (!isKeyword(kind, 'graph') && !isKeyword(kind, 'digraph')) {
+    fail('DOT files start with "graph" or "digraph"', kind);
+  }
+  pos++;
+  const directed = kind.value.toLowerCase() === 'digraph';
+  if (peek()?.type === 'id') {
+    pos++;
+  }
+
+  const nodeId = createIdAllocator('n');
+  const groupId = createIdAllocator('cluster');
+  const nodes = new Map();
+  const nodeAttributes = new Map();
+  const grouped = new Set();
+  const edges = [];
+  const groups = [];
+  const classDefs = {};
+  const classFor = new Map();
+  let direction = 'TD';
+
+  const readAttributes = () => {
+    const attributes = {};
+    while (peek()?.type === '[') {
+      pos++;
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value.toLowerCase();
+        let value = { value: 'true' };
+        if (peek()?.type === '=') {
+          pos++;
+          value = expect('id');
+        }
+        attributes[key] = value;
+        if (peek()?.type === ',' || peek()?.type === ';') {
+          pos++;
+        }
+      }
+      expect(']');
+    }
+    return attributes;
+  };
+
+  // Fill and outline colours become classDefs shared by nodes that use them
+  const styleClass = (attributes) => {
+    const colour = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/;
+    const filled = /filled/.test(attributes.style?.value || '') || attributes.fillcolor;
+    const fill = filled ? (attributes.fillcolor || attributes.color)?.value : null;
+    const stroke = attributes.color?.value;
+    const parts = [];
+    if (fill && colour.test(fill)) {
+      parts.push(`fill:${fill}`);
+    }
+    if (stroke && colour.test(stroke)) {
+      parts.push(`stroke:${stroke}`);
+    }
+    if (parts.length === 0) {
+      return null;
+    }
+    const style = parts.join(',');
+    if (!classFor.has(style)) {
+      const name = `dot${classFor.size + 1}`;
+      classFor.set(style, name);
+      classDefs[name] = style;
+    }
+    return classFor.get(style);
+  };
+
+  // Attributes accumulate over a node's statements, on top of the defaults
+  // in scope when it was first mentioned
+  const applyNodeAttributes = (node, added) => {
+    const attributes = { ...nodeAttributes.get(node.id), ...added };
+    nodeAttributes.set(node.id, attributes);
+    if (attributes.label) {
+      node.label = labelText(attributes.label) || node.label;
+    }
+    if (attributes.shape) {
+      node.shape = DOT_SHAPES[attributes.shape.value.toLowerCase()] || node.shape;
+    }
+    const className = styleClass(attributes);
+    if (className) {
+      node.class = className;
+    }
+  };
+
+  // Nodes join the first cluster that mentions them; every enclosing
+  // subgraph records the mention so edges to { a b } reach each node
+  const addNode = (token, scope) => {
+    const id = nodeId(token.value);
+    if (!nodes.has(id)) {
+      const node = { id, label: token.value, shape: 'rounded' };
+      nodes.set(id, node);
+      applyNodeAttributes(node, scope.nodeDefaults);
+    }
+    if (scope.group && !grouped.has(id)) {
+      scope.group.nodes.push(id);
+      grouped.add(id);
+    }
+    for (let current = scope; current; current = current.parent) {
+      current.mentioned.add(id);
+    }
+    return id;
+  };
+
+  const createScope = (parent, group) => ({
+    parent,
+    group,
+    nodeDefaults: { ...parent?.nodeDefaults },
+    edgeDefaults: { ...parent?.edgeDefaults },
+    mentioned: new Set()
+  });
+
+  const applyGraphAttributes = (scope, attributes) => {
+    if (attributes.rankdir && !scope.parent) {
+      direction = DOT_RANKDIR[attributes.rankdir.value.toUpperCase()] || direction;
+    }
+    if (attributes.label && scope.group && scope.group !== scope.parent?.group) {
+      scope.group.label = labelText(attributes.label) || scope.group.label;
+    }
+  };
+
+  // Clusters become groups; other subgraphs only scope their attributes
+  const parseSubgraph = (parentScope) => {
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      pos++;
+      if (peek()?.type === 'id') {
+        name = expect('id').value;
+      }
+    }
+    let group = parentScope.group;
+    if (name && /^cluster/i.test(name)) {
+      group = { id: groupId(name), label: name.replace(/^cluster_?/i, '') || name, nodes: [] };
+      if (parentScope.group) {
+        group.parent = parentScope.group.id;
+      }
+      groups.push(group);
+    }
+    const scope = createScope(parentScope, group);
+    parseStatements(scope);
+    return scope;
+  };
+
+  // Read a node id (with optional :port) or a subgraph as an edge end
+  const readEndpoint = (scope) => {
+    const token = peek();
+    if (token?.type === '{' || isKeyword(token, 'subgraph')) {
+      return [...parseSubgraph(scope).mentioned];
+    }
+    const idToken = expect('id');
+    while (peek()?.type === ':') {
+      pos++;
+      expect('id');
+    }
+    return [addNode(idToken, scope)];
+  };
+
+  const addEdges = (chain, attributes) => {
+    const style = attributes.style?.value || '';
+    const label = labelText(attributes.label || attributes.xlabel || { value: '' });
+    chain.forEach(([sources, targets]) => {
+      sources.forEach(source => {
+        targets.forEach(target => {
+          const edge = { from: source, to: target };
+          if (label) {
+            edge.label = label;
+          }
+          if (/invis/.test(style)) {
+            edge.style = 'invisible';
+          } else if (/dashed|dotted/.test(style)) {
+            edge.style = 'dotted';
+          } else if (/bold/.test(style) || Number(attributes.penwidth?.value) >= 2) {
+            edge.style = 'thick';
+          }
+          if (!directed || attributes.dir?.value === 'none' || attributes.arrowhead?.value === 'none') {
+            edge.arrow = false;
+          }
+          edges.push(edge);
+        });
+      });
+    });
+  };
+
+  function parseStatements(scope) {
+    expect('{');
+    while (peek() && peek().type !== '}') {
+      const token = peek();
+
+      if (token.type === ';') {
+        pos++;
+        continue;
+      }
+      if (['node', 'edge', 'graph'].some(word => isKeyword(token, word)) && peek(1)?.type === '[') {
+        pos++;
+        const attributes = readAttributes();
+        const word = token.value.toLowerCase();
+        if (word === 'node') {
+          Object.assign(scope.nodeDefaults, attributes);
+        } else if (word === 'edge') {
+          Object.assign(scope.edgeDefaults, attributes);
+        } else {
+          applyGraphAttributes(scope, attributes);
+        }
+        continue;
+      }
+      if (token.type === 'id' && peek(1)?.type === '=') {
+        pos += 2;
+        applyGraphAttributes(scope, { [token.value.toLowerCase()]: expect('id') });
+        continue;
+      }
+
+      const isNode = token.type === 'id' && !isKeyword(token, 'subgraph');
+      let from = readEndpoint(scope);
+      if (peek()?.type !== 'edgeop') {
+        const attributes = readAttributes();
+        if (isNode) {
+          applyNodeAttributes(nodes.get(from[0]), attributes);
+        }
+        continue;
+      }
+
+      // Edge chains: a -> b -> { c d } [attributes]
+      const chain = [];
+      while (peek()?.type === 'edgeop') {
+        const op = expect('edgeop');
+        if (op.value !== (directed ? '->' : '--')) {
+          fail(`"${op.value}" is not allowed in a ${directed ? 'digraph' : 'graph'}`, op);
+        }
+        const to = readEndpoint(scope);
+        chain.push([from, to]);
+        from = to;
+      }
+      addEdges(chain, { ...scope.edgeDefaults, ...readAttributes() });
+    }
+    expect('}');
+  }
+
+  parseStatements(createScope(null, null));
+  if (peek()) {
+    fail(`unexpected "${peek().value}" after the closing "}"`);
+  }
+  if (nodes.size === 0) {
+    throw new Error('The graph has no nodes');
+  }
+
+  return {
+    diagramType: 'flowchart',
+    direction,
+    nodes: [...nodes.values()],
+    edges,
+    groups: groups.filter(group => group.nodes.length > 0 || groups.some(child => child.parent === group.id)),
+    classDefs
+  };
+}
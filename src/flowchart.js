@@ -0,0 +1,339 @@
+/**
+ * Text-to-flowchart parser
+ * Turns a small arrow grammar into a flowchart model and Mermaid code
+ *
+ * Grammar (one statement per line, lines build a single graph):
+ *   A -> B -> C            chain of steps
+ *   A -[yes]-> B           labelled edge
+ *   A --> B, A -- yes --> B, A -->|yes| B
+ *                          Mermaid's own arrows are accepted too
+ *   A -> B & C             branch (fan-out / fan-in with &)
+ *   Valid input?           trailing ? makes a decision node
+ *   (Start)                parentheses make a terminal node
+ *   [Save record]          brackets force a plain process node
+ *   Checkout:              a header ending in ":" opens a group,
+ *     Pay -> Confirm       indented lines below it belong to the group
+ *   direction LR           graph direction (TD, TB, BT, LR, RL)
+ *   # comment / %% comment ignored
+ *
+ * Text without any arrows is treated as a list of sequential steps
+ * (one per line, or separated by ";" / "then" on a single line).
+ */
+
+const ARROW_PATTERN = /\s*(?:-\[([^\]]*)\]->|--\s+([^>]*?)\s*-->|-->\|([^|]*)\||-->|->|→|=>)\s*/;
+const DIRECTIONS = ['TD', 'TB', 'BT', 'LR', 'RL'];
+const TERMINAL_WORDS = ['start', 'begin', 'end', 'finish', 'done', 'stop'];
+const RESERVED_IDS = [
+  'end', 'graph', 'subgraph', 'flowchart', 'class', 'classdef', 'style', 'click', 'call', 'href', 'interpolate', 'direction',
+  'linkstyle', 'default'
+];
+
+/**
+ * Split a statement into alternating node groups and edge labels
+ * Returns { parts: string[], labels: (string|null)[] }
+ */
+function splitChain(line) {
+  const parts = [];
+  const labels = [];
+  let rest = line;
+  let match;
+
+  while ((match = ARROW_PATTERN.exec(rest)) !== null) {
+    parts.push(rest.slice(0, match.index));
+    const label = match[1] ?? match[2] ?? match[3];
+    labels.push(label !== undefined ? label.trim() || null : null);
+    rest = rest.slice(match.index + match[0].length);
+  }
+  parts.push(rest);
+
+  return { parts: parts.map(p => p.trim()), labels };
+}
+
+/**
+ * Work out the shape and display label for a node token
+ */
+function parseNodeToken(token) {
+  const text = token.trim();
+
+  if (/^\(.*\)$/.test(text)) {
+    return { label: text.slice(1, -1).trim(), shape: 'terminal' };
+  }
+  if (/^\[.*\]$/.test(text)) {
+    return { label: text.slice(1, -1).trim(), shape: 'process' };
+  }
+  if (text.endsWith('?')) {
+    return { label: text, shape: 'decision' };
+  }
+  if (TERMINAL_WORDS.includes(text.toLowerCase())) {
+    return { label: text, shape: 'terminal' };
+  }
+  return { label: text, shape: 'process' };
+}
+
+/**
+ * Build a Mermaid-safe node id from a label
+ */
+function makeNodeId(label, usedIds) {
+  let base = label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 30) || 'node';
+
+  if (/^\d/.test(base) || RESERVED_IDS.includes(base)) {
+    base = `n_${base}`;
+  }
+
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base}_${suffix++}`;
+  }
+  return id;
+}
+
+/**
+ * Create an empty flowchart model
+ */
+export function createFlowchartModel(direction = 'TD') {
+  return {
+    direction,
+    nodes: new Map(),
+    edges: [],
+    groups: []
+  };
+}
+
+/**
+ * Parse the text grammar into a flowchart model
+ * Nodes are keyed by their (case-insensitive) label without a trailing
+ * "?", so repeated mentions across lines refer to the same node.
+ */
+export function parseFlowchartText(text) {
+  const model = createFlowchartModel();
+  const nodesByLabel = new Map();
+  const usedIds = new Set();
+  let currentGroup = null;
+
+  const getNode = (token) => {
+    const { label, shape } = parseNodeToken(token);
+    if (!label) {
+      return null;
+    }
+
+    const key = label.toLowerCase().replace(/\s*\?+$/, '');
+    let node = nodesByLabel.get(key);
+    if (!node) {
+      const id = makeNodeId(label, usedIds);
+      usedIds.add(id);
+      node = { id, label, shape, group: currentGroup ? currentGroup.id : null };
+      nodesByLabel.set(key, node);
+      model.nodes.set(id, node);
+      if (currentGroup) {
+        currentGroup.nodes.push(id);
+      }
+    } else if (shape !== 'process' && node.shape === 'process') {
+      // A later, more specific mention upgrades the shape (and "Check" to "Check?")
+      node.shape = shape;
+      node.label = label;
+    }
+    return node;
+  };
+
+  let lines = text.split('\n').filter(line => line.trim());
+  const hasArrows = lines.some(line => ARROW_PATTERN.test(line));
+
+  // Plain prose: treat it as an ordered list of steps
+  if (!hasArrows) {
+    if (lines.length === 1) {
+      lines = lines[0].split(/\s*;\s*|,?\s+then\s+/i).filter(step => step.trim());
+    }
+    lines = [lines.map(step => step.trim()).join(' -> ')];
+  }
+
+  lines.forEach(rawLine => {
+    const indented = /^\s/.test(rawLine);
+    const line = rawLine.trim();
+
+    if (line.startsWith('#') || line.startsWith('%%')) {
+      return;
+    }
+
+    const directionMatch = line.match(/^direction\s+(\w+)$/i);
+    if (directionMatch && DIRECTIONS.includes(directionMatch[1].toUpperCase())) {
+      model.direction = directionMatch[1].toUpperCase();
+      return;
+    }
+
+    // Group header: "Title:" with no arrows
+    if (line.endsWith(':') && !ARROW_PATTERN.test(line)) {
+      const title = line.slice(0, -1).trim();
+      currentGroup = {
+        id: makeNodeId(`group_${title}`, usedIds),
+        title,
+        nodes: []
+      };
+      usedIds.add(currentGroup.id);
+      model.groups.push(currentGroup);
+      return;
+    }
+
+    // An unindented statement closes the current group
+    if (!indented && hasArrows) {
+      currentGroup = null;
+    }
+
+    const { parts, labels } = splitChain(line);
+    let previous = null;
+
+    parts.forEach((part, index) => {
+      const current = part
+        .split(/\s+&\s+/)
+        .map(getNode)
+        .filter(Boolean);
+
+      if (previous && current.length > 0) {
+        previous.forEach(from => {
+          current.forEach(to => {
+            model.edges.push({ from: from.id, to: to.id, label: labels[index - 1] });
+          });
+        });
+      }
+
+      if (current.length > 0) {
+        previous = current;
+      }
+    });
+  });
+
+  return model;
+}
+
+/**
+ * Escape text for use inside a quoted Mermaid label
+ */
+export function escapeLabel(text) {
+  return String(text)
+    .replace(/"/g, '#quot;')
+    .replace(/\n/g, ' ');
+}
+
+/**
+ * Render a single node declaration for the given shape
+ */
+export function renderNode(node) {
+  const label = escapeLabel(node.label);
+
+  switch (node.shape) {
+    case 'decision':
+      return `${node.id}{"${label}"}`;
+    case 'terminal':
+      return `${node.id}(["${label}"])`;
+    case 'rounded':
+      return `${node.id}("${label}")`;
+    case 'circle':
+      return `${node.id}(("${label}"))`;
+    case 'database':
+      return `${node.id}[("${label}")]`;
+    case 'subroutine':
+      return `${node.id}[["${label}"]]`;
+    case 'hexagon':
+      return `${node.id}{{"${label}"}}`;
+    case 'double-circle':
+      return `${node.id}((("${label}")))`;
+    case 'asymmetric':
+      return `${node.id}>"${label}"]`;
+    case 'parallelogram':
+      return `${node.id}[/"${label}"/]`;
+    case 'parallelogram-alt':
+      return `${node.id}[\\"${label}"\\]`;
+    default:
+      return `${node.id}["${label}"]`;
+  }
+}
+
+/**
+ * Link tokens by edge style, with and without an arrowhead
+ */
+const EDGE_LINKS = {
+  solid: { arrow: '-->', none: '---' },
+  dotted: { arrow: '-.->', none: '-.-' },
+  thick: { arrow: '==>', none: '===' },
+  invisible: { arrow: '~~~', none: '~~~' }
+};
+
+/**
+ * Render a single edge, honouring optional style/arrow/bidirectional fields
+ */
+export function renderEdge(edge) {
+  const links = EDGE_LINKS[edge.style] || EDGE_LINKS.solid;
+  let link = edge.arrow === 'none' ? links.none : links.arrow;
+
+  if ((edge.arrow === 'circle' || edge.arrow === 'cross') && link.endsWith('>')) {
+    link = link.slice(0, -1) + (edge.arrow === 'circle' ? 'o' : 'x');
+  }
+  if (edge.bidirectional && link.endsWith('>')) {
+    link = `<${link}`;
+  }
+
+  // A bare "|" would close the edge label early, so it goes in as an entity code
+  const label = edge.label ? `|"${escapeLabel(edge.label).replace(/\|/g, '#124;')}"|` : '';
+  return `${edge.from} ${link}${label} ${edge.to}`;
+}
+
+/**
+ * Render a flowchart model as Mermaid code
+ * Groups may nest through an optional parent id.
+ */
+export function renderFlowchart(model) {
+  let code = `flowchart ${model.direction || 'TD'}\n`;
+  const grouped = new Set();
+
+  const renderGroup = (group, depth) => {
+    const indent = '    '.repeat(depth);
+    code += `${indent}subgraph ${group.id}["${escapeLabel(group.title)}"]\n`;
+    group.nodes.forEach(nodeId => {
+      code += `${indent}    ${renderNode(model.nodes.get(nodeId))}\n`;
+      grouped.add(nodeId);
+    });
+    model.groups
+      .filter(child => child.parent === group.id)
+      .forEach(child => renderGroup(child, depth + 1));
+    code += `${indent}end\n`;
+  };
+
+  model.groups
+    .filter(group => !group.parent)
+    .forEach(group => renderGroup(group, 1));
+
+  model.nodes.forEach(node => {
+    if (!grouped.has(node.id)) {
+      code += `    ${renderNode(node)}\n`;
+    }
+  });
+
+  model.edges.forEach(edge => {
+    code += `    ${renderEdge(edge)}\n`;
+  });
+
+  if (model.classDefs) {
+    model.classDefs.forEach((style, name) => {
+      code += `    classDef ${name} ${style}\n`;
+    });
+  }
+
+  model.nodes.forEach(node => {
+    if (node.className) {
+      code += `    class ${node.id} ${node.className}\n`;
+    }
+  });
+
+  return code;
+}
+
+/**
+ * Generate flowchart diagram
+ */
+export function generateFlowchart(text) {
+  return renderFlowchart(parseFlowchartText(text));
+}
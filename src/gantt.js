@@ -0,0 +1,454 @@
+/**
+ * Gantt chart generator
+ * Builds Mermaid gantt charts from task lists (text lines or CSV rows)
+ * with absolute or relative dates, durations, dependencies, milestones
+ * and status tags.
+ *
+ * Text format (one task per line):
+ *   title Website relaunch
+ *   section Design                 (or "Design:")
+ *   Wireframes: next Monday, 5d, active
+ *   Visual design: after Wireframes, 2w
+ *   Build: after Visual design, until 2024-03-29, crit
+ *   Launch: after Build, milestone
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const STATUSES = ['done', 'active', 'crit'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = {
+  id: ['id', 'task_id', 'key'],
+  name: ['task', 'name', 'title', 'task_name', 'activity'],
+  section: ['section', 'phase', 'group', 'stage', 'category'],
+  start: ['start', 'start_date', 'begin', 'starts'],
+  end: ['end', 'end_date', 'finish', 'due', 'due_date', 'ends'],
+  duration: ['duration', 'length', 'effort'],
+  after: ['after', 'depends', 'depends_on', 'dependencies', 'predecessors'],
+  milestone: ['milestone', 'is_milestone'],
+  status: ['status', 'state', 'tags']
+};
+
+/**
+ * Convert a Date to a YYYY-MM-DD string (UTC)
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Midnight UTC for the calendar day of the given date
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Parse an absolute or relative date expression
+ * Returns a UTC Date or null if the text is not a date.
+ */
+export function parseDateExpression(text, today) {
+  const value = text.trim().toLowerCase();
+  const base = startOfDay(today);
+
+  if (value === 'today' || value === 'now') {
+    return base;
+  }
+  if (value === 'tomorrow') {
+    return new Date(base.getTime() + DAY_MS);
+  }
+  if (value === 'yesterday') {
+    return new Date(base.getTime() - DAY_MS);
+  }
+
+  const offsetMatch = value.match(/^(?:([+-])\s*|in\s+)(\d+)\s*(d|days?|w|weeks?)$/);
+  if (offsetMatch) {
+    const sign = offsetMatch[1] === '-' ? -1 : 1;
+    const days = Number(offsetMatch[2]) * (offsetMatch[3].startsWith('w') ? 7 : 1);
+    return new Date(base.getTime() + sign * days * DAY_MS);
+  }
+
+  const weekdayMatch = value.match(/^(next\s+|this\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (weekdayMatch) {
+    const target = WEEKDAYS.indexOf(weekdayMatch[2]);
+    let delta = (target - base.getUTCDay() + 7) % 7;
+    if (delta === 0 && weekdayMatch[1] && weekdayMatch[1].startsWith('next')) {
+      delta = 7;
+    }
+    return new Date(base.getTime() + delta * DAY_MS);
+  }
+
+  const isoMatch = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  if (isoMatch) {
+    const date = new Date(Date.UTC(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3])));
+    return date.getUTCMonth() === Number(isoMatch[2]) - 1 ? date : null;
+  }
+
+  // Long-form dates such as "March 3, 2025"; require a year so words are not dates
+  if (/\d{4}/.test(value) && /[a-z]/.test(value)) {
+    const parsed = new Date(`${text.trim()} UTC`);
+    if (!Number.isNaN(parsed.getTime())) {
+      return startOfDay(new Date(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate()));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a duration such as "5d", "2 weeks" or "4h" into a Mermaid duration
+ */
+export function parseDuration(text) {
+  const match = text.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(d|days?|w|wks?|weeks?|h|hrs?|hours?)$/);
+  if (!match) {
+    return null;
+  }
+  const unit = match[2][0];
+  return `${match[1]}${unit}`;
+}
+
+/**
+ * Create a task record with defaults
+ */
+function createTask(name, section, line) {
+  return {
+    name,
+    section,
+    id: null,
+    start: null,
+    end: null,
+    duration: null,
+    after: [],
+    milestone: false,
+    status: [],
+    line
+  };
+}
+
+/**
+ * Apply one field from a task line (date, duration, dependency or tag)
+ */
+function applyTaskField(task, field, today, errors) {
+  const value = field.trim();
+  const lower = value.toLowerCase();
+
+  if (!value) {
+    return;
+  }
+  if (lower === 'milestone') {
+    task.milestone = true;
+    return;
+  }
+  if (STATUSES.includes(lower)) {
+    task.status.push(lower);
+    return;
+  }
+
+  const afterMatch = value.match(/^(?:after|depends on)\s+(.+)$/i);
+  if (afterMatch) {
+    task.after.push(...afterMatch[1].split(/\s*&\s*|\s+and\s+/i).map(ref => ref.trim()).filter(Boolean));
+    return;
+  }
+
+  const untilMatch = value.match(/^(?:until|to|ends?|due)\s+(.+)$/i);
+  if (untilMatch) {
+    const end = parseDateExpression(untilMatch[1], today);
+    if (!end) {
+      errors.push(`Task "${task.name}": "${untilMatch[1]}" is not a date`);
+    }
+    task.end = end;
+    return;
+  }
+
+  const duration = parseDuration(value);
+  if (duration) {
+    task.duration = duration;
+    return;
+  }
+
+  const date = parseDateExpression(value, today);
+  if (date) {
+    // The first date is the start, a second one is the end
+    if (task.start === null) {
+      task.start = date;
+    } else {
+      task.end = date;
+    }
+    return;
+  }
+
+  errors.push(`Task "${task.name}": cannot understand "${value}" (expected a date, duration, "after <task>", milestone, done, active or crit)`);
+}
+
+/**
+ * Parse the text task-list format
+ */
+export function parseGanttText(text, { today = new Date() } = {}) {
+  const tasks = [];
+  const errors = [];
+  let title = null;
+  let section = null;
+
+  text.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('%%')) {
+      return;
+    }
+
+    const titleMatch = line.match(/^title\s*:?\s+(.+)$/i);
+    if (titleMatch) {
+      title = titleMatch[1].trim();
+      return;
+    }
+
+    const sectionMatch = line.match(/^section\s+(.+)$/i) || line.match(/^([^:]+):$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].trim();
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const task = createTask((colon === -1 ? line : line.slice(0, colon)).trim(), section, index + 1);
+    if (colon !== -1) {
+      line.slice(colon + 1).split(',').forEach(field => applyTaskField(task, field, today, errors));
+    }
+    tasks.push(task);
+  });
+
+  return { title, tasks, errors };
+}
+
+/**
+ * Find the value of the first matching column in a CSV row
+ */
+function pickColumn(row, names) {
+  const key = Object.keys(row).find(column => names.includes(column.trim().toLowerCase().replace(/[\s-]+/g, '_')));
+  return key !== undefined && row[key] !== undefined ? String(row[key]).trim() : '';
+}
+
+/**
+ * Whether CSV headers look like a task list
+ */
+export function isGanttTable(headers) {
+  const normalized = headers.map(header => header.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const has = (names) => normalized.some(header => names.includes(header));
+  return has(CSV_COLUMNS.name) && (has(CSV_COLUMNS.start) || has(CSV_COLUMNS.duration) || has(CSV_COLUMNS.end));
+}
+
+/**
+ * Parse CSV rows (objects keyed by header) into tasks
+ */
+export function parseGanttRows(rows, { today = new Date() } = {}) {
+  const tasks = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const name = pickColumn(row, CSV_COLUMNS.name);
+    if (!name) {
+      return;
+    }
+
+    const task = createTask(name, pickColumn(row, CSV_COLUMNS.section) || null, index + 2);
+    task.id = pickColumn(row, CSV_COLUMNS.id) || null;
+
+    const start = pickColumn(row, CSV_COLUMNS.start);
+    if (start) {
+      const afterMatch = start.match(/^after\s+(.+)$/i);
+      if (afterMatch) {
+        applyTaskField(task, start, today, errors);
+      } else {
+        task.start = parseDateExpression(start, today);
+        if (!task.start) {
+          errors.push(`Row ${index + 2} ("${name}"): start "${start}" is not a date`);
+        }
+      }
+    }
+
+    const end = pickColumn(row, CSV_COLUMNS.end);
+    if (end) {
+      task.end = parseDateExpression(end, today);
+      if (!task.end) {
+        errors.push(`Row ${index + 2} ("${name}"): end "${end}" is not a date`);
+      }
+    }
+
+    const duration = pickColumn(row, CSV_COLUMNS.duration);
+    if (duration) {
+      task.duration = parseDuration(/^\d+(\.\d+)?$/.test(duration) ? `${duration}d` : duration);
+      if (!task.duration) {
+        errors.push(`Row ${index + 2} ("${name}"): duration "${duration}" is not understood`);
+      }
+    }
+
+    const after = pickColumn(row, CSV_COLUMNS.after);
+    if (after) {
+      task.after.push(...after.split(/[;|]|\s*,\s*/).map(ref => ref.replace(/^after\s+/i, '').trim()).filter(Boolean));
+    }
+
+    task.milestone = /^(true|yes|y|1|x|milestone)$/i.test(pickColumn(row, CSV_COLUMNS.milestone));
+    pickColumn(row, CSV_COLUMNS.status)
+      .toLowerCase()
+      .replace(/in[\s-]progress/g, 'in_progress')
+      .split(/[\s,;|]+/)
+      .forEach(status => {
+        if (STATUSES.includes(status)) {
+          task.status.push(status);
+        } else if (status === 'milestone') {
+          task.milestone = true;
+        } else if (['complete', 'completed', 'finished'].includes(status)) {
+          task.status.push('done');
+        } else if (['in_progress', 'started', 'ongoing'].includes(status)) {
+          task.status.push('active');
+        } else if (['critical', 'blocked'].includes(status)) {
+          task.status.push('crit');
+        }
+      });
+
+    tasks.push(task);
+  });
+
+  return { title: null, tasks, errors };
+}
+
+/**
+ * Resolve "after" references to task ids and report unknown names and cycles
+ */
+function resolveDependencies(tasks, errors) {
+  const byKey = new Map();
+  tasks.forEach((task, index) => {
+    if (!task.id || !/^[A-Za-z_][\w-]*$/.test(task.id)) {
+      task.id = `t${index + 1}`;
+    }
+    byKey.set(task.id.toLowerCase(), task);
+  });
+  tasks.forEach(task => {
+    if (!byKey.has(task.name.toLowerCase())) {
+      byKey.set(task.name.toLowerCase(), task);
+    }
+  });
+
+  tasks.forEach(task => {
+    task.dependsOn = [];
+    task.after.forEach(ref => {
+      const target = byKey.get(ref.toLowerCase());
+      if (!target) {
+        errors.push(`Task "${task.name}" depends on unknown task "${ref}"`);
+      } else if (target === task) {
+        errors.push(`Task "${task.name}" depends on itself`);
+      } else {
+        task.dependsOn.push(target);
+      }
+    });
+  });
+
+  // Depth-first search for dependency cycles
+  const state = new Map();
+  const reported = new Set();
+  const visit = (task, path) => {
+    state.set(task, 'visiting');
+    path.push(task);
+    task.dependsOn.forEach(dependency => {
+      if (state.get(dependency) === 'visiting') {
+        const cycle = path.slice(path.indexOf(dependency)).concat(dependency);
+        const key = cycle.map(t => t.id).sort().join(',');
+        if (!reported.has(key)) {
+          reported.add(key);
+          errors.push(`Dependency cycle: ${cycle.map(t => t.name).join(' -> ')}`);
+        }
+      } else if (!state.has(dependency)) {
+        visit(dependency, path);
+      }
+    });
+    path.pop();
+    state.set(task, 'done');
+  };
+  tasks.forEach(task => {
+    if (!state.has(task)) {
+      visit(task, []);
+    }
+  });
+}
+
+/**
+ * Make a task or section name safe for gantt syntax
+ */
+function sanitizeName(name) {
+  return name.replace(/[:;#]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render tasks as Mermaid gantt code
+ * Throws with every problem listed when the task list is invalid.
+ */
+export function renderGantt({ title, tasks, errors = [] }, { today = new Date() } = {}) {
+  const problems = [...errors];
+
+  if (tasks.length === 0) {
+    problems.push('No tasks found. Write one task per line as "Name: start, duration" (e.g. "Design: 2024-01-08, 5d")');
+  }
+
+  resolveDependencies(tasks, problems);
+
+  tasks.forEach(task => {
+    if (task.start && task.end && task.end < task.start) {
+      problems.push(`Task "${task.name}" ends before it starts`);
+    }
+    if (task.start && task.dependsOn.length > 0) {
+      problems.push(`Task "${task.name}" has both a start date and a dependency; use one of them`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid Gantt input: ${problems.join('; ')}`);
+  }
+
+  let code = 'gantt\n';
+  code += `    title ${sanitizeName(title || 'Project Plan')}\n`;
+  code += '    dateFormat YYYY-MM-DD\n';
+
+  let currentSection;
+  tasks.forEach((task, index) => {
+    if (task.section !== currentSection && (task.section || index > 0)) {
+      code += `    section ${sanitizeName(task.section || 'Other')}\n`;
+    }
+    currentSection = task.section;
+
+    const tags = [...new Set(task.status)];
+    if (task.milestone) {
+      tags.push('milestone');
+    }
+
+    let start;
+    if (task.dependsOn.length > 0) {
+      start = `after ${task.dependsOn.map(dependency => dependency.id).join(' ')}`;
+    } else if (task.start) {
+      start = formatDate(task.start);
+    } else if (index > 0) {
+      // No explicit start: follow the previous task
+      start = `after ${tasks[index - 1].id}`;
+    } else {
+      start = formatDate(startOfDay(today));
+    }
+
+    let length;
+    if (task.milestone) {
+      length = '0d';
+    } else if (task.end) {
+      length = formatDate(task.end);
+    } else {
+      length = task.duration || '1d';
+    }
+
+    const fields = [...tags, task.id, start, length];
+    code += `    ${sanitizeName(task.name)} :${fields.join(', ')}\n`;
+  });
+
+  return code;
+}
+
+/**
+ * Generate Gantt chart from a text task list
+ */
+export function generateGantt(text, options = {}) {
+  return renderGantt(parseGanttText(text, options), options);
+}
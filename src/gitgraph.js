@@ -0,0 +1,503 @@
+/**
+ * Git graph generator
+ * Builds Mermaid gitGraphs from a short command script or from pasted
+ * `git log --graph --oneline --all` output.
+ *
+ * Script grammar (one command per line, an optional "git " prefix is ignored):
+ *   commit [message]             commit on the current branch
+ *   branch feature [from main]   create a branch and switch to it
+ *   checkout feature             switch branch (also: switch feature)
+ *   merge feature [into main]    merge a branch into the current (or named) one
+ *   cherry-pick <message|id> [into main]
+ *   tag v1.0                     tag the previous commit
+ *   # comment / %% comment       ignored
+ */
+
+const MAX_ID_LENGTH = 40;
+const GRAPH_LINE = /^[\s|\\/_.\-]*\*[\s|\\/_.\-]*[0-9a-f]{7,40}\b/;
+const ONELINE = /^[0-9a-f]{7,40}\s/;
+
+/**
+ * Keep branch names to characters Mermaid accepts
+ */
+function branchName(name) {
+  return name.trim().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'branch';
+}
+
+/**
+ * Quote-safe commit id, unique within the graph
+ */
+function makeCommitId(text, usedIds) {
+  let base = text.replace(/"/g, "'").replace(/\s+/g, ' ').trim();
+  if (base.length > MAX_ID_LENGTH) {
+    base = `${base.substring(0, MAX_ID_LENGTH - 1).trimEnd()}…`;
+  }
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base} (${suffix++})`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Render a list of operations as Mermaid gitGraph code
+ */
+function renderGitGraph(operations, mainBranch = 'main') {
+  let code = mainBranch === 'main'
+    ? ''
+    : `%%{init: { 'gitGraph': { 'mainBranchName': '${mainBranch}' } }}%%\n`;
+  code += 'gitGraph\n';
+
+  operations.forEach(op => {
+    const options = [
+      op.id ? `id: "${op.id}"` : '',
+      op.tag ? `tag: "${op.tag.replace(/"/g, "'")}"` : ''
+    ].filter(Boolean).join(' ');
+
+    switch (op.type) {
+      case 'commit':
+        code += `    commit${options ? ` ${options}` : ''}\n`;
+        break;
+      case 'branch':
+        code += `    branch ${op.name}\n`;
+        break;
+      case 'checkout':
+        code += `    checkout ${op.name}\n`;
+        break;
+      case 'merge':
+        code += `    merge ${op.name}${options ? ` ${options}` : ''}\n`;
+        break;
+      case 'cherry-pick':
+        code += `    cherry-pick id: "${op.id}"${op.tag ? ` tag: "${op.tag}"` : ''}\n`;
+        break;
+    }
+  });
+
+  return code;
+}
+
+/**
+ * Parse the command script, simulating history so impossible
+ * merges and cherry-picks are reported against their line
+ */
+export function parseGitScript(text) {
+  const branches = new Map([['main', { head: null }]]);
+  const commits = new Map();
+  const usedIds = new Set();
+  const operations = [];
+  let current = 'main';
+  let lastCommit = null;
+
+  const fail = (lineNumber, message) => {
+    throw new Error(`Line ${lineNumber}: ${message}`);
+  };
+
+  const ancestors = (id) => {
+    const seen = new Set();
+    const stack = id ? [id] : [];
+    while (stack.length > 0) {
+      const next = stack.pop();
+      if (!seen.has(next)) {
+        seen.add(next);
+        stack.push(...commits.get(next).parents);
+      }
+    }
+    return seen;
+  };
+
+  const checkout = (name, lineNumber) => {
+    if (!branches.has(name)) {
+      fail(lineNumber, `branch "${name}" does not exist. Create it first with "branch ${name}"`);
+    }
+    if (name !== current) {
+      operations.push({ type: 'checkout', name });
+      current = name;
+    }
+  };
+
+  const addCommit = (op, parents, message) => {
+    const key = `#${commits.size + 1}`;
+    commits.set(key, { key, id: op.id || null, message, branch: current, parents });
+    branches.get(current).head = key;
+    operations.push(op);
+    lastCommit = op;
+    return key;
+  };
+
+  text.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim().replace(/^git\s+/i, '');
+    if (!line || line.startsWith('#') || line.startsWith('%%') || /^gitGraph\b/.test(line)) {
+      return;
+    }
+
+    const [keyword, ...words] = line.split(/\s+/);
+    const rest = words.join(' ');
+
+    switch (keyword.toLowerCase().replace(/:$/, '')) {
+      case 'commit': {
+        const message = rest
+          .replace(/^(-a\s+)?-(a)?m\s+/, '')
+          .replace(/^(["'])(.*)\1$/, '$2')
+          .trim();
+        const head = branches.get(current).head;
+        addCommit({ type: 'commit', id: message ? makeCommitId(message, usedIds) : null }, head ? [head] : [], message);
+        return;
+      }
+
+      case 'branch':
+      case 'checkout':
+      case 'switch': {
+        const create = keyword === 'branch' || /^-[bc]$/.test(words[0] || '');
+        const args = create && keyword !== 'branch' ? words.slice(1) : words;
+        if (args.length === 0) {
+          fail(lineNumber, `"${keyword}" needs a branch name`);
+        }
+        const name = branchName(args[0]);
+        if (!create) {
+          checkout(name, lineNumber);
+          return;
+        }
+        if (branches.has(name)) {
+          fail(lineNumber, `branch "${name}" already exists. Use "checkout ${name}" to switch to it`);
+        }
+        const from = args.length >= 3 && /^(from|off)$/i.test(args[1]) ? branchName(args[2]) : args[1] && branchName(args[1]);
+        if (from) {
+          checkout(from, lineNumber);
+        }
+        branches.set(name, { head: branches.get(current).head });
+        operations.push({ type: 'branch', name });
+        current = name;
+        return;
+      }
+
+      case 'merge': {
+        if (words.length === 0) {
+          fail(lineNumber, '"merge" needs a branch name');
+        }
+        const name = branchName(words[0]);
+        if (words.length >= 3 && /^into$/i.test(words[1])) {
+          checkout(branchName(words[2]), lineNumber);
+        }
+        const source = branches.get(name);
+        if (!source) {
+          fail(lineNumber, `cannot merge unknown branch "${name}"`);
+        }
+        if (name === current) {
+          fail(lineNumber, `cannot merge "${name}" into itself. Checkout the target branch first`);
+        }
+        const head = branches.get(current).head;
+        if (!head) {
+          fail(lineNumber, `branch "${current}" has no commits to merge into`);
+        }
+        if (!source.head || ancestors(head).has(source.head)) {
+          fail(lineNumber, `branch "${name}" has no new commits to merge into "${current}". Add a commit on "${name}" first`);
+        }
+        addCommit({ type: 'merge', name }, [head, source.head], `Merge ${name}`);
+        return;
+      }
+
+      case 'cherry-pick': {
+        const match = rest.match(/^["']?(.+?)["']?(?:\s+into\s+(\S+))?$/i);
+        if (!match) {
+          fail(lineNumber, '"cherry-pick" needs the message or id of a commit');
+        }
+        const ref = match[1].toLowerCase();
+        const candidates = [...commits.values()].filter(commit => commit.id);
+        const picked = candidates.find(commit => commit.id.toLowerCase() === ref)
+          || candidates.find(commit => commit.message.toLowerCase() === ref)
+          || candidates.find(commit => commit.message.toLowerCase().startsWith(ref));
+        if (!picked) {
+          fail(lineNumber, `no commit matches "${match[1]}". Cherry-pick a commit that has a message`);
+        }
+        if (match[2]) {
+          checkout(branchName(match[2]), lineNumber);
+        }
+        if (picked.branch === current) {
+          fail(lineNumber, `commit "${picked.id}" is already on branch "${current}"`);
+        }
+        if (picked.parents.length > 1) {
+          fail(lineNumber, `cannot cherry-pick merge commit "${picked.id}"`);
+        }
+        const head = branches.get(current).head;
+        addCommit({ type: 'cherry-pick', id: picked.id }, head ? [head] : [], `Cherry-pick ${picked.message}`);
+        return;
+      }
+
+      case 'tag': {
+        if (!rest) {
+          fail(lineNumber, '"tag" needs a name');
+        }
+        if (!lastCommit) {
+          fail(lineNumber, `nothing to tag yet. Add a commit before "tag ${rest}"`);
+        }
+        lastCommit.tag = rest.replace(/^(["'])(.*)\1$/, '$2');
+        return;
+      }
+
+      default:
+        fail(lineNumber, `unrecognised command "${line}". Expected commit, branch, checkout, merge, cherry-pick or tag`);
+    }
+  });
+
+  if (commits.size === 0) {
+    throw new Error('No commits found. Start with "commit Initial commit"');
+  }
+  return operations;
+}
+
+/**
+ * Split "(HEAD -> main, origin/main, tag: v1.0)" into branch names and tags
+ */
+function parseDecorations(decoration) {
+  const branches = [];
+  const tags = [];
+  (decoration || '').split(',').map(ref => ref.trim()).filter(Boolean).forEach(ref => {
+    if (ref.startsWith('tag:')) {
+      tags.push(ref.slice(4).trim());
+      return;
+    }
+    const name = ref.replace(/^HEAD\s*->\s*/, '').replace(/^(origin|upstream)\//, '');
+    if (name !== 'HEAD' && !branches.includes(name)) {
+      branches.push(name);
+    }
+  });
+  return { branches, tags };
+}
+
+/**
+ * Split a log line into graph prefix, hash, decorations and message
+ */
+function parseLogLine(line) {
+  const match = line.match(/^([\s|\\/*_.\-]*?)([0-9a-f]{7,40})\s+(?:\(([^)]*)\)\s*)?(.*)$/);
+  if (!match) {
+    return null;
+  }
+  return { graph: match[1], hash: match[2], decoration: match[3], message: match[4].trim() };
+}
+
+/**
+ * Read commits and their ordered parents from `git log --graph` output
+ *
+ * Each graph column ("lane") holds the children still waiting for their
+ * parent in that column, with the parent index they expect. A "*" takes
+ * every waiting child in its lane as a child; "|", "\" and "/" carry the
+ * waiting children down, and a "\" splitting off a lane that also carries
+ * on straight marks the next parent of a merge.
+ */
+function parseGraphLog(lines) {
+  const commits = [];
+  const byHash = new Map();
+  const nextParent = new Map();
+  let lanes = [];
+
+  lines.forEach(line => {
+    const entry = parseLogLine(line);
+    const graph = entry ? entry.graph : line;
+    const star = graph.indexOf('*');
+
+    if (entry && star !== -1) {
+      const lane = Math.floor(star / 2);
+      const commit = { hash: entry.hash, message: entry.message, parents: [], ...parseDecorations(entry.decoration) };
+      const resolved = lanes[lane] || [];
+      resolved.forEach(({ child, index }) => {
+        byHash.get(child).parents[index] = commit.hash;
+      });
+      // A child drawn down several lanes is resolved once
+      lanes = lanes.map(waiting => (waiting || []).filter(entry => !resolved.some(done => done.child === entry.child && done.index === entry.index)));
+      lanes[lane] = [{ child: commit.hash, index: 0 }];
+      commits.push(commit);
+      byHash.set(commit.hash, commit);
+      return;
+    }
+
+    if (!/^[\s|\\/_.\-]+$/.test(line)) {
+      return;
+    }
+
+    // Connector line: move waiting children between lanes
+    const next = [];
+    const carry = (to, waiting) => {
+      next[to] = [...(next[to] || []), ...waiting];
+    };
+    [...line].forEach((char, position) => {
+      const lane = Math.floor(position / 2);
+      if (char === '|' && position % 2 === 0) {
+        carry(lane, lanes[lane] || []);
+      } else if (char === '\\') {
+        const splits = line[position - 1] === '|';
+        carry(lane + 1, (lanes[lane] || []).map(({ child, index }) => {
+          if (!splits) {
+            return { child, index };
+          }
+          const parentIndex = nextParent.get(child) || 1;
+          nextParent.set(child, parentIndex + 1);
+          return { child, index: parentIndex };
+        }));
+      } else if (char === '/') {
+        carry(lane, lanes[lane + 1] || []);
+      }
+    });
+    lanes = next;
+  });
+
+  commits.forEach(commit => {
+    commit.parents = commit.parents.filter(Boolean);
+  });
+  return commits;
+}
+
+/**
+ * Read plain `git log --oneline` output: each commit's parent is the next line
+ */
+function parseOnelineLog(lines) {
+  const commits = lines.map(parseLogLine).filter(Boolean).map(entry => ({
+    hash: entry.hash,
+    message: entry.message,
+    parents: [],
+    ...parseDecorations(entry.decoration)
+  }));
+  commits.forEach((commit, index) => {
+    if (commits[index + 1]) {
+      commit.parents.push(commits[index + 1].hash);
+    }
+  });
+  return commits;
+}
+
+/**
+ * Branch name from a merge commit message, if it names one
+ */
+function mergedBranchName(message) {
+  const match = message.match(/^Merge (?:remote-tracking )?branch '([^']+)'/)
+    || message.match(/^Merge pull request #\d+ from [^/\s]+\/(\S+)/);
+  return match ? match[1].replace(/^(origin|upstream)\//, '') : null;
+}
+
+/**
+ * Assign every commit to a branch and replay the history oldest first
+ */
+function historyToOperations(commits) {
+  const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+  const branchOf = new Map();
+  const branchNames = [];
+  const usedIds = new Set();
+
+  const claim = (name, hash) => {
+    let unique = branchName(name);
+    let suffix = 2;
+    while (branchNames.includes(unique)) {
+      unique = `${branchName(name)}-${suffix++}`;
+    }
+    branchNames.push(unique);
+    // Follow first parents until a commit that already has a branch
+    let commit = byHash.get(hash);
+    while (commit && !branchOf.has(commit.hash)) {
+      branchOf.set(commit.hash, unique);
+      commit = byHash.get(commit.parents[0]);
+    }
+  };
+
+  const heads = [];
+  commits.forEach(commit => {
+    commit.branches.forEach(name => heads.push({ name, hash: commit.hash }));
+  });
+  // main/master claims its history first; without any refs the newest commit's line is main
+  heads.sort((a, b) => Number(['main', 'master'].includes(b.name)) - Number(['main', 'master'].includes(a.name)));
+  if (heads.length === 0) {
+    heads.push({ name: 'main', hash: commits[0].hash });
+  }
+  heads.forEach(head => {
+    if (!branchOf.has(head.hash)) {
+      claim(head.name, head.hash);
+    }
+  });
+
+  // Merged branches that no longer have a ref, named from the merge message
+  commits.forEach(commit => {
+    const merged = commit.parents[1];
+    if (merged && byHash.has(merged) && !branchOf.has(merged)) {
+      claim(mergedBranchName(commit.message) || `branch-${branchNames.length}`, merged);
+    }
+  });
+  commits.forEach(commit => {
+    if (!branchOf.has(commit.hash)) {
+      claim(`branch-${branchNames.length}`, commit.hash);
+    }
+  });
+
+  const mainBranch = branchNames[0];
+  const operations = [];
+  const created = new Set([mainBranch]);
+  let current = mainBranch;
+
+  // A branch starts from the first parent of its oldest commit
+  const forkPoints = new Map();
+  [...commits].reverse().forEach(commit => {
+    const branch = branchOf.get(commit.hash);
+    if (!forkPoints.has(branch)) {
+      const parent = commit.parents[0];
+      forkPoints.set(branch, parent && byHash.has(parent) && branchOf.get(parent) !== branch ? parent : null);
+    }
+  });
+
+  const createBranches = (forkPoint) => {
+    forkPoints.forEach((point, branch) => {
+      if (point === forkPoint && !created.has(branch)) {
+        operations.push({ type: 'branch', name: branch });
+        created.add(branch);
+        current = branch;
+      }
+    });
+  };
+  createBranches(null);
+
+  const branchHeads = new Map();
+  [...commits].reverse().forEach(commit => {
+    const branch = branchOf.get(commit.hash);
+    if (branch !== current) {
+      operations.push({ type: 'checkout', name: branch });
+      current = branch;
+    }
+
+    const id = makeCommitId(`${commit.hash.substring(0, 7)}: ${commit.message}`, usedIds);
+    const tag = commit.tags.join(', ') || null;
+    const source = commit.parents[1] && byHash.has(commit.parents[1]) ? branchOf.get(commit.parents[1]) : null;
+
+    if (source && source !== branch && branchHeads.get(source) !== branchHeads.get(branch)) {
+      operations.push({ type: 'merge', name: source, id, tag });
+    } else {
+      operations.push({ type: 'commit', id, tag });
+    }
+    branchHeads.set(branch, commit.hash);
+
+    const before = current;
+    createBranches(commit.hash);
+    if (current !== before) {
+      operations.push({ type: 'checkout', name: before });
+      current = before;
+    }
+  });
+
+  return { operations, mainBranch };
+}
+
+/**
+ * Generate git graph
+ */
+export function generateGitGraph(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').filter(line => line.trim());
+
+  if (lines.some(line => GRAPH_LINE.test(line))) {
+    const commits = parseGraphLog(lines);
+    const { operations, mainBranch } = historyToOperations(commits);
+    return renderGitGraph(operations, mainBranch);
+  }
+  if (lines.length > 0 && lines.every(line => ONELINE.test(line.trim()))) {
+    const { operations, mainBranch } = historyToOperations(parseOnelineLog(lines.map(line => line.trim())));
+    return renderGitGraph(operations, mainBranch);
+  }
+  return renderGitGraph(parseGitScript(text));
+}
@@ -0,0 +1,351 @@
+/**
+ * Structured graph model to Mermaid
+ * Emits flowchart, state, class or ER diagrams from one typed model of
+ * nodes, edges and groups, so callers that already know the graph get
+ * deterministic output.
+ */
+
+import { createFlowchartModel, renderFlowchart, escapeLabel } from './flowchart.js';
+
+export const GRAPH_DIAGRAM_TYPES = ['flowchart', 'state', 'class', 'er'];
+export const GRAPH_DIRECTIONS = ['TD', 'TB', 'BT', 'LR', 'RL'];
+export const NODE_SHAPES = [
+  'process', 'rounded', 'terminal', 'decision', 'circle', 'database', 'subroutine', 'hexagon',
+  'start', 'end', 'choice', 'fork', 'join'
+];
+export const EDGE_STYLES = ['solid', 'dotted', 'thick', 'invisible'];
+export const EDGE_RELATIONS = ['association', 'inheritance', 'realization', 'composition', 'aggregation', 'dependency'];
+export const FIELD_VISIBILITY = ['public', 'private', 'protected', 'package'];
+
+const VISIBILITY_MARKERS = { public: '+', private: '-', protected: '#', package: '~' };
+
+/**
+ * State-only shapes drawn with the closest flowchart shape
+ */
+const FLOWCHART_SHAPES = { start: 'circle', end: 'double-circle', choice: 'decision', fork: 'process', join: 'process' };
+
+/**
+ * Map a cardinality such as "1", "0..1", "0..*" or "1..*" to ER markers
+ * Returns [leftMarker, rightMarker] for the two sides of a relationship.
+ */
+const ER_CARDINALITY = {
+  '0..1': ['|o', 'o|'],
+  '1': ['||', '||'],
+  '1..1': ['||', '||'],
+  '0..*': ['}o', 'o{'],
+  '*': ['}o', 'o{'],
+  'many': ['}o', 'o{'],
+  '1..*': ['}|', '|{']
+};
+
+const RESERVED_IDS = [
+  'end', 'graph', 'subgraph', 'flowchart', 'state', 'class', 'classdef', 'style', 'direction', 'namespace', 'note', 'default',
+  'scale', 'link', 'click', 'callback', 'cssclass', 'href', 'call', 'o', 'one', 'many', 'to', 'u'
+];
+
+/**
+ * Hand out Mermaid-safe ids for arbitrary names
+ * Ids keep the name's letters, digits and underscores; names that would be
+ * empty, start with a digit or be reserved get the prefix.
+ */
+export function createIdAllocator(prefix) {
+  const byKey = new Map();
+  const used = new Set();
+  return (key) => {
+    if (!byKey.has(key)) {
+      let base = key.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+      if (!base || /^\d/.test(base) || RESERVED_IDS.includes(base.toLowerCase())) {
+        base = `${prefix}_${base}`.replace(/_+$/, '');
+      }
+      let id = base;
+      let suffix = 2;
+      while (used.has(id)) {
+        id = `${base}_${suffix++}`;
+      }
+      used.add(id);
+      byKey.set(key, id);
+    }
+    return byKey.get(key);
+  };
+}
+
+/**
+ * Group ids by the node they contain and their parent group
+ */
+function indexGroups(graph) {
+  const groupOf = new Map();
+  (graph.groups || []).forEach(group => {
+    group.nodes.forEach(nodeId => groupOf.set(nodeId, group.id));
+  });
+  return groupOf;
+}
+
+/**
+ * Render a class member line
+ */
+function renderField(field) {
+  const visibility = VISIBILITY_MARKERS[field.visibility] || '';
+  return field.type ? `${visibility}${field.type} ${field.name}` : `${visibility}${field.name}`;
+}
+
+function renderMethod(method) {
+  const visibility = VISIBILITY_MARKERS[method.visibility] || '';
+  const returns = method.returns ? ` ${method.returns}` : '';
+  return `${visibility}${method.name}(${method.parameters || ''})${method.static ? '$' : ''}${returns}`;
+}
+
+/**
+ * Flowchart: reuse the flowchart renderer
+ */
+function buildFlowchart(graph) {
+  const model = createFlowchartModel(graph.direction === 'TB' ? 'TD' : graph.direction || 'TD');
+  const groupOf = indexGroups(graph);
+
+  graph.nodes.forEach(node => {
+    model.nodes.set(node.id, {
+      id: node.id,
+      label: node.label || node.id,
+      shape: FLOWCHART_SHAPES[node.shape] || node.shape || 'process',
+      group: groupOf.get(node.id) || null,
+      className: node.class || null
+    });
+  });
+
+  model.groups = (graph.groups || []).map(group => ({
+    id: group.id,
+    title: group.label || group.id,
+    nodes: group.nodes,
+    parent: group.parent || null
+  }));
+
+  model.edges = graph.edges.map(edge => ({
+    from: edge.from,
+    to: edge.to,
+    label: edge.label || null,
+    style: edge.style || 'solid',
+    arrow: edge.arrow === false ? 'none' : 'arrow'
+  }));
+
+  model.classDefs = new Map(Object.entries(graph.classDefs || {}));
+  return { code: renderFlowchart(model), warnings: [] };
+}
+
+/**
+ * State diagram: start/end shapes become [*], groups become composite states
+ */
+function buildStateDiagram(graph) {
+  const warnings = [];
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const pseudo = (id) => ['start', 'end'].includes(nodes.get(id)?.shape);
+  const ref = (id) => (pseudo(id) ? '[*]' : id);
+  const groupOf = indexGroups(graph);
+  let code = 'stateDiagram-v2\n';
+
+  if (graph.direction) {
+    code += `    direction ${graph.direction === 'TD' ? 'TB' : graph.direction}\n`;
+  }
+
+  const renderState = (node, indent) => {
+    if (pseudo(node.id)) {
+      return '';
+    }
+    if (['choice', 'fork', 'join'].includes(node.shape)) {
+      return `${indent}state ${node.id} <<${node.shape}>>\n`;
+    }
+    if (node.label && node.label !== node.id) {
+      return `${indent}state "${escapeLabel(node.label)}" as ${node.id}\n`;
+    }
+    return `${indent}state ${node.id}\n`;
+  };
+
+  const renderGroup = (group, depth) => {
+    const indent = '    '.repeat(depth);
+    code += group.label && group.label !== group.id
+      ? `${indent}state "${escapeLabel(group.label)}" as ${group.id} {\n`
+      : `${indent}state ${group.id} {\n`;
+    group.nodes.forEach(nodeId => {
+      code += renderState(nodes.get(nodeId), `${indent}    `);
+    });
+    // Transitions entirely inside the group, including its own [*] start/end
+    graph.edges
+      .filter(edge => groupOf.get(edge.from) === group.id && groupOf.get(edge.to) === group.id)
+      .forEach(edge => {
+        code += `${indent}    ${ref(edge.from)} --> ${ref(edge.to)}${edge.label ? ` : ${edge.label}` : ''}\n`;
+      });
+    (graph.groups || [])
+      .filter(child => child.parent === group.id)
+      .forEach(child => renderGroup(child, depth + 1));
+    code += `${indent}}\n`;
+  };
+
+  (graph.groups || [])
+    .filter(group => !group.parent)
+    .forEach(group => renderGroup(group, 1));
+
+  graph.nodes
+    .filter(node => !groupOf.has(node.id))
+    .forEach(node => {
+      code += renderState(node, '    ');
+    });
+
+  graph.edges
+    .filter(edge => !(groupOf.has(edge.from) && groupOf.get(edge.from) === groupOf.get(edge.to)))
+    .forEach(edge => {
+      if ((pseudo(edge.from) && groupOf.has(edge.from)) || (pseudo(edge.to) && groupOf.has(edge.to))) {
+        warnings.push(`Transition ${edge.from} -> ${edge.to} crosses a composite state boundary through a start/end node and was drawn at the top level`);
+      }
+      code += `    ${ref(edge.from)} --> ${ref(edge.to)}${edge.label ? ` : ${edge.label}` : ''}\n`;
+    });
+
+  Object.entries(graph.classDefs || {}).forEach(([name, style]) => {
+    code += `    classDef ${name} ${style}\n`;
+  });
+  graph.nodes
+    .filter(node => node.class && !pseudo(node.id))
+    .forEach(node => {
+      code += `    class ${node.id} ${node.class}\n`;
+    });
+
+  return { code, warnings };
+}
+
+/**
+ * Class diagram: nodes become classes, relation/cardinality drive the arrows
+ */
+function buildClassDiagram(graph) {
+  const warnings = [];
+  const groupOf = indexGroups(graph);
+  let code = 'classDiagram\n';
+
+  if (graph.direction) {
+    code += `    direction ${graph.direction === 'TD' ? 'TB' : graph.direction}\n`;
+  }
+
+  const renderClass = (node, indent) => {
+    const label = node.label && node.label !== node.id ? `["${escapeLabel(node.label)}"]` : '';
+    const members = [
+      ...(node.fields || []).map(renderField),
+      ...(node.methods || []).map(renderMethod)
+    ];
+    if (members.length === 0) {
+      return `${indent}class ${node.id}${label}\n`;
+    }
+    return `${indent}class ${node.id}${label} {\n${members.map(m => `${indent}    ${m}\n`).join('')}${indent}}\n`;
+  };
+
+  (graph.groups || []).forEach(group => {
+    if (group.parent) {
+      warnings.push(`Class diagram namespaces cannot nest; group "${group.id}" was flattened`);
+    }
+    code += `    namespace ${group.id} {\n`;
+    group.nodes.forEach(nodeId => {
+      code += renderClass(graph.nodes.find(node => node.id === nodeId), '        ');
+    });
+    code += '    }\n';
+  });
+
+  graph.nodes
+    .filter(node => !groupOf.has(node.id))
+    .forEach(node => {
+      code += renderClass(node, '    ');
+    });
+
+  graph.edges.forEach(edge => {
+    const fromCard = edge.cardinality?.from ? ` "${edge.cardinality.from}"` : '';
+    const toCard = edge.cardinality?.to ? `"${edge.cardinality.to}" ` : '';
+    const label = edge.label ? ` : ${edge.label}` : '';
+    const dotted = edge.style === 'dotted';
+
+    switch (edge.relation) {
+      case 'inheritance':
+        code += `    ${edge.to} <|${dotted ? '..' : '--'} ${edge.from}${label}\n`;
+        break;
+      case 'realization':
+        code += `    ${edge.to} <|.. ${edge.from}${label}\n`;
+        break;
+      case 'composition':
+        code += `    ${edge.from}${fromCard} *-- ${toCard}${edge.to}${label}\n`;
+        break;
+      case 'aggregation':
+        code += `    ${edge.from}${fromCard} o-- ${toCard}${edge.to}${label}\n`;
+        break;
+      case 'dependency':
+        code += `    ${edge.from}${fromCard} ..> ${toCard}${edge.to}${label}\n`;
+        break;
+      default:
+        code += `    ${edge.from}${fromCard} ${dotted ? '..>' : edge.arrow === false ? '--' : '-->'} ${toCard}${edge.to}${label}\n`;
+    }
+  });
+
+  graph.nodes
+    .filter(node => node.class)
+    .forEach(node => {
+      code += `    cssClass "${node.id}" ${node.class}\n`;
+    });
+  if (graph.classDefs && Object.keys(graph.classDefs).length > 0) {
+    warnings.push('Class diagrams apply node classes as CSS class names; classDefs were not emitted');
+  }
+
+  return { code, warnings };
+}
+
+/**
+ * ER diagram: nodes become entities, cardinality maps to crow's foot markers
+ */
+function buildERDiagram(graph) {
+  const warnings = [];
+  let code = 'erDiagram\n';
+
+  if (graph.groups && graph.groups.length > 0) {
+    warnings.push('ER diagrams do not support groups; groups were ignored');
+  }
+
+  graph.edges.forEach(edge => {
+    const left = (ER_CARDINALITY[edge.cardinality?.from || '1'] || ER_CARDINALITY['1'])[0];
+    const right = (ER_CARDINALITY[edge.cardinality?.to || '0..*'] || ER_CARDINALITY['0..*'])[1];
+    const line = edge.style === 'dotted' ? '..' : '--';
+    code += `    ${edge.from} ${left}${line}${right} ${edge.to} : "${escapeLabel(edge.label || 'has')}"\n`;
+  });
+
+  graph.nodes.forEach(node => {
+    if (node.class) {
+      warnings.push(`ER diagrams do not support styling classes; class on "${node.id}" was ignored`);
+    }
+    if (!node.fields || node.fields.length === 0) {
+      code += `    ${node.id}\n`;
+      return;
+    }
+    code += `    ${node.id} {\n`;
+    node.fields.forEach(field => {
+      const type = (field.type || 'string').replace(/[^\w()\[\],.-]/g, '_');
+      const key = field.key ? ` ${field.key}` : '';
+      const comment = field.comment ? ` "${field.comment.replace(/"/g, "'")}"` : '';
+      code += `        ${type} ${field.name}${key}${comment}\n`;
+    });
+    code += '    }\n';
+  });
+
+  return { code, warnings };
+}
+
+const BUILDERS = {
+  flowchart: buildFlowchart,
+  state: buildStateDiagram,
+  class: buildClassDiagram,
+  er: buildERDiagram
+};
+
+/**
+ * Build Mermaid code from a structured graph model
+ * Returns { mermaid_code, diagram_type, warnings }
+ */
+export function buildDiagram(graph) {
+  const diagramType = graph.diagramType || 'flowchart';
+  const builder = BUILDERS[diagramType];
+  if (!builder) {
+    throw new Error(`Invalid diagram type: ${diagramType}. Valid types are: ${GRAPH_DIAGRAM_TYPES.join(', ')}`);
+  }
+
+  const { code, warnings } = builder(graph);
+  return { mermaid_code: code, diagram_type: diagramType, warnings };
+}
@@ -0,0 +1,347 @@
+/**
+ * JSON structure visualisation
+ * Renders JSON data as a hierarchy (flowchart tree or mindmap) with a depth
+ * limit and array summarisation, and JSON Schema documents ($defs,
+ * properties, $ref, required, type) as class diagrams.
+ */
+
+import { buildDiagram } from './graph-builder.js';
+
+export const JSON_TREE_DEFAULTS = { maxDepth: 4, arrayItems: 3 };
+
+const VALUE_PREVIEW_LENGTH = 40;
+const ITEM_NAME_KEYS = ['name', '@name', 'id', '@id', 'title', 'key', 'kind'];
+const SCHEMA_KEYWORDS = ['$defs', 'definitions', 'properties', 'items', 'allOf', 'oneOf', 'anyOf', '$ref'];
+
+/**
+ * Whether parsed JSON looks like a JSON Schema document rather than data
+ */
+export function isJsonSchema(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  if (typeof data.$schema === 'string' && /json-schema/i.test(data.$schema)) {
+    return true;
+  }
+  const defs = data.$defs || data.definitions;
+  if (defs && typeof defs === 'object' && Object.values(defs).some(def => def && typeof def === 'object' && (def.type || def.properties || def.$ref))) {
+    return true;
+  }
+  return data.type === 'object' && !!data.properties && typeof data.properties === 'object'
+    && Object.values(data.properties).every(property => property && typeof property === 'object' && SCHEMA_KEYWORDS.concat('type', 'enum', 'format').some(key => key in property));
+}
+
+/* ------------------------------------------------------------------------ */
+/* Data trees                                                               */
+/* ------------------------------------------------------------------------ */
+
+function preview(value) {
+  const text = typeof value === 'string' ? `"${value}"` : String(value);
+  return text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * A short name for an array entry, e.g. "[0] web" for { name: 'web' }
+ */
+function itemKey(item, index) {
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    const key = ITEM_NAME_KEYS.find(name => typeof item[name] === 'string' || typeof item[name] === 'number');
+    if (key) {
+      return `[${index}] ${preview(item[key]).replace(/^"|"$/g, '')}`;
+    }
+  }
+  return `[${index}]`;
+}
+
+function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build a label tree from JSON data
+ * Objects and arrays below maxDepth collapse into a summary leaf. Arrays of
+ * scalars are listed inline; arrays of objects show the first arrayItems
+ * entries and a "+N more" leaf.
+ */
+export function jsonToTree(data, { maxDepth = JSON_TREE_DEFAULTS.maxDepth, arrayItems = JSON_TREE_DEFAULTS.arrayItems, rootLabel = 'root' } = {}) {
+  const build = (key, value, depth) => {
+    const isArray = Array.isArray(value);
+    if (value === null || typeof value !== 'object') {
+      return { label: key === null ? preview(value) : `${key}: ${preview(value)}`, kind: 'value', children: [] };
+    }
+
+    const size = isArray ? value.length : Object.keys(value).length;
+    const summary = isArray ? countLabel(size, 'item') : countLabel(size, 'key');
+    const name = key === null ? '' : key;
+    if (size === 0 || depth >= maxDepth) {
+      return { label: `${name}${name ? ': ' : ''}${size === 0 ? (isArray ? 'empty list' : 'empty object') : summary}`, kind: 'value', children: [] };
+    }
+
+    if (isArray && value.every(item => item === null || typeof item !== 'object')) {
+      const shown = value.slice(0, arrayItems).map(preview).join(', ');
+      const more = size > arrayItems ? `, +${size - arrayItems} more` : '';
+      return { label: `${name}${name ? ': ' : ''}${shown}${more}`, kind: 'value', children: [] };
+    }
+
+    const node = { label: name ? `${name} (${summary})` : summary, kind: isArray ? 'array' : 'object', children: [] };
+    if (isArray) {
+      value.slice(0, arrayItems).forEach((item, index) => {
+        node.children.push(build(itemKey(item, index), item, depth + 1));
+      });
+      if (size > arrayItems) {
+        node.children.push({ label: `+${size - arrayItems} more`, kind: 'more', children: [] });
+      }
+    } else {
+      Object.entries(value).forEach(([childKey, childValue]) => {
+        node.children.push(build(childKey, childValue, depth + 1));
+      });
+    }
+    return node;
+  };
+
+  const tree = build(null, data, 0);
+  if (tree.kind === 'value') {
+    return { label: rootLabel, kind: 'object', children: [tree] };
+  }
+  return { ...tree, label: `${rootLabel} (${tree.label})` };
+}
+
+/**
+ * Render a label tree as a top-down flowchart
+ */
+export function renderTreeFlowchart(tree) {
+  const nodes = [];
+  const edges = [];
+  const shapes = { object: 'rounded', array: 'subroutine', value: 'process', more: 'terminal' };
+
+  const walk = (node, parentId) => {
+    const id = `n${nodes.length}`;
+    nodes.push({ id, label: node.label, shape: shapes[node.kind] });
+    if (parentId) {
+      edges.push({ from: parentId, to: id });
+    }
+    node.children.forEach(child => walk(child, id));
+  };
+  walk(tree, null);
+
+  return buildDiagram({ diagramType: 'flowchart', direction: 'TD', nodes, edges }).mermaid_code;
+}
+
+/**
+ * Render a label tree as a mindmap
+ * Mindmap text cannot contain brackets or quotes, so "[0] (2 keys)" is
+ * written as "#0: 2 keys".
+ */
+export function renderTreeMindmap(tree) {
+  const clean = (label) => label
+    .replace(/\[(\d+)\]/g, '#$1')
+    .replace(/\s*\(([^()]*)\)$/, ': $1')
+    .replace(/[()[\]{}]/g, '')
+    .replace(/"/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim() || '…';
+  let code = 'mindmap\n';
+  let count = 0;
+
+  const walk = (node, depth) => {
+    const indent = '  '.repeat(depth + 1);
+    const id = `n${count++}`;
+    const text = clean(node.label);
+    code += depth === 0 ? `${indent}${id}((${text}))\n` : node.children.length > 0 ? `${indent}${id}(${text})\n` : `${indent}${id}[${text}]\n`;
+    node.children.forEach(child => walk(child, depth + 1));
+  };
+  walk(tree, 0);
+  return code;
+}
+
+/* ------------------------------------------------------------------------ */
+/* JSON Schema                                                              */
+/* ------------------------------------------------------------------------ */
+
+function className(name) {
+  const cleaned = String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^\d/.test(cleaned) ? `T${cleaned}` : cleaned || 'Anonymous';
+}
+
+function refName(ref) {
+  const match = /^#\/(?:\$defs|definitions|components\/schemas)\/(.+)$/.exec(ref || '');
+  return match ? decodeURIComponent(match[1].replace(/~1/g, '/').replace(/~0/g, '~')) : null;
+}
+
+/**
+ * Parse a JSON Schema document into classes and relations
+ * Returns { classes: [{ name, annotation, fields }], relations, warnings }
+ */
+export function parseJsonSchema(schema) {
+  const classes = new Map();
+  const relations = [];
+  const warnings = [];
+  const defs = { ...(schema.definitions || {}), ...(schema.$defs || {}) };
+  const defNames = new Map(Object.keys(defs).map(key => [key, className(key)]));
+
+  const resolveRef = (ref) => {
+    const name = refName(ref);
+    if (name === null) {
+      warnings.push(`Only local $ref values are resolved; "${ref}" was shown as its name`);
+      return className(String(ref).split('/').pop().replace(/\.json$/, ''));
+    }
+    if (!defNames.has(name)) {
+      warnings.push(`$ref "${ref}" points to a missing definition`);
+      return className(name);
+    }
+    return defNames.get(name);
+  };
+
+  // Names for inline objects and the root must not clash with definitions
+  const defClassNames = new Set(defNames.values());
+  const uniqueName = (base) => {
+    let name = base;
+    let suffix = 2;
+    while (classes.has(name) || defClassNames.has(name)) {
+      name = `${base}${suffix++}`;
+    }
+    return name;
+  };
+
+  // Describe a property schema as { type, target(s), many, nullable }
+  const describe = (property, ownerName, propertyName) => {
+    if (!property || typeof property !== 'object') {
+      return { type: 'any' };
+    }
+    if (property.$ref) {
+      const target = resolveRef(property.$ref);
+      return { type: target, target };
+    }
+    const variants = property.oneOf || property.anyOf;
+    if (variants) {
+      const described = variants.map(variant => describe(variant, ownerName, propertyName));
+      const targets = described.filter(item => item.target).map(item => item.target);
+      const types = described.map(item => item.type).filter(type => type !== 'null');
+      return { type: types.join(' or ') || 'null', targets, nullable: types.length < described.length };
+    }
+    if (property.allOf && property.allOf.length === 1) {
+      return describe(property.allOf[0], ownerName, propertyName);
+    }
+
+    const types = [].concat(property.type || (property.properties ? 'object' : property.items ? 'array' : property.enum ? 'string' : 'any'));
+    const type = types.find(candidate => candidate !== 'null') || 'null';
+
+    if (type === 'array') {
+      const item = describe(property.items, ownerName, propertyName.replace(/s$/, '') || propertyName);
+      return { ...item, type: `${item.type}[]`, many: true };
+    }
+    if (type === 'object' && property.properties) {
+      const target = addClass(uniqueName(className(property.title || `${ownerName} ${propertyName}`)), property);
+      return { type: target, target };
+    }
+    if (type === 'object' && property.additionalProperties && typeof property.additionalProperties === 'object') {
+      const value = describe(property.additionalProperties, ownerName, propertyName);
+      return { ...value, type: `Map~string, ${value.type}~`, many: true };
+    }
+    return { type: property.format ? `${type}(${property.format})` : type };
+  };
+
+  function addClass(name, def) {
+    const cls = { name, annotation: null, fields: [] };
+    classes.set(name, cls);
+
+    if (def.enum && !def.properties) {
+      cls.annotation = 'enumeration';
+      cls.fields = def.enum.map(value => String(value).replace(/[^\w$-]+/g, '_'));
+      return name;
+    }
+
+    // allOf: $ref parts are base classes, inline parts add their properties
+    const required = new Set(def.required || []);
+    const properties = { ...(def.properties || {}) };
+    (def.allOf || []).forEach(part => {
+      if (part.$ref) {
+        relations.push({ from: name, to: resolveRef(part.$ref), kind: 'inheritance' });
+      } else if (part.properties) {
+        (part.required || []).forEach(key => required.add(key));
+        Object.assign(properties, part.properties);
+      }
+    });
+
+    Object.entries(properties).forEach(([propertyName, property]) => {
+      const described = describe(property, name, propertyName);
+      const isRequired = required.has(propertyName);
+      const type = described.type.replace(/\s+or\s+/g, '|').replace(/[^\w~(),.|\-[\]]/g, '');
+      // Optional properties end in "?"
+      cls.fields.push(`+${type} ${propertyName.replace(/[^\w$]/g, '_')}${isRequired ? '' : '?'}`);
+
+      const targets = described.targets || (described.target ? [described.target] : []);
+      targets.forEach(target => {
+        relations.push({
+          from: name,
+          to: target,
+          kind: 'association',
+          label: propertyName,
+          cardinality: described.many ? '*' : isRequired && !described.nullable && property?.nullable !== true ? '1' : '0..1'
+        });
+      });
+    });
+    return name;
+  }
+
+  Object.entries(defs).forEach(([key, def]) => {
+    if (def && typeof def === 'object' && !classes.has(defNames.get(key))) {
+      addClass(defNames.get(key), def);
+    }
+  });
+  if (schema.properties || schema.allOf) {
+    addClass(uniqueName(className(schema.title || 'Root')), schema);
+  }
+
+  if (classes.size === 0) {
+    throw new Error('The schema has no object definitions. Add "properties" or "$defs"');
+  }
+
+  return { classes: [...classes.values()], relations, warnings };
+}
+
+/**
+ * Render parsed schema classes as a Mermaid class diagram
+ */
+export function renderSchemaClassDiagram({ classes, relations }) {
+  let code = 'classDiagram\n';
+  classes.forEach(cls => {
+    if (cls.fields.length === 0 && !cls.annotation) {
+      code += `    class ${cls.name}\n`;
+      return;
+    }
+    code += `    class ${cls.name} {\n`;
+    if (cls.annotation) {
+      code += `        <<${cls.annotation}>>\n`;
+    }
+    cls.fields.forEach(field => {
+      code += `        ${field}\n`;
+    });
+    code += '    }\n';
+  });
+
+  const known = new Set(classes.map(cls => cls.name));
+  relations.forEach(relation => {
+    if (!known.has(relation.to)) {
+      code += `    class ${relation.to}\n`;
+      known.add(relation.to);
+    }
+    if (relation.kind === 'inheritance') {
+      code += `    ${relation.to} <|-- ${relation.from}\n`;
+    } else {
+      code += `    ${relation.from} --> "${relation.cardinality}" ${relation.to} : ${relation.label}\n`;
+    }
+  });
+  return code;
+}
+
+/**
+ * Generate a class diagram from a JSON Schema document
+ */
+export function generateSchemaClassDiagram(schema) {
+  return renderSchemaClassDiagram(parseJsonSchema(schema));
+}
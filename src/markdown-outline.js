@@ -0,0 +1,132 @@
+/**
+ * Markdown outline reader
+ * Builds a label tree from heading levels and nested list items, for
+ * rendering as a mindmap or flowchart tree. Paragraphs, code blocks and
+ * front matter are skipped.
+ */
+
+/**
+ * Reduce inline Markdown to plain text
+ */
+function plainText(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_](.+?)[*_](?=\W|$)/g, '$1$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a Markdown outline into { label, kind, children }
+ * A single top-level "# Heading" becomes the root; otherwise the root is
+ * labelled with the title option.
+ */
+export function parseMarkdownOutline(text, { title = 'Outline' } = {}) {
+  const root = { label: title, children: [], level: 0 };
+  const headings = [root];
+  let list = [];
+  let fence = null;
+  let inComment = false;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let start = 0;
+
+  if (lines[0]?.trim() === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    start = end === -1 ? 0 : end + 1;
+  }
+
+  const addHeading = (level, label) => {
+    while (headings.length > 1 && headings[headings.length - 1].level >= level) {
+      headings.pop();
+    }
+    const node = { label, children: [], level };
+    headings[headings.length - 1].children.push(node);
+    headings.push(node);
+    list = [];
+  };
+
+  for (let index = start; index < lines.length; index++) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    const fenceMatch = /^(`{3,}|~{3,})/.exec(trimmed);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+    if (inComment || trimmed.startsWith('<!--')) {
+      inComment = !trimmed.includes('-->');
+      continue;
+    }
+
+    const heading = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+    if (heading) {
+      addHeading(heading[1].length, plainText(heading[2]));
+      continue;
+    }
+    // Setext headings: a text line underlined with === or ---
+    const underline = /^ {0,3}(=+|-+)\s*$/.exec(lines[index + 1] || '');
+    if (underline && trimmed && !/^([-*+]|\d+[.)])\s/.test(trimmed) && list.length === 0) {
+      addHeading(underline[1][0] === '=' ? 1 : 2, plainText(trimmed));
+      index++;
+      continue;
+    }
+
+    const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      const indent = item[1].replace(/\t/g, '    ').length;
+      let label = item[3];
+      const task = /^\[([ xX])\]\s+/.exec(label);
+      if (task) {
+        label = `${task[1] === ' ' ? '☐' : '☑'} ${label.slice(task[0].length)}`;
+      }
+      const node = { label: plainText(label), children: [] };
+      while (list.length > 0 && list[list.length - 1].indent >= indent) {
+        list.pop();
+      }
+      const parent = list.length > 0 ? list[list.length - 1].node : headings[headings.length - 1];
+      parent.children.push(node);
+      list.push({ indent, node });
+      continue;
+    }
+
+    // Lazy continuation lines extend the previous list item
+    if (trimmed && list.length > 0 && /^\s/.test(line)) {
+      const last = list[list.length - 1].node;
+      last.label = `${last.label} ${plainText(trimmed)}`;
+      continue;
+    }
+    if (!trimmed) {
+      continue;
+    }
+    // Any other paragraph ends the current list
+    list = [];
+  }
+
+  if (root.children.length === 0) {
+    throw new Error('No headings or list items found. Use "#" headings or "-" list items');
+  }
+
+  const finish = (node) => ({
+    label: node.label || '…',
+    kind: node.children.length > 0 ? 'object' : 'value',
+    children: node.children.map(finish)
+  });
+
+  // A single top-level heading is the document title
+  if (root.children.length === 1 && root.children[0].level === 1) {
+    return finish(root.children[0]);
+  }
+  return finish(root);
+}
@@ -0,0 +1,33 @@
+/**
+ * MCP server
+ * One SDK Server per connection in front of the shared method handler, so
+ * every transport answers with the same tools and resources. The SDK takes
+ * care of initialize, ping and message framing; resource subscriptions are
+ * tracked here so resources/updated only goes to clients that asked for it.
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * handleRequest(method, params) resolves with the result, or throws an
+ * error with a numeric JSON-RPC code
+ * Returns { server, subscriptions } where subscriptions is the set of
+ * subscribed resource URIs.
+ */
+export function createMcpServer({ serverInfo, capabilities, handleRequest }) {
+  const server = new Server(serverInfo, { capabilities });
+  const subscriptions = new Set();
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+  server.fallbackRequestHandler = (request) => handleRequest(request.method, request.params);
+
+  return { server, subscriptions };
+}
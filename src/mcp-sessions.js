@@ -0,0 +1,146 @@
+/**
+ * MCP sessions over Streamable HTTP
+ * An initialize request opens a session with its own transport and server;
+ * the Mcp-Session-Id header routes later POSTs, the GET event stream and
+ * DELETE to it. Each session keeps its recent events so a client can resume
+ * a dropped stream with Last-Event-ID. Idle sessions are closed.
+ */
+
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_EVENTS = 500;
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Event store for one session, keeping the newest maxEvents events
+ */
+export function createEventStore(maxEvents = MAX_EVENTS) {
+  const events = new Map();
+  let lastId = 0;
+
+  return {
+    async storeEvent(streamId, message) {
+      lastId += 1;
+      const eventId = String(lastId);
+      events.set(eventId, { streamId, message });
+      if (events.size > maxEvents) {
+        events.delete(events.keys().next().value);
+      }
+      return eventId;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      return events.get(eventId)?.streamId;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const { streamId } = events.get(lastEventId);
+      for (const [eventId, event] of events) {
+        if (event.streamId === streamId && Number(eventId) > Number(lastEventId)) {
+          await send(eventId, event.message);
+        }
+      }
+      return streamId;
+    }
+  };
+}
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+/**
+ * createServer(initializeParams) returns { server, subscriptions } for a new
+ * session (see createMcpServer)
+ */
+export function createMcpSessions({ createServer, idleTimeout = IDLE_TIMEOUT_MS }) {
+  const sessions = new Map();
+
+  const closeSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (session) {
+      sessions.delete(sessionId);
+      session.transport.close().catch(error => console.error(`[MCP Session ${sessionId}] Close failed:`, error));
+    }
+  };
+
+  setInterval(() => {
+    const cutoff = Date.now() - idleTimeout;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        console.log(`[MCP Session ${sessionId}] Closed after being idle`);
+        closeSession(sessionId);
+      }
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  const openSession = async (req, res) => {
+    const { server, subscriptions } = createServer(req.body.params);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: createEventStore(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, { transport, server, subscriptions, lastSeen: Date.now() });
+        console.log(`[MCP Session ${sessionId}] Opened`);
+      },
+      onsessionclosed: (sessionId) => {
+        sessions.delete(sessionId);
+        console.log(`[MCP Session ${sessionId}] Deleted by the client`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  };
+
+  /**
+   * Send a notification to every session, or to those matching the filter
+   */
+  const broadcast = (send, filter = () => true) => {
+    for (const [sessionId, session] of sessions) {
+      if (filter(session)) {
+        send(session.server).catch(error => console.error(`[MCP Session ${sessionId}] Notification failed:`, error));
+      }
+    }
+  };
+
+  return {
+    /**
+     * Express handler for POST, GET and DELETE /mcp
+     */
+    async handleRequest(req, res) {
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          return sendJsonRpcError(res, 404, 'Session not found');
+        }
+        session.lastSeen = Date.now();
+        return session.transport.handleRequest(req, res, req.body);
+      }
+      if (req.method === 'POST' && isInitializeRequest(req.body)) {
+        return openSession(req, res);
+      }
+      sendJsonRpcError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+    },
+
+    notifyToolListChanged() {
+      broadcast(server => server.sendToolListChanged());
+    },
+
+    notifyResourceUpdated(uri) {
+      broadcast(server => server.sendResourceUpdated({ uri }), session => session.subscriptions.has(uri));
+    },
+
+    get size() {
+      return sessions.size;
+    }
+  };
+}
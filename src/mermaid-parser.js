@@ -0,0 +1,1608 @@
+/**
+ * Mermaid source parser and validator
+ * Parses the diagram types this server generates and reports structured
+ * diagnostics (severity, 1-based line/column, message, suggested fix).
+ *
+ * Flowchart and sequence sources are parsed into models that the rest of
+ * the server can work with; other types are checked statement by statement.
+ */
+
+import { createFlowchartModel } from './flowchart.js';
+
+const FLOW_DIRECTIONS = ['TD', 'TB', 'BT', 'LR', 'RL'];
+
+/**
+ * Diagram header patterns, checked in order against the first statement
+ */
+const DIAGRAM_HEADERS = [
+  { type: 'flowchart', pattern: /^(flowchart|graph)\b/ },
+  { type: 'sequence', pattern: /^sequenceDiagram\b/ },
+  { type: 'class', pattern: /^classDiagram(-v2)?\b/ },
+  { type: 'state', pattern: /^stateDiagram(-v2)?\b/ },
+  { type: 'er', pattern: /^erDiagram\b/ },
+  { type: 'gantt', pattern: /^gantt\b/ },
+  { type: 'pie', pattern: /^pie\b/ },
+  { type: 'git', pattern: /^gitGraph\b/ },
+  { type: 'mindmap', pattern: /^mindmap\b/ }
+];
+
+/**
+ * Diagram types Mermaid 10.9.8 renders that are not modelled here; only
+ * their header is read
+ */
+const UNCHECKED_HEADER = /^(journey|timeline|quadrantChart|requirement(?:Diagram)?|C4(?:Context|Container|Component|Dynamic|Deployment)|sankey-beta|xychart-beta|block-beta|info)\b/;
+
+/**
+ * Collects diagnostics while a parser walks the source
+ */
+function createContext(source = '') {
+  const diagnostics = [];
+  const add = (severity) => (line, column, message, suggestion = null) => {
+    diagnostics.push({ severity, line, column, message, suggestion });
+  };
+  return {
+    diagnostics,
+    source,
+    error: add('error'),
+    warning: add('warning')
+  };
+}
+
+/**
+ * Split source into statements, dropping comments, directives and front matter
+ * Each statement keeps its original line number and indentation offset.
+ */
+function toStatements(code) {
+  const rawLines = code.replace(/\r\n?/g, '\n').split('\n');
+  const statements = [];
+  let inFrontMatter = false;
+  let inDirective = false;
+
+  rawLines.forEach((raw, index) => {
+    const trimmed = raw.trim();
+
+    if (index === 0 && trimmed === '---') {
+      inFrontMatter = true;
+      return;
+    }
+    if (inFrontMatter) {
+      if (trimmed === '---') {
+        inFrontMatter = false;
+      }
+      return;
+    }
+    if (inDirective) {
+      if (trimmed.endsWith('}%%')) {
+        inDirective = false;
+      }
+      return;
+    }
+    if (trimmed.startsWith('%%{')) {
+      inDirective = !trimmed.endsWith('}%%');
+      return;
+    }
+    if (!trimmed || trimmed.startsWith('%%')) {
+      return;
+    }
+
+    statements.push({
+      text: trimmed.replace(/;\s*$/, ''),
+      line: index + 1,
+      offset: raw.length - raw.trimStart().length
+    });
+  });
+
+  return statements;
+}
+
+/**
+ * Helper for 1-based column numbers within a statement
+ */
+function columnOf(statement, index = 0) {
+  return statement.offset + index + 1;
+}
+
+/**
+ * The rest of a statement after a ";" at index, as a statement of its own
+ */
+function restOf(statement, index) {
+  const skipped = statement.text.slice(index).match(/^[\s;]*/)[0].length;
+  return { text: statement.text.slice(index + skipped), line: statement.line, offset: statement.offset + index + skipped };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Flowchart                                                                */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Node shape delimiters, longest openers first
+ */
+const FLOW_SHAPES = [
+  { open: '(((', close: ')))', shape: 'double-circle' },
+  { open: '([', close: '])', shape: 'terminal' },
+  { open: '[[', close: ']]', shape: 'subroutine' },
+  { open: '[(', close: ')]', shape: 'database' },
+  { open: '((', close: '))', shape: 'circle' },
+  { open: '{{', close: '}}', shape: 'hexagon' },
+  { open: '[/', close: '/]', shape: 'parallelogram' },
+  { open: '[\\', close: '\\]', shape: 'parallelogram-alt' },
+  { open: '[', close: ']', shape: 'process' },
+  { open: '(', close: ')', shape: 'rounded' },
+  { open: '{', close: '}', shape: 'decision' },
+  { open: '>', close: ']', shape: 'asymmetric' }
+];
+
+const FLOW_NODE_ID = /^[\p{L}\p{N}_][\p{L}\p{N}_$.]*/u;
+const FLOW_LINK_TEXT = /^(<?)(--|==|-\.)\s+(.+?)\s+(-{2,}>|-{3,}|={2,}>|={3,}|\.+->|\.+-)/;
+const FLOW_LINK = /^(<?)(-{2,}|={2,}|-\.+-|~{3,})(>|[ox](?=\s|$))?/;
+// Words the flowchart lexer reads as keywords (case-sensitive); click, call
+// and href only when whitespace follows, so click["Click"] is still a node.
+// The grammar takes "default" as a node id but not as a subgraph id.
+const FLOW_KEYWORD = /^(?:end|subgraph|graph|flowchart|style|linkStyle|classDef|class|interpolate)\b|^(?:click|call|href)(?=\s|$)/;
+const FLOW_SUBGRAPH_KEYWORD = /^(?:default|interpolate|click|call|href)\b/;
+
+/**
+ * Describe a link token as edge style and arrowhead
+ */
+function describeFlowLink(start, body, head) {
+  let style = 'solid';
+  if (body.startsWith('=')) {
+    style = 'thick';
+  } else if (body.includes('.')) {
+    style = 'dotted';
+  } else if (body.startsWith('~')) {
+    style = 'invisible';
+  }
+
+  const arrow = head === '>' ? 'arrow' : head === 'o' ? 'circle' : head === 'x' ? 'cross' : 'none';
+  return { style, arrow, bidirectional: start === '<' };
+}
+
+/**
+ * Parse one node reference (id plus optional shape and :::class)
+ * Returns { node, index } or null after reporting a diagnostic.
+ */
+function parseFlowNode(statement, text, index, ctx) {
+  const rest = text.slice(index);
+  const idMatch = rest.match(FLOW_NODE_ID);
+
+  if (!idMatch) {
+    ctx.error(statement.line, columnOf(statement, index),
+      `Expected a node id but found "${rest.slice(0, 10)}"`,
+      'Node ids may contain letters, digits and underscores, e.g. A["My label"]');
+    return null;
+  }
+
+  const id = idMatch[0];
+  let position = index + id.length;
+  const node = { id, label: null, shape: null, className: null };
+
+  const keyword = rest.match(FLOW_KEYWORD);
+  if (keyword) {
+    ctx.error(statement.line, columnOf(statement, index),
+      `"${keyword[0]}" is a reserved word and cannot be used as a node id`,
+      `Rename the node, e.g. ${keyword[0]}_node["${id}"]`);
+    return null;
+  }
+
+  const shape = FLOW_SHAPES.find(s => text.startsWith(s.open, position));
+  if (shape) {
+    const contentStart = position + shape.open.length;
+    let closeIndex;
+    let label;
+
+    if (text[contentStart] === '"') {
+      const quoteEnd = text.indexOf('"', contentStart + 1);
+      if (quoteEnd === -1) {
+        ctx.error(statement.line, columnOf(statement, contentStart),
+          'Unterminated quoted label', 'Close the label with a double quote');
+        return null;
+      }
+      label = text.slice(contentStart + 1, quoteEnd);
+      const afterQuote = text.slice(quoteEnd + 1).match(/^\s*/)[0].length;
+      closeIndex = quoteEnd + 1 + afterQuote;
+      if (!text.startsWith(shape.close, closeIndex)) {
+        ctx.error(statement.line, columnOf(statement, closeIndex),
+          `Expected "${shape.close}" to close node "${id}"`,
+          `Write ${id}${shape.open}"${label}"${shape.close}`);
+        return null;
+      }
+    } else {
+      closeIndex = text.indexOf(shape.close, contentStart);
+      if (closeIndex === -1) {
+        ctx.error(statement.line, columnOf(statement, position),
+          `Unclosed "${shape.open}" in node "${id}"`,
+          `Add "${shape.close}" after the label`);
+        return null;
+      }
+      label = text.slice(contentStart, closeIndex).trim();
+      if (/[[\](){}"]/.test(label)) {
+        ctx.error(statement.line, columnOf(statement, contentStart),
+          `Label of node "${id}" contains special characters`,
+          `Wrap the label in quotes: ${id}${shape.open}"${label.replace(/"/g, '#quot;')}"${shape.close}`);
+        return null;
+      }
+    }
+
+    node.label = label;
+    node.shape = shape.shape;
+    position = closeIndex + shape.close.length;
+  }
+
+  const classMatch = text.slice(position).match(/^:::([\w-]+)/);
+  if (classMatch) {
+    node.className = classMatch[1];
+    position += classMatch[0].length;
+  }
+
+  return { node, index: position };
+}
+
+/**
+ * Parse a link at the given position, including an optional |label|
+ */
+function parseFlowLink(statement, text, index, ctx) {
+  const rest = text.slice(index);
+  let match = rest.match(FLOW_LINK_TEXT);
+
+  if (match) {
+    return {
+      link: { label: match[3].trim(), ...describeFlowLink(match[1], match[2] + match[4], match[4].slice(-1)) },
+      index: index + match[0].length
+    };
+  }
+
+  match = rest.match(FLOW_LINK);
+  if (!match) {
+    return null;
+  }
+
+  let position = index + match[0].length;
+  const link = { label: null, ...describeFlowLink(match[1], match[2], match[3]) };
+  const labelMatch = text.slice(position).match(/^\s*\|/);
+
+  if (labelMatch) {
+    const labelStart = position + labelMatch[0].length;
+    // A quoted label may contain "|"; the closing pipe comes after the quote
+    const quote = text.slice(labelStart).match(/^\s*"/);
+    const quoteEnd = quote ? text.indexOf('"', labelStart + quote[0].length) : -1;
+    const labelEnd = text.indexOf('|', quoteEnd === -1 ? labelStart : quoteEnd + 1);
+    if (labelEnd === -1) {
+      ctx.error(statement.line, columnOf(statement, labelStart - 1),
+        'Unclosed edge label', 'Close the label with "|", e.g. A -->|yes| B');
+      return { link, index: text.length, failed: true };
+    }
+    link.label = text.slice(labelStart, labelEnd).trim().replace(/^"(.*)"$/, '$1');
+    position = labelEnd + 1;
+  }
+
+  return { link, index: position };
+}
+
+/**
+ * Parse flowchart statements into a flowchart model
+ */
+function parseFlowchart(statements, ctx) {
+  // ";" separates statements on one line, including after the header
+  const queue = statements.slice(1);
+  const headerEnd = statements[0].text.indexOf(';');
+  const header = headerEnd === -1 ? statements[0] : { ...statements[0], text: statements[0].text.slice(0, headerEnd).trimEnd() };
+  if (headerEnd !== -1 && restOf(statements[0], headerEnd).text) {
+    queue.unshift(restOf(statements[0], headerEnd));
+  }
+  const headerMatch = header.text.match(/^(flowchart|graph)(?:\s+(\S+))?\s*$/);
+  const model = createFlowchartModel('TD');
+  model.classDefs = new Map();
+
+  if (!headerMatch) {
+    ctx.error(header.line, columnOf(header),
+      'Malformed flowchart header', 'Use "flowchart TD" (or LR, BT, RL)');
+  } else if (headerMatch[2]) {
+    const direction = headerMatch[2].toUpperCase();
+    if (!FLOW_DIRECTIONS.includes(direction)) {
+      ctx.error(header.line, columnOf(header, header.text.indexOf(headerMatch[2])),
+        `Unknown direction "${headerMatch[2]}"`, `Use one of ${FLOW_DIRECTIONS.join(', ')}`);
+    } else {
+      model.direction = direction === 'TB' ? 'TD' : direction;
+    }
+  }
+
+  const groupStack = [];
+  const styledIds = [];
+
+  const addNode = (node) => {
+    const existing = model.nodes.get(node.id);
+    if (existing) {
+      if (node.label !== null) {
+        existing.label = node.label;
+        existing.shape = node.shape;
+      }
+      if (node.className) {
+        existing.className = node.className;
+      }
+      return existing;
+    }
+
+    const group = groupStack[groupStack.length - 1] || null;
+    const created = {
+      id: node.id,
+      label: node.label !== null ? node.label : node.id,
+      shape: node.shape || 'process',
+      group: group ? group.id : null,
+      className: node.className
+    };
+    model.nodes.set(node.id, created);
+    if (group) {
+      group.nodes.push(node.id);
+    }
+    return created;
+  };
+
+  const parseStatement = (statement) => {
+    const { text } = statement;
+
+    const subgraphMatch = text.match(/^subgraph\b\s*(.*)$/);
+    if (subgraphMatch) {
+      const spec = subgraphMatch[1].trim();
+      if (!spec) {
+        ctx.error(statement.line, columnOf(statement),
+          'Subgraph needs an id or title', 'Write "subgraph billing [Billing]"');
+        return;
+      }
+      const keyword = spec.match(FLOW_SUBGRAPH_KEYWORD);
+      if (keyword) {
+        ctx.error(statement.line, columnOf(statement, text.indexOf(spec)),
+          `"${keyword[0]}" is a reserved word and cannot be used as a subgraph id`,
+          `Rename the subgraph, e.g. subgraph ${keyword[0]}_group ["${spec}"]`);
+        return;
+      }
+      const specMatch = spec.match(/^([\w.-]+)\s*\[\s*"?(.*?)"?\s*\]$/) || spec.match(/^"(.*)"$/);
+      const parent = groupStack[groupStack.length - 1] || null;
+      const group = {
+        id: specMatch && specMatch.length === 3 ? specMatch[1] : spec.replace(/\W+/g, '_'),
+        title: specMatch ? specMatch[specMatch.length - 1] : spec,
+        nodes: [],
+        parent: parent ? parent.id : null,
+        line: statement.line
+      };
+      model.groups.push(group);
+      groupStack.push(group);
+      return;
+    }
+
+    if (text === 'end') {
+      if (groupStack.length === 0) {
+        ctx.error(statement.line, columnOf(statement),
+          '"end" without a matching "subgraph"', 'Remove this line or add a subgraph above it');
+      } else {
+        groupStack.pop();
+      }
+      return;
+    }
+
+    const directionMatch = text.match(/^direction\s+(\S+)$/);
+    if (directionMatch) {
+      if (!FLOW_DIRECTIONS.includes(directionMatch[1])) {
+        ctx.error(statement.line, columnOf(statement, 10),
+          `Unknown direction "${directionMatch[1]}"`, `Use one of ${FLOW_DIRECTIONS.join(', ')}`);
+      }
+      return;
+    }
+
+    const classDefMatch = text.match(/^classDef\s+([\w,-]+)\s+(.+)$/);
+    if (classDefMatch) {
+      classDefMatch[1].split(',').forEach(name => model.classDefs.set(name, classDefMatch[2]));
+      return;
+    }
+
+    const classMatch = text.match(/^class\s+([\p{L}\p{N}_$.,-]+)\s+([\w-]+)$/u);
+    if (classMatch) {
+      classMatch[1].split(',').forEach(id => {
+        styledIds.push({ id, statement });
+        const node = model.nodes.get(id);
+        if (node) {
+          node.className = classMatch[2];
+        }
+      });
+      return;
+    }
+
+    const styleMatch = text.match(/^style\s+([\p{L}\p{N}_$.-]+)\s+/u);
+    if (styleMatch) {
+      styledIds.push({ id: styleMatch[1], statement });
+      return;
+    }
+
+    if (/^(linkStyle\s+(\d|default)|click\s|accTitle|accDescr)/.test(text)) {
+      return;
+    }
+
+    // Node / edge chain: nodes (& nodes)* (link nodes (& nodes)*)*
+    let index = 0;
+    let previous = null;
+    let pendingLink = null;
+
+    while (index < text.length) {
+      const current = [];
+
+      while (true) {
+        const parsed = parseFlowNode(statement, text, index, ctx);
+        if (!parsed) {
+          return;
+        }
+        current.push(addNode(parsed.node));
+        index = parsed.index;
+        const ampersand = text.slice(index).match(/^\s*&\s*/);
+        if (!ampersand) {
+          break;
+        }
+        index += ampersand[0].length;
+      }
+
+      if (previous && pendingLink) {
+        previous.forEach(from => {
+          current.forEach(to => {
+            model.edges.push({ from: from.id, to: to.id, ...pendingLink });
+          });
+        });
+      }
+      previous = current;
+      pendingLink = null;
+
+      const whitespace = text.slice(index).match(/^\s*/)[0].length;
+      index += whitespace;
+      if (index >= text.length) {
+        break;
+      }
+      if (text[index] === ';') {
+        const rest = restOf(statement, index);
+        if (rest.text) {
+          queue.unshift(rest);
+        }
+        break;
+      }
+
+      const parsedLink = parseFlowLink(statement, text, index, ctx);
+      if (!parsedLink) {
+        ctx.error(statement.line, columnOf(statement, index),
+          `Unexpected "${text.slice(index, index + 10)}"`,
+          'Connect nodes with an arrow such as -->, --- or -.->, and quote labels with special characters');
+        return;
+      }
+      if (parsedLink.failed) {
+        return;
+      }
+
+      index = parsedLink.index;
+      index += text.slice(index).match(/^\s*/)[0].length;
+      if (index >= text.length) {
+        ctx.error(statement.line, columnOf(statement, text.length),
+          'Edge has no target node', 'Add the node the arrow points to, e.g. A --> B');
+        return;
+      }
+      pendingLink = parsedLink.link;
+    }
+  };
+
+  while (queue.length > 0) {
+    parseStatement(queue.shift());
+  }
+
+  groupStack.forEach(group => {
+    ctx.error(group.line, 1, `Subgraph "${group.title}" is never closed`, 'Add "end" after the last node of the subgraph');
+  });
+
+  styledIds.forEach(({ id, statement }) => {
+    if (!model.nodes.has(id) && !model.groups.some(g => g.id === id)) {
+      ctx.warning(statement.line, columnOf(statement),
+        `Styling refers to unknown node "${id}"`, 'Check the node id for typos');
+    }
+  });
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Sequence diagram                                                         */
+/* ------------------------------------------------------------------------ */
+
+const SEQUENCE_ARROW = /^([^\s:+\-<>][^:]*?)\s*(<<-->>|<<->>|-->>|->>|-->|->|--x|-x|--\)|-\))\s*([+-]?)\s*([^:]+?)\s*(?::\s*(.*))?$/;
+const SEQUENCE_BLOCKS = ['loop', 'alt', 'opt', 'par', 'critical', 'break', 'rect', 'box'];
+const SEQUENCE_BRANCHES = { else: ['alt'], and: ['par'], option: ['critical'] };
+// Words the sequence lexer reads as keywords (case-insensitive) at the start of
+// a participant name in messages and notes; declarations and activations read
+// the whole name as an id
+const SEQUENCE_KEYWORD = /^(?:participant|actor|box|create|destroy|loop|rect|opt|alt|else|par_over|par|and|critical|option|break|end|links|link|properties|details|over|note|activate|deactivate|title|sequenceDiagram|autonumber|off|(?:left|right) of)\b/i;
+const SEQUENCE_TEXT_STATEMENT = /^(?:participant|actor|loop|alt|opt|par|and|else|critical|option|break|title)\b/i;
+
+/**
+ * Split a sequence statement the way the lexer does: ";" ends a statement
+ * and "#" starts a comment at the start of a statement or in message, note,
+ * title and block text. Entity codes such as #59; are not split.
+ */
+function splitSequenceStatement(statement) {
+  if (/^(accTitle|accDescr)/.test(statement.text)) {
+    return [statement];
+  }
+  const masked = statement.text.replace(/#\w+;/g, code => '_'.repeat(code.length));
+  const textStart = SEQUENCE_TEXT_STATEMENT.test(masked) ? 0 : masked.indexOf(':');
+  const comment = masked.startsWith('#') ? 0 : textStart === -1 ? -1 : masked.indexOf('#', textStart);
+  const semicolon = masked.indexOf(';');
+
+  if (comment !== -1 && (semicolon === -1 || comment < semicolon)) {
+    const text = statement.text.slice(0, comment).trimEnd();
+    return text ? [{ ...statement, text }] : [];
+  }
+  if (semicolon === -1) {
+    return [statement];
+  }
+  const text = statement.text.slice(0, semicolon).trimEnd();
+  const rest = restOf(statement, semicolon);
+  return [...(text ? [{ ...statement, text }] : []), ...(rest.text ? splitSequenceStatement(rest) : [])];
+}
+
+/**
+ * Parse sequence diagram statements into a participants/events model
+ */
+function parseSequence(statements, ctx) {
+  statements = statements.flatMap(splitSequenceStatement);
+  const model = { participants: new Map(), events: [], autonumber: false, title: null };
+  const blockStack = [];
+  const activations = new Map();
+
+  const addParticipant = (id, label = id, kind = 'participant') => {
+    if (!model.participants.has(id)) {
+      model.participants.set(id, { id, label, kind });
+    }
+    return model.participants.get(id);
+  };
+
+  // Reports message and note names that start with a keyword; returns false for them
+  const checkName = (statement, id) => {
+    const keyword = id.match(SEQUENCE_KEYWORD);
+    if (keyword) {
+      ctx.error(statement.line, columnOf(statement, Math.max(statement.text.indexOf(id), 0)),
+        `Participant "${id}" starts with the keyword "${keyword[0]}"`,
+        `Declare it with an alias and use the alias in messages: participant p_${id.replace(/\W+/g, '_')} as ${id}`);
+      return false;
+    }
+    return true;
+  };
+
+  const changeActivation = (statement, id, delta) => {
+    const count = (activations.get(id) || 0) + delta;
+    if (count < 0) {
+      ctx.error(statement.line, columnOf(statement),
+        `Cannot deactivate "${id}" because it is not active`,
+        `Remove the deactivation or add "activate ${id}" earlier`);
+      return;
+    }
+    activations.set(id, count);
+  };
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    const participantMatch = text.match(/^(?:create\s+)?(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/);
+    if (participantMatch) {
+      const id = participantMatch[2].trim();
+      if (model.participants.has(id) && model.participants.get(id).declared) {
+        ctx.warning(statement.line, columnOf(statement),
+          `Participant "${id}" is declared more than once`, 'Remove the duplicate declaration');
+      }
+      const participant = addParticipant(id, (participantMatch[3] || id).trim(), participantMatch[1]);
+      participant.label = (participantMatch[3] || participant.label).trim();
+      participant.kind = participantMatch[1];
+      participant.declared = true;
+      return;
+    }
+
+    if (/^(autonumber(\s+(off|\d+(\s+\d+)?))?$|destroy\s+\S+|links?\s|accTitle|accDescr)/.test(text)) {
+      if (text.startsWith('autonumber')) {
+        model.autonumber = true;
+      }
+      return;
+    }
+
+    const titleMatch = text.match(/^title\s*:?\s*(.+)$/);
+    if (titleMatch) {
+      model.title = titleMatch[1];
+      return;
+    }
+
+    const activationMatch = text.match(/^(activate|deactivate)\s+(.+)$/);
+    if (activationMatch) {
+      const id = activationMatch[2].trim();
+      addParticipant(id);
+      changeActivation(statement, id, activationMatch[1] === 'activate' ? 1 : -1);
+      model.events.push({ kind: activationMatch[1], participant: id, line: statement.line });
+      return;
+    }
+
+    const noteMatch = text.match(/^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (noteMatch) {
+      const targets = noteMatch[2].split(',').map(t => t.trim());
+      if (!targets.every(id => checkName(statement, id))) {
+        return;
+      }
+      targets.forEach(id => addParticipant(id));
+      model.events.push({ kind: 'note', placement: noteMatch[1].toLowerCase(), participants: targets, text: noteMatch[3], line: statement.line });
+      return;
+    }
+    if (/^note\b/i.test(text)) {
+      ctx.error(statement.line, columnOf(statement),
+        'Malformed note', 'Use "Note right of A: text" or "Note over A,B: text"');
+      return;
+    }
+
+    const keyword = text.split(/\s+/)[0];
+    if (SEQUENCE_BLOCKS.includes(keyword)) {
+      const label = text.slice(keyword.length).trim();
+      blockStack.push({ kind: keyword, line: statement.line });
+      model.events.push({ kind: 'block', block: keyword, label, line: statement.line });
+      return;
+    }
+
+    if (SEQUENCE_BRANCHES[keyword]) {
+      const open = blockStack[blockStack.length - 1];
+      if (!open || !SEQUENCE_BRANCHES[keyword].includes(open.kind)) {
+        ctx.error(statement.line, columnOf(statement),
+          `"${keyword}" is only valid inside a "${SEQUENCE_BRANCHES[keyword][0]}" block`,
+          `Open the block with "${SEQUENCE_BRANCHES[keyword][0]} <condition>" first`);
+        return;
+      }
+      model.events.push({ kind: 'branch', block: open.kind, label: text.slice(keyword.length).trim(), line: statement.line });
+      return;
+    }
+
+    if (text === 'end') {
+      if (blockStack.length === 0) {
+        ctx.error(statement.line, columnOf(statement),
+          '"end" without a matching block', 'Remove this line or open a loop/alt/opt/par block above it');
+        return;
+      }
+      const closed = blockStack.pop();
+      model.events.push({ kind: 'end', block: closed.kind, line: statement.line });
+      return;
+    }
+
+    const messageMatch = text.match(SEQUENCE_ARROW);
+    if (messageMatch) {
+      const [, from, arrow, activation, to, message] = messageMatch;
+      if (message === undefined) {
+        ctx.error(statement.line, columnOf(statement, text.length),
+          'Message is missing its text', `Add ": message" after the target, e.g. ${from}${arrow}${to}: request`);
+        return;
+      }
+      if (!checkName(statement, from.trim()) || !checkName(statement, to.trim())) {
+        return;
+      }
+      addParticipant(from.trim());
+      addParticipant(to.trim());
+      model.events.push({
+        kind: 'message',
+        from: from.trim(),
+        to: to.trim(),
+        arrow,
+        text: message.trim(),
+        activate: activation === '+',
+        deactivate: activation === '-',
+        line: statement.line
+      });
+      if (activation === '+') {
+        changeActivation(statement, to.trim(), 1);
+      } else if (activation === '-') {
+        changeActivation(statement, from.trim(), -1);
+      }
+      return;
+    }
+
+    const arrowIndex = text.search(/-{1,2}>|-x|-\)/);
+    ctx.error(statement.line, columnOf(statement, Math.max(arrowIndex, 0)),
+      `Unrecognised statement "${text}"`,
+      arrowIndex >= 0
+        ? 'Messages look like "Alice->>Bob: Hello"; check the participant names and arrow'
+        : 'Expected a participant declaration, message, note or block keyword');
+  });
+
+  blockStack.forEach(block => {
+    ctx.error(block.line, 1, `"${block.kind}" block is never closed`, 'Add "end" after the last statement of the block');
+  });
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Class diagram                                                            */
+/* ------------------------------------------------------------------------ */
+
+const CLASS_NAME = '[\\w$]+(?:~[^~]+~)?';
+// Words the class diagram lexer reads as keywords (case-sensitive); a
+// "class X" declaration still takes the second list as names
+const CLASS_KEYWORD = /^(?:note|link|click|callback|cssClass|href|_self|_blank|_parent|_top|o)\b/;
+const CLASS_REFERENCE_KEYWORD = /^(?:style|namespace|class|classDiagram|call)\b/;
+const CLASS_RELATION = new RegExp(
+  `^(${CLASS_NAME})\\s*(?:"([^"]*)"\\s*)?(<\\|--|--\\|>|\\*--|--\\*|o--|--o|<--|-->|<\\.\\.|\\.\\.>|\\.\\.\\|>|<\\|\\.\\.|--|\\.\\.)\\s*(?:"([^"]*)"\\s*)?(${CLASS_NAME})\\s*(?::\\s*(.*))?$`
+);
+
+/**
+ * Check class diagram statements
+ */
+function parseClassDiagram(statements, ctx) {
+  const model = { classes: new Map(), relations: [] };
+  let openClass = null;
+  let namespaceDepth = 0;
+
+  const addClass = (name) => {
+    const id = name.replace(/~.*~$/, '');
+    if (!model.classes.has(id)) {
+      model.classes.set(id, { id, members: [], annotations: [] });
+    }
+    return model.classes.get(id);
+  };
+
+  // Reports class names the lexer reads as keywords; returns false for them
+  const checkName = (statement, name, declaration = false) => {
+    const keyword = name.match(CLASS_KEYWORD) || (!declaration && name.match(CLASS_REFERENCE_KEYWORD));
+    if (keyword) {
+      ctx.error(statement.line, columnOf(statement, Math.max(statement.text.indexOf(name), 0)),
+        `"${keyword[0]}" is a reserved word and cannot be used as a class name`,
+        `Rename the class, e.g. ${name.replace(/~.*~$/, '')}Class`);
+      return false;
+    }
+    return true;
+  };
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    if (openClass) {
+      if (text === '}') {
+        openClass = null;
+      } else if (text.includes('{')) {
+        ctx.error(statement.line, columnOf(statement, text.indexOf('{')),
+          `Class "${openClass.cls.id}" is not closed before a new block starts`,
+          'Add "}" to close the previous class body');
+      } else {
+        openClass.cls.members.push(text);
+      }
+      return;
+    }
+
+    const classMatch = text.match(new RegExp(`^class\\s+(${CLASS_NAME})(?:\\["[^"]*"\\])?\\s*(:::[\\w-]+)?\\s*(\\{)?\\s*(\\})?$`));
+    if (classMatch) {
+      if (!checkName(statement, classMatch[1], true)) {
+        return;
+      }
+      const cls = addClass(classMatch[1]);
+      if (classMatch[3] && !classMatch[4]) {
+        openClass = { cls, line: statement.line };
+      }
+      return;
+    }
+    if (/^class\b/.test(text)) {
+      ctx.error(statement.line, columnOf(statement, 6),
+        'Invalid class declaration', 'Class names may contain letters, digits and underscores, e.g. "class OrderItem"');
+      return;
+    }
+
+    const namespaceMatch = text.match(/^namespace\s+[\w.]+\s*\{$/);
+    if (namespaceMatch) {
+      namespaceDepth++;
+      return;
+    }
+    if (text === '}') {
+      if (namespaceDepth === 0) {
+        ctx.error(statement.line, columnOf(statement), 'Unexpected "}"', 'Remove the extra closing brace');
+      } else {
+        namespaceDepth--;
+      }
+      return;
+    }
+
+    const annotationMatch = text.match(/^<<\s*([\w\s]+?)\s*>>\s*([\w$]+)$/);
+    if (annotationMatch) {
+      if (!checkName(statement, annotationMatch[2])) {
+        return;
+      }
+      addClass(annotationMatch[2]).annotations.push(annotationMatch[1]);
+      return;
+    }
+
+    const relationMatch = text.match(CLASS_RELATION);
+    if (relationMatch) {
+      const [, from, fromCardinality, arrow, toCardinality, to, label] = relationMatch;
+      if (!checkName(statement, from) || !checkName(statement, to)) {
+        return;
+      }
+      addClass(from);
+      addClass(to);
+      model.relations.push({ from: from.replace(/~.*~$/, ''), to: to.replace(/~.*~$/, ''), arrow, fromCardinality, toCardinality, label });
+      return;
+    }
+
+    if (/^(direction\s+(TB|BT|LR|RL)|note\b|classDef\b|cssClass\b|style\b|click\b|callback\b|link\b|accTitle|accDescr)/.test(text)) {
+      return;
+    }
+
+    const memberMatch = text.match(/^([\w$]+)\s*:\s*(.+)$/);
+    if (memberMatch) {
+      if (!checkName(statement, memberMatch[1])) {
+        return;
+      }
+      addClass(memberMatch[1]).members.push(memberMatch[2]);
+      return;
+    }
+
+    ctx.error(statement.line, columnOf(statement),
+      `Unrecognised statement "${text}"`,
+      'Expected "class Name", "Name : +member", or a relation such as "Animal <|-- Dog"');
+  });
+
+  if (openClass) {
+    ctx.error(openClass.line, 1, `Class "${openClass.cls.id}" body is never closed`, 'Add "}" after the last member');
+  }
+  if (namespaceDepth > 0) {
+    ctx.error(statements[statements.length - 1].line, 1, 'Namespace is never closed', 'Add "}" to close the namespace');
+  }
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* State diagram                                                            */
+/* ------------------------------------------------------------------------ */
+
+const STATE_ID = '(?:\\[\\*\\]|[\\w$.-]+)';
+const STATE_TRANSITION = new RegExp(`^(${STATE_ID})\\s*-->\\s*(${STATE_ID})(?:\\s*:\\s*(.*))?$`);
+// Words the state diagram lexer reads as keywords (case-insensitive) where a
+// state id is expected
+const STATE_KEYWORD = /^(?:default\b|(?:note|class|classDef|scale|state)$)/i;
+
+/**
+ * Check state diagram statements
+ */
+function parseStateDiagram(statements, ctx) {
+  const model = { states: new Map(), transitions: [] };
+  const stack = [];
+  let openNote = null;
+
+  // Reports state ids the lexer reads as keywords; returns false for them
+  const checkId = (statement, id) => {
+    const keyword = id.match(STATE_KEYWORD);
+    if (keyword) {
+      ctx.error(statement.line, columnOf(statement, Math.max(statement.text.indexOf(id), 0)),
+        `"${id}" is a reserved word and cannot be used as a state id`,
+        `Declare the state with an id and a label: state "${id}" as ${id}_state`);
+      return false;
+    }
+    return true;
+  };
+
+  const addState = (id) => {
+    if (id !== '[*]' && !model.states.has(id)) {
+      model.states.set(id, { id, label: id, parent: stack.length ? stack[stack.length - 1].id : null });
+    }
+  };
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    // A note without ": text" runs until "end note"
+    if (openNote) {
+      if (/\bend note$/i.test(text)) {
+        openNote = null;
+      }
+      return;
+    }
+    if (/^note\s+(left|right) of\s+[^:\s]+$/i.test(text)) {
+      openNote = { line: statement.line };
+      return;
+    }
+
+    const compositeMatch = text.match(/^state\s+(?:"([^"]*)"\s+as\s+)?([\w$.-]+)\s*\{$/);
+    if (compositeMatch) {
+      addState(compositeMatch[2]);
+      stack.push({ id: compositeMatch[2], line: statement.line });
+      return;
+    }
+
+    if (text === '}') {
+      if (stack.length === 0) {
+        ctx.error(statement.line, columnOf(statement), 'Unexpected "}"', 'Remove the extra closing brace');
+      } else {
+        stack.pop();
+      }
+      return;
+    }
+
+    const declarationMatch = text.match(/^state\s+(?:"([^"]*)"\s+as\s+([\w$.-]+)|([\w$.-]+)(?:\s+<<(choice|fork|join)>>)?)$/);
+    if (declarationMatch) {
+      const id = declarationMatch[2] || declarationMatch[3];
+      addState(id);
+      if (declarationMatch[1] !== undefined) {
+        model.states.get(id).label = declarationMatch[1];
+      }
+      return;
+    }
+    if (/^state\b/.test(text)) {
+      ctx.error(statement.line, columnOf(statement),
+        'Invalid state declaration', 'Use "state Idle", "state "Waiting for input" as Waiting" or "state Check <<choice>>"');
+      return;
+    }
+
+    const transitionMatch = text.match(STATE_TRANSITION);
+    if (transitionMatch) {
+      if (!checkId(statement, transitionMatch[1]) || !checkId(statement, transitionMatch[2])) {
+        return;
+      }
+      addState(transitionMatch[1]);
+      addState(transitionMatch[2]);
+      model.transitions.push({ from: transitionMatch[1], to: transitionMatch[2], label: transitionMatch[3] || null });
+      return;
+    }
+
+    if (/^(direction\s+(TB|BT|LR|RL)|note\s+((left|right) of\b|")|end note|(classDef|class)\s+\w|--$|accTitle|accDescr|hide empty description)/.test(text)) {
+      return;
+    }
+
+    const descriptionMatch = text.match(/^([\w$.-]+)\s*:\s*(.+)$/);
+    if (descriptionMatch) {
+      if (!checkId(statement, descriptionMatch[1])) {
+        return;
+      }
+      addState(descriptionMatch[1]);
+      return;
+    }
+
+    if (/^[\w$.-]+$/.test(text)) {
+      if (!checkId(statement, text)) {
+        return;
+      }
+      addState(text);
+      return;
+    }
+
+    const arrowIndex = text.indexOf('->');
+    ctx.error(statement.line, columnOf(statement, Math.max(arrowIndex, 0)),
+      `Unrecognised statement "${text}"`,
+      'Transitions look like "Idle --> Running : start"; state ids may not contain spaces');
+  });
+
+  stack.forEach(state => {
+    ctx.error(state.line, 1, `Composite state "${state.id}" is never closed`, 'Add "}" after its last statement');
+  });
+  if (openNote) {
+    ctx.error(openNote.line, 1, 'Note is never closed', 'Add "end note" after the note text');
+  }
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* ER diagram                                                               */
+/* ------------------------------------------------------------------------ */
+
+const ER_ENTITY = '(?:[A-Za-z_][\\w-]*|"[^"%\\\\\\r\\n]+")';
+// Cardinalities and relationship types as symbols or words (one or more to zero or one)
+const ER_CARDINALITY = '(?:\\|o|\\|\\||\\}o|\\}\\||o\\||o\\{|\\|\\{|many\\([01]\\)|[01]\\+|(?:one or (?:zero|more|many)|zero or (?:one|more|many)|only one|many|one|1|u)\\b)';
+const ER_RELATION_TYPE = '(?:--|\\.\\.|\\.-|-\\.|(?:optionally to|to)\\b)';
+const ER_RELATION = new RegExp(
+  `^(${ER_ENTITY})\\s+(${ER_CARDINALITY})\\s*(${ER_RELATION_TYPE})\\s*(${ER_CARDINALITY})\\s+(${ER_ENTITY})\\s*(?::\\s*(.*))?$`, 'i'
+);
+// Words the ER lexer reads as cardinalities or keywords (case-insensitive)
+// where an entity name or unquoted label is expected
+const ER_KEYWORD = /^(?:one|many|to|u|erDiagram|zero or (?:one|more|many))\b/i;
+const ER_WORD = /^[A-Za-z_][\w-]*$/;
+// Types and names follow the lexer's attribute word: no commas, dots or spaces
+const ER_ATTRIBUTE = /^(\*?[A-Za-z_][\w()\[\]-]*)\s+(\*?[A-Za-z_][\w()\[\]-]*)((?:\s+(?:PK|FK|UK)(?:\s*,\s*(?:PK|FK|UK))*)?)(\s+"[^"]*")?$/;
+const ER_ATTRIBUTE_KEY = /^(?:PK|FK|UK)\b/i;
+
+/**
+ * Check ER diagram statements
+ */
+function parseERDiagram(statements, ctx) {
+  const model = { entities: new Map(), relations: [] };
+  let openEntity = null;
+
+  const addEntity = (name) => {
+    const id = name.replace(/^"|"$/g, '');
+    if (!model.entities.has(id)) {
+      model.entities.set(id, { id, attributes: [] });
+    }
+    return model.entities.get(id);
+  };
+
+  // Reports unquoted names the lexer reads as keywords; returns false for them
+  const checkName = (statement, name) => {
+    const keyword = name.startsWith('"') ? null : name.match(ER_KEYWORD);
+    if (keyword) {
+      ctx.error(statement.line, columnOf(statement, Math.max(statement.text.indexOf(name), 0)),
+        `"${name}" starts with the reserved word "${keyword[0]}"`,
+        `Quote the name: "${name}"`);
+      return false;
+    }
+    return true;
+  };
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    if (openEntity) {
+      if (text === '}') {
+        openEntity = null;
+        return;
+      }
+      const attributeMatch = text.match(ER_ATTRIBUTE);
+      if (!attributeMatch) {
+        ctx.error(statement.line, columnOf(statement),
+          `Invalid attribute "${text}" in entity "${openEntity.entity.id}"`,
+          'Attributes are "type name [PK|FK|UK] ["comment"]", e.g. "int id PK"; types and names may only use letters, digits, _, -, () and [], e.g. DECIMAL(10-2)');
+        return;
+      }
+      const key = [attributeMatch[1], attributeMatch[2]].find(word => ER_ATTRIBUTE_KEY.test(word));
+      if (key) {
+        ctx.error(statement.line, columnOf(statement, text.indexOf(key)),
+          `"${key}" is read as a key marker and cannot be used as an attribute type or name`,
+          `Rename it, e.g. ${key}_value`);
+        return;
+      }
+      openEntity.entity.attributes.push({
+        type: attributeMatch[1],
+        name: attributeMatch[2],
+        keys: attributeMatch[3].split(/[\s,]+/).filter(Boolean),
+        comment: attributeMatch[4] ? attributeMatch[4].trim().slice(1, -1) : null
+      });
+      return;
+    }
+
+    const entityMatch = text.match(new RegExp(`^(${ER_ENTITY})(?:\\s*\\[\\s*([^\\]]*?)\\s*\\])?\\s*\\{\\s*(\\})?$`));
+    if (entityMatch) {
+      if (!checkName(statement, entityMatch[1]) || (entityMatch[2] && !checkName(statement, entityMatch[2]))) {
+        return;
+      }
+      const entity = addEntity(entityMatch[1]);
+      if (!entityMatch[3]) {
+        openEntity = { entity, line: statement.line };
+      }
+      return;
+    }
+
+    const relationMatch = text.match(ER_RELATION);
+    if (relationMatch) {
+      const [, from, left, line, right, to, label] = relationMatch;
+      if (label === undefined || !label.trim()) {
+        ctx.error(statement.line, columnOf(statement, text.length),
+          'Relationship is missing its label',
+          `Add a label after a colon, e.g. ${from} ${left}${line}${right} ${to} : "has"`);
+        return;
+      }
+      if (!checkName(statement, from) || !checkName(statement, to)) {
+        return;
+      }
+      // Unquoted labels are read word by word, like entity names
+      const words = label.trim().split(/\s+/);
+      if (!/^"[^"]*"$/.test(label.trim()) && words.some((word, index) => !ER_WORD.test(word) || ER_KEYWORD.test(words.slice(index).join(' ')))) {
+        ctx.error(statement.line, columnOf(statement, text.indexOf(label)),
+          `Relationship label "${label.trim()}" must be quoted`,
+          `Write ${from} ${left}${line}${right} ${to} : "${label.trim().replace(/"/g, "'")}"`);
+        return;
+      }
+      addEntity(from);
+      addEntity(to);
+      model.relations.push({ from: from.replace(/^"|"$/g, ''), to: to.replace(/^"|"$/g, ''), left, right, identifying: /^(--|to)$/i.test(line), label: label.trim().replace(/^"|"$/g, '') });
+      return;
+    }
+
+    if (/^(direction\s+(TB|BT|LR|RL)|accTitle|accDescr|title\b)/.test(text)) {
+      return;
+    }
+
+    if (new RegExp(`^${ER_ENTITY}$`).test(text)) {
+      if (!checkName(statement, text)) {
+        return;
+      }
+      addEntity(text);
+      return;
+    }
+
+    const cardinalityIndex = text.search(/[|}{o][|o{}]?(--|\.\.)/);
+    ctx.error(statement.line, columnOf(statement, Math.max(cardinalityIndex, 0)),
+      `Unrecognised statement "${text}"`,
+      cardinalityIndex >= 0
+        ? 'Relationships look like "CUSTOMER ||--o{ ORDER : places"; check both cardinality markers'
+        : 'Expected an entity block "NAME {" or a relationship');
+  });
+
+  if (openEntity) {
+    ctx.error(openEntity.line, 1, `Entity "${openEntity.entity.id}" is never closed`, 'Add "}" after the last attribute');
+  }
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Gantt chart                                                              */
+/* ------------------------------------------------------------------------ */
+
+const GANTT_SETTINGS = /^(dateFormat|axisFormat|title|excludes|includes|todayMarker|tickInterval|weekday|inclusiveEndDates|topAxis|displayMode|click|accTitle|accDescr)\b/;
+const GANTT_TAGS = ['done', 'active', 'crit', 'milestone'];
+const GANTT_DURATION = /^\d+(\.\d+)?(ms|s|m|h|d|w)$/;
+
+/**
+ * Check gantt chart statements
+ */
+function parseGantt(statements, ctx) {
+  const model = { dateFormat: 'YYYY-MM-DD', sections: [], tasks: [] };
+  const pendingRefs = [];
+  let section = null;
+
+  const isDate = (value) => {
+    if (model.dateFormat === 'YYYY-MM-DD') {
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    }
+    return /\d/.test(value);
+  };
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    const dateFormatMatch = text.match(/^dateFormat\s+(.+)$/);
+    if (dateFormatMatch) {
+      model.dateFormat = dateFormatMatch[1].trim();
+      return;
+    }
+    if (GANTT_SETTINGS.test(text)) {
+      return;
+    }
+
+    const sectionMatch = text.match(/^section\s+(.+)$/);
+    if (sectionMatch) {
+      section = sectionMatch[1];
+      model.sections.push(section);
+      return;
+    }
+
+    const colon = text.indexOf(':');
+    if (colon === -1) {
+      ctx.error(statement.line, columnOf(statement, text.length),
+        `Task "${text}" has no schedule`, `Add ": <start>, <duration>", e.g. ${text} :2024-01-01, 3d`);
+      return;
+    }
+
+    const name = text.slice(0, colon).trim();
+    const items = text.slice(colon + 1).split(',').map(item => item.trim());
+    const metadataColumn = columnOf(statement, colon + 1);
+    const task = { name, section, tags: [], id: null, start: null, end: null };
+
+    while (items.length > 0 && GANTT_TAGS.includes(items[0])) {
+      task.tags.push(items.shift());
+    }
+
+    if (!name) {
+      ctx.error(statement.line, columnOf(statement), 'Task has no name', 'Write the task name before the colon');
+      return;
+    }
+    if (items.length === 0 || (items.length === 1 && !items[0])) {
+      ctx.error(statement.line, metadataColumn,
+        `Task "${name}" has no duration or end date`, 'Add a duration such as "5d" after the colon');
+      return;
+    }
+    if (items.length > 3) {
+      ctx.error(statement.line, metadataColumn,
+        `Task "${name}" has too many fields`, 'Use ":[tags,] [id,] <start>, <duration or end>"');
+      return;
+    }
+
+    if (items.length === 3) {
+      task.id = items.shift();
+    }
+    if (items.length === 2) {
+      task.start = items.shift();
+    }
+    task.end = items.shift();
+
+    if (items.length === 0 && task.start === null && !task.id && /^[A-Za-z_]\w*$/.test(task.end) && !GANTT_DURATION.test(task.end)) {
+      ctx.error(statement.line, metadataColumn,
+        `"${task.end}" is not a duration or date`, 'Use a duration such as "3d" or a date in the chart dateFormat');
+      return;
+    }
+
+    if (task.id && !/^[A-Za-z_][\w-]*$/.test(task.id)) {
+      ctx.error(statement.line, metadataColumn,
+        `Invalid task id "${task.id}"`, 'Task ids may contain letters, digits, "_" and "-"');
+    }
+
+    if (task.start) {
+      const afterMatch = task.start.match(/^after\s+(.+)$/);
+      if (afterMatch) {
+        afterMatch[1].split(/\s+/).forEach(ref => pendingRefs.push({ ref, statement }));
+      } else if (!isDate(task.start)) {
+        ctx.error(statement.line, metadataColumn,
+          `Start "${task.start}" does not match dateFormat ${model.dateFormat}`,
+          `Use a ${model.dateFormat} date or "after <taskId>"`);
+      }
+    }
+
+    const untilMatch = task.end.match(/^until\s+(.+)$/);
+    if (untilMatch) {
+      pendingRefs.push({ ref: untilMatch[1], statement });
+    } else if (!GANTT_DURATION.test(task.end) && !isDate(task.end)) {
+      ctx.error(statement.line, metadataColumn,
+        `"${task.end}" is not a valid duration or end date`,
+        `Use a duration such as "3d" or "2w", or a ${model.dateFormat} date`);
+    }
+
+    model.tasks.push(task);
+  });
+
+  const ids = new Set(model.tasks.map(task => task.id).filter(Boolean));
+  pendingRefs.forEach(({ ref, statement }) => {
+    if (!ids.has(ref)) {
+      ctx.warning(statement.line, columnOf(statement, statement.text.indexOf(ref)),
+        `Task id "${ref}" is not defined`, 'Give the referenced task an id, e.g. "Design :des1, 2024-01-01, 3d"');
+    }
+  });
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Pie chart                                                                */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Check pie chart statements
+ */
+function parsePie(statements, ctx) {
+  const header = statements[0];
+  const headerMatch = header.text.match(/^pie(\s+showData)?(?:\s+title\s+(.+))?$/);
+  const model = { title: headerMatch ? headerMatch[2] || null : null, slices: [] };
+
+  if (!headerMatch) {
+    ctx.error(header.line, columnOf(header),
+      'Malformed pie header', 'Use "pie", "pie showData" or "pie title My chart"');
+  }
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    const titleMatch = text.match(/^title\s+(.+)$/);
+    if (titleMatch) {
+      model.title = titleMatch[1];
+      return;
+    }
+    if (/^(showData|accTitle|accDescr)\b/.test(text)) {
+      return;
+    }
+
+    const sliceMatch = text.match(/^"([^"]*)"\s*:\s*(\S+)$/);
+    if (!sliceMatch) {
+      const unquoted = text.match(/^([^":]+?)\s*:\s*(\S+)$/);
+      ctx.error(statement.line, columnOf(statement),
+        unquoted ? 'Pie slice labels must be quoted' : `Unrecognised statement "${text}"`,
+        unquoted ? `Write "${unquoted[1]}" : ${unquoted[2]}` : 'Slices look like "Label" : 42');
+      return;
+    }
+
+    const value = Number(sliceMatch[2]);
+    const valueColumn = columnOf(statement, text.lastIndexOf(sliceMatch[2]));
+    if (Number.isNaN(value)) {
+      ctx.error(statement.line, valueColumn, `"${sliceMatch[2]}" is not a number`, 'Use a numeric value such as 42 or 12.5');
+      return;
+    }
+    if (value < 0) {
+      ctx.error(statement.line, valueColumn, 'Pie slice values must not be negative', 'Use a value of 0 or more');
+      return;
+    }
+    if (value === 0) {
+      ctx.warning(statement.line, valueColumn, `Slice "${sliceMatch[1]}" has a value of 0 and will not be visible`, 'Remove the slice or give it a value');
+    }
+    model.slices.push({ label: sliceMatch[1], value });
+  });
+
+  if (model.slices.length === 0) {
+    ctx.error(header.line, columnOf(header), 'Pie chart has no slices', 'Add slices such as "Apples" : 42');
+  }
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Git graph                                                                */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Read key: value options such as id: "abc" tag: "v1" type: HIGHLIGHT
+ */
+function readGitOptions(text) {
+  const options = {};
+  const pattern = /(\w+)\s*:\s*("([^"]*)"|\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    options[match[1]] = match[3] !== undefined ? match[3] : match[2];
+  }
+  return options;
+}
+
+/**
+ * Check gitGraph statements by simulating the branch/commit history
+ */
+function parseGitGraph(statements, ctx) {
+  // An init directive may rename the main branch
+  const mainMatch = ctx.source.match(/mainBranchName['"]?\s*:\s*['"]([^'"]+)['"]/);
+  const main = mainMatch ? mainMatch[1] : 'main';
+  const model = { branches: new Map([[main, { name: main, head: null }]]), commits: new Map(), current: main };
+  const headerMatch = statements[0].text.match(/^gitGraph\s*(LR|TB|BT)?\s*:?$/);
+  let counter = 0;
+
+  if (!headerMatch) {
+    ctx.error(statements[0].line, columnOf(statements[0]), 'Malformed gitGraph header', 'Use "gitGraph" or "gitGraph LR:"');
+  }
+
+  const addCommit = (statement, options, parents) => {
+    const id = options.id || `commit_${++counter}`;
+    if (model.commits.has(id)) {
+      ctx.error(statement.line, columnOf(statement),
+        `Commit id "${id}" is already used`, 'Give each commit a unique id');
+      return null;
+    }
+    if (options.type && !['NORMAL', 'REVERSE', 'HIGHLIGHT'].includes(options.type)) {
+      ctx.error(statement.line, columnOf(statement, statement.text.indexOf(options.type)),
+        `Unknown commit type "${options.type}"`, 'Use NORMAL, REVERSE or HIGHLIGHT');
+    }
+    model.commits.set(id, { id, branch: model.current, parents });
+    model.branches.get(model.current).head = id;
+    return id;
+  };
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+    const [keyword, ...restWords] = text.split(/\s+/);
+    const rest = restWords.join(' ');
+    const current = model.branches.get(model.current);
+
+    switch (keyword) {
+      case 'commit':
+        addCommit(statement, readGitOptions(rest), current.head ? [current.head] : []);
+        return;
+
+      case 'branch': {
+        const name = restWords[0];
+        if (!name) {
+          ctx.error(statement.line, columnOf(statement, text.length), 'Branch needs a name', 'Write "branch develop"');
+          return;
+        }
+        if (model.branches.has(name)) {
+          ctx.error(statement.line, columnOf(statement, 7),
+            `Branch "${name}" already exists`, `Use "checkout ${name}" to switch to it`);
+          return;
+        }
+        model.branches.set(name, { name, head: current.head });
+        model.current = name;
+        return;
+      }
+
+      case 'checkout':
+      case 'switch': {
+        const name = restWords[0];
+        if (!model.branches.has(name)) {
+          ctx.error(statement.line, columnOf(statement, keyword.length + 1),
+            `Branch "${name}" does not exist`, `Create it first with "branch ${name}"`);
+          return;
+        }
+        model.current = name;
+        return;
+      }
+
+      case 'merge': {
+        const name = restWords[0];
+        const column = columnOf(statement, keyword.length + 1);
+        const source = model.branches.get(name);
+        if (!source) {
+          ctx.error(statement.line, column, `Cannot merge unknown branch "${name}"`, `Create it first with "branch ${name}"`);
+          return;
+        }
+        if (name === model.current) {
+          ctx.error(statement.line, column, `Cannot merge branch "${name}" into itself`, 'Checkout the target branch before merging');
+          return;
+        }
+        if (!current.head) {
+          ctx.error(statement.line, column, `Current branch "${model.current}" has no commits`, `Add a commit on "${model.current}" before merging`);
+          return;
+        }
+        if (!source.head) {
+          ctx.error(statement.line, column, `Branch "${name}" has no commits`, `Add a commit on "${name}" before merging it`);
+          return;
+        }
+        if (source.head === current.head) {
+          ctx.error(statement.line, column, `Branches "${model.current}" and "${name}" have the same head`, `Add a commit on "${name}" before merging it`);
+          return;
+        }
+        addCommit(statement, readGitOptions(restWords.slice(1).join(' ')), [current.head, source.head]);
+        return;
+      }
+
+      case 'cherry-pick': {
+        const options = readGitOptions(rest);
+        const picked = model.commits.get(options.id);
+        if (!options.id) {
+          ctx.error(statement.line, columnOf(statement, text.length), 'cherry-pick needs a commit id', 'Write cherry-pick id: "abc123"');
+          return;
+        }
+        if (!picked) {
+          ctx.error(statement.line, columnOf(statement, text.indexOf(options.id)),
+            `Commit "${options.id}" does not exist`, 'Cherry-pick a commit that was created with an explicit id');
+          return;
+        }
+        if (picked.branch === model.current) {
+          ctx.error(statement.line, columnOf(statement, text.indexOf(options.id)),
+            `Commit "${options.id}" is already on branch "${model.current}"`, 'Cherry-pick from a different branch');
+          return;
+        }
+        addCommit(statement, {}, current.head ? [current.head] : []);
+        return;
+      }
+
+      default:
+        if (/^(accTitle|accDescr)/.test(text)) {
+          return;
+        }
+        ctx.error(statement.line, columnOf(statement),
+          `Unrecognised statement "${text}"`, 'Expected commit, branch, checkout, merge or cherry-pick');
+    }
+  });
+
+  return model;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Mindmap                                                                  */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Mindmap node shapes, longest openers first
+ */
+const MINDMAP_SHAPES = [
+  { open: '((', close: '))', shape: 'circle' },
+  { open: '))', close: '((', shape: 'bang' },
+  { open: '{{', close: '}}', shape: 'hexagon' },
+  { open: '(', close: ')', shape: 'rounded' },
+  { open: ')', close: '(', shape: 'cloud' },
+  { open: '[', close: ']', shape: 'square' }
+];
+
+/**
+ * Check mindmap statements; indentation defines the hierarchy
+ */
+function parseMindmap(statements, ctx) {
+  const model = { root: null, nodes: [] };
+  const stack = [];
+
+  statements.slice(1).forEach(statement => {
+    const { text } = statement;
+
+    if (/^::icon\(.*\)$/.test(text) || /^:::[\w\s-]+$/.test(text)) {
+      if (model.nodes.length === 0) {
+        ctx.error(statement.line, columnOf(statement), 'Icon or class before any node', 'Put "::icon(...)" or ":::class" on the line after its node');
+      }
+      return;
+    }
+
+    const idMatch = text.match(/^[\w-]*/);
+    const rest = text.slice(idMatch[0].length);
+    const shape = MINDMAP_SHAPES.find(candidate => rest.startsWith(candidate.open));
+    let label = text;
+    if (shape) {
+      if (!rest.endsWith(shape.close) || rest.length < shape.open.length + shape.close.length) {
+        ctx.error(statement.line, columnOf(statement, idMatch[0].length),
+          `Node shape "${shape.open}" is never closed`, `End the node with "${shape.close}"`);
+        return;
+      }
+      label = rest.slice(shape.open.length, rest.length - shape.close.length);
+    } else if (/[()[\]{}]/.test(rest)) {
+      const index = rest.search(/[()[\]{}]/);
+      ctx.error(statement.line, columnOf(statement, idMatch[0].length + index),
+        `Unexpected "${rest[index]}" in node text`, 'Wrap the text in a shape such as [text] or remove the bracket');
+      return;
+    }
+
+    const node = { label: label.trim(), shape: shape ? shape.shape : 'default', line: statement.line, children: [] };
+    if (!model.root) {
+      model.root = { ...node, offset: statement.offset };
+      model.nodes.push(model.root);
+      stack.push(model.root);
+      return;
+    }
+    if (statement.offset <= model.root.offset) {
+      ctx.error(statement.line, columnOf(statement),
+        'A mindmap can only have one root', 'Indent this node below the root');
+      return;
+    }
+
+    while (stack.length > 1 && stack[stack.length - 1].offset >= statement.offset) {
+      stack.pop();
+    }
+    const entry = { ...node, offset: statement.offset };
+    stack[stack.length - 1].children.push(entry);
+    model.nodes.push(entry);
+    stack.push(entry);
+  });
+
+  if (!model.root) {
+    ctx.error(statements[0].line, columnOf(statements[0]), 'Mindmap has no nodes', 'Add an indented root node such as "root((Topic))"');
+  }
+
+  return model;
+}
+
+const DIAGRAM_PARSERS = {
+  flowchart: parseFlowchart,
+  sequence: parseSequence,
+  class: parseClassDiagram,
+  state: parseStateDiagram,
+  er: parseERDiagram,
+  gantt: parseGantt,
+  pie: parsePie,
+  git: parseGitGraph,
+  mindmap: parseMindmap
+};
+
+/**
+ * Parse Mermaid source
+ * Returns { diagram_type, model, diagnostics }
+ */
+export function parseMermaid(code) {
+  const ctx = createContext(code || '');
+  const statements = toStatements(code || '');
+
+  if (statements.length === 0) {
+    ctx.error(1, 1, 'Diagram is empty', 'Start with a diagram header such as "flowchart TD"');
+    return { diagram_type: null, model: null, diagnostics: ctx.diagnostics };
+  }
+
+  const header = DIAGRAM_HEADERS.find(h => h.pattern.test(statements[0].text));
+  const unchecked = statements[0].text.match(UNCHECKED_HEADER);
+  if (!header && unchecked) {
+    ctx.warning(statements[0].line, columnOf(statements[0]),
+      `${unchecked[1]} diagrams are not checked beyond their header`,
+      'Preview the diagram to make sure it renders');
+    return { diagram_type: unchecked[1], model: null, diagnostics: ctx.diagnostics };
+  }
+  if (!header) {
+    ctx.error(statements[0].line, columnOf(statements[0]),
+      `Unknown diagram type "${statements[0].text.split(/\s+/)[0]}"`,
+      'Start with one of: flowchart, sequenceDiagram, classDiagram, stateDiagram-v2, erDiagram, gantt, pie, gitGraph, mindmap');
+    return { diagram_type: null, model: null, diagnostics: ctx.diagnostics };
+  }
+
+  const model = DIAGRAM_PARSERS[header.type](statements, ctx);
+  ctx.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { diagram_type: header.type, model, diagnostics: ctx.diagnostics };
+}
+
+/**
+ * Validate Mermaid source
+ * Returns { valid, diagram_type, diagnostics }
+ */
+export function validateMermaid(code) {
+  const { diagram_type, diagnostics } = parseMermaid(code);
+  return {
+    valid: !diagnostics.some(d => d.severity === 'error'),
+    diagram_type,
+    diagnostics
+  };
+}
+
+/**
+ * Throw if generated Mermaid code does not validate
+ * Used by the generators so invalid code never reaches a tool result.
+ */
+export function assertValidMermaid(code) {
+  const { valid, diagnostics } = validateMermaid(code);
+  if (!valid) {
+    const first = diagnostics.find(d => d.severity === 'error');
+    throw new Error(`Generated Mermaid code is invalid (line ${first.line}, column ${first.column}): ${first.message}`);
+  }
+  return code;
+}
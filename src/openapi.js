@@ -0,0 +1,253 @@
+/**
+ * OpenAPI diagrams
+ * Turns an OpenAPI 3 (or Swagger 2) document into a class diagram of its
+ * schemas, a flowchart of endpoints grouped by tag and path, and
+ * per-operation sequence diagrams with one reply per response status.
+ */
+
+import { buildDiagram, createIdAllocator } from './graph-builder.js';
+import { parseJsonSchema, renderSchemaClassDiagram } from './json-structure.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Swagger UI method colours
+ */
+const METHOD_STYLES = {
+  get: 'fill:#61affe,stroke:#3b82c4,color:#fff',
+  post: 'fill:#49cc90,stroke:#2f9e6b,color:#fff',
+  put: 'fill:#fca130,stroke:#d4861f,color:#fff',
+  patch: 'fill:#50e3c2,stroke:#35b89c,color:#fff',
+  delete: 'fill:#f93e3e,stroke:#c92a2a,color:#fff',
+  other: 'fill:#9012fe,stroke:#6c0dbf,color:#fff'
+};
+
+const STATUS_TEXT = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content',
+  301: 'Moved Permanently', 302: 'Found', 304: 'Not Modified',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found',
+  409: 'Conflict', 422: 'Unprocessable Entity', 429: 'Too Many Requests',
+  500: 'Internal Server Error', 502: 'Bad Gateway', 503: 'Service Unavailable'
+};
+
+/**
+ * Whether parsed JSON/YAML is an OpenAPI 3 or Swagger 2 document
+ */
+export function isOpenApiSpec(data) {
+  return !!data && typeof data === 'object' && !Array.isArray(data)
+    && ((typeof data.openapi === 'string' && /^3\./.test(data.openapi)) || String(data.swagger) === '2.0')
+    && (typeof data.paths === 'object' || typeof data.components === 'object' || typeof data.definitions === 'object');
+}
+
+function schemasOf(spec) {
+  return spec.components?.schemas || spec.definitions || {};
+}
+
+/**
+ * Short name for a schema: the referenced component, "Name[]" for arrays
+ */
+function schemaName(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.type === 'array') {
+    const item = schemaName(schema.items);
+    return item ? `${item}[]` : 'array';
+  }
+  return schema.title || schema.type || null;
+}
+
+function contentSchema(body) {
+  if (!body) {
+    return null;
+  }
+  // Swagger 2 puts the schema on the response itself
+  if (body.schema) {
+    return body.schema;
+  }
+  const content = body.content || {};
+  const type = Object.keys(content).find(key => /json/.test(key)) || Object.keys(content)[0];
+  return type ? content[type].schema : null;
+}
+
+/**
+ * List operations in document order
+ * Returns [{ method, path, operationId, summary, tags, deprecated, operation, parameters }]
+ */
+export function listOperations(spec) {
+  const operations = [];
+  Object.entries(spec.paths || {}).forEach(([path, item]) => {
+    if (!item || typeof item !== 'object') {
+      return;
+    }
+    HTTP_METHODS.forEach(method => {
+      const operation = item[method];
+      if (!operation) {
+        return;
+      }
+      operations.push({
+        method,
+        path,
+        operationId: operation.operationId || null,
+        summary: operation.summary || null,
+        tags: operation.tags && operation.tags.length > 0 ? operation.tags : ['default'],
+        deprecated: !!operation.deprecated,
+        operation,
+        parameters: [...(item.parameters || []), ...(operation.parameters || [])]
+      });
+    });
+  });
+  return operations;
+}
+
+/**
+ * Find an operation by operationId or "METHOD /path"
+ */
+export function findOperation(spec, reference) {
+  const operations = listOperations(spec);
+  const wanted = reference.trim();
+  const match = /^([A-Za-z]+)\s+(\/\S*)$/.exec(wanted);
+  const operation = operations.find(candidate => candidate.operationId === wanted)
+    || (match && operations.find(candidate => candidate.method === match[1].toLowerCase() && candidate.path === match[2]));
+  if (!operation) {
+    const available = operations.slice(0, 10).map(candidate => candidate.operationId || `${candidate.method.toUpperCase()} ${candidate.path}`);
+    throw new Error(`Operation "${reference}" not found. Use an operationId or "METHOD /path", e.g. ${available.join(', ')}`);
+  }
+  return operation;
+}
+
+/**
+ * Class diagram of the document's schemas
+ */
+export function renderOpenApiSchemas(spec) {
+  const schemas = schemasOf(spec);
+  if (Object.keys(schemas).length === 0) {
+    throw new Error('The document has no components.schemas to draw');
+  }
+  return renderSchemaClassDiagram(parseJsonSchema({ $defs: schemas }));
+}
+
+/**
+ * Flowchart of endpoints: one subgraph per tag, paths linked to their operations
+ */
+export function renderOpenApiEndpoints(spec) {
+  const operations = listOperations(spec);
+  if (operations.length === 0) {
+    throw new Error('The document has no paths to draw');
+  }
+
+  const tagId = createIdAllocator('tag');
+  const groups = new Map();
+  const pathNodes = new Map();
+  const nodes = [];
+  const edges = [];
+  const usedMethods = new Set();
+
+  operations.forEach((entry, index) => {
+    // Operations with several tags are drawn under the first one
+    const tag = entry.tags[0];
+    if (!groups.has(tag)) {
+      const description = (spec.tags || []).find(candidate => candidate.name === tag);
+      groups.set(tag, { id: tagId(tag), label: description?.['x-displayName'] || tag, nodes: [] });
+    }
+    const group = groups.get(tag);
+
+    const pathKey = `${tag}\u0000${entry.path}`;
+    if (!pathNodes.has(pathKey)) {
+      const id = `path${pathNodes.size}`;
+      pathNodes.set(pathKey, id);
+      nodes.push({ id, label: entry.path, shape: 'process' });
+      group.nodes.push(id);
+    }
+
+    const methodClass = METHOD_STYLES[entry.method] ? entry.method : 'other';
+    usedMethods.add(methodClass);
+    const id = `op${index}`;
+    const summary = entry.summary || entry.operationId;
+    nodes.push({
+      id,
+      label: `${entry.method.toUpperCase()}${summary ? ` ${summary}` : ''}${entry.deprecated ? ' (deprecated)' : ''}`,
+      shape: 'rounded',
+      class: methodClass
+    });
+    group.nodes.push(id);
+    edges.push(entry.deprecated ? { from: pathNodes.get(pathKey), to: id, style: 'dotted' } : { from: pathNodes.get(pathKey), to: id });
+  });
+
+  const classDefs = Object.fromEntries([...usedMethods].map(method => [method, METHOD_STYLES[method]]));
+  const { mermaid_code: code } = buildDiagram({ diagramType: 'flowchart', direction: 'LR', nodes, edges, groups: [...groups.values()], classDefs });
+  const title = [spec.info?.title, spec.info?.version].filter(Boolean).join(' ');
+  return title ? `---\ntitle: ${title.replace(/[\n:]/g, ' ')}\n---\n${code}` : code;
+}
+
+/**
+ * Text that is safe inside a sequence diagram message
+ */
+function messageText(text) {
+  return String(text).replace(/[;#\n]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Sequence diagram for one operation: the request and one reply per status
+ */
+export function renderOpenApiSequence(spec, reference) {
+  const entry = findOperation(spec, reference);
+  const { operation } = entry;
+  const api = messageText(spec.info?.title || 'API');
+  const label = `${entry.method.toUpperCase()} ${entry.path}`;
+
+  let code = 'sequenceDiagram\n';
+  code += `    title ${messageText(entry.operationId ? `${label} (${entry.operationId})` : label)}\n`;
+  code += '    participant Client\n';
+  code += `    participant API as ${api}\n`;
+
+  const security = operation.security || spec.security || [];
+  const schemes = [...new Set(security.flatMap(requirement => Object.keys(requirement)))];
+  if (schemes.length > 0) {
+    code += `    Note over Client,API: Requires ${messageText(schemes.join(' or '))}\n`;
+  }
+
+  const parameters = entry.parameters
+    .map(parameter => (parameter.$ref ? { name: parameter.$ref.split('/').pop(), in: 'ref' } : parameter))
+    .filter(parameter => parameter.in !== 'body');
+  if (parameters.length > 0) {
+    const byLocation = {};
+    parameters.forEach(parameter => {
+      (byLocation[parameter.in] = byLocation[parameter.in] || []).push(`${parameter.name}${parameter.required ? '' : '?'}`);
+    });
+    const text = Object.entries(byLocation).map(([location, names]) => `${location}: ${names.join(', ')}`).join(' | ');
+    code += `    Note right of Client: ${messageText(text)}\n`;
+  }
+
+  const bodyParameter = entry.parameters.find(parameter => parameter.in === 'body');
+  const requestSchema = schemaName(contentSchema(operation.requestBody) || bodyParameter?.schema);
+  code += `    Client->>+API: ${messageText(label)}${requestSchema ? ` with ${messageText(requestSchema)}` : ''}\n`;
+
+  const responses = Object.entries(operation.responses || {}).sort(([a], [b]) => (a === 'default') - (b === 'default') || a.localeCompare(b));
+  const reply = (status, response) => {
+    const name = schemaName(contentSchema(response));
+    const description = response?.description && response.description.length <= 40 ? response.description : STATUS_TEXT[status] || '';
+    const error = status === 'default' || /^[45]/.test(status);
+    const text = [status === 'default' ? 'other status' : status, name || description].filter(Boolean).join(' ');
+    return { arrow: error ? '--x' : '-->>', text: messageText(text), heading: messageText(`${status === 'default' ? 'other status' : status} ${STATUS_TEXT[status] || ''}`) };
+  };
+
+  if (responses.length === 0) {
+    code += '    API-->>-Client: response\n';
+  } else if (responses.length === 1) {
+    const { arrow, text } = reply(...responses[0]);
+    code += `    API${arrow}-Client: ${text}\n`;
+  } else {
+    responses.forEach(([status, response], index) => {
+      const { arrow, text, heading } = reply(status, response);
+      code += `    ${index === 0 ? 'alt' : 'else'} ${heading}\n`;
+      code += `        API${arrow}Client: ${text}\n`;
+    });
+    code += '    end\n';
+    code += '    deactivate API\n';
+  }
+  return code;
+}
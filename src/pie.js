@@ -0,0 +1,187 @@
+/**
+ * Pie chart generator
+ * Builds Mermaid pie charts from "label: value" lines or from tabular rows
+ * aggregated by a chosen column (sum, count or percent, with top-N and an
+ * "Other" bucket).
+ */
+
+import Papa from 'papaparse';
+
+export const PIE_AGGREGATES = ['sum', 'count', 'percent'];
+
+/**
+ * Parse a numeric cell, tolerating thousands separators, currency and %
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const cleaned = String(value ?? '').trim().replace(/[,\s$€£%]/g, '');
+  if (!/^-?\d*\.?\d+(e-?\d+)?$/i.test(cleaned)) {
+    return null;
+  }
+  return Number(cleaned);
+}
+
+/**
+ * Round to at most two decimals for readable slice values
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether the text looks like a CSV/TSV table with a header row
+ */
+function looksTabular(lines) {
+  if (lines.length < 2) {
+    return false;
+  }
+  const delimiter = lines[0].includes('\t') ? '\t' : ',';
+  const headerCells = lines[0].split(delimiter);
+  if (headerCells.length < 2) {
+    return false;
+  }
+  // "label: value" lines are not a table
+  if (lines.every(line => /^[^,\t]+:\s*-?[\d.,]+\s*%?$/.test(line))) {
+    return false;
+  }
+  // A header row has no numeric cells
+  return headerCells.every(cell => toNumber(cell) === null);
+}
+
+/**
+ * Aggregate rows into slices
+ * Options: labelColumn, valueColumn, aggregate (sum|count|percent), top
+ */
+export function aggregatePieRows(rows, { labelColumn, valueColumn, aggregate, top } = {}) {
+  if (rows.length === 0) {
+    throw new Error('No rows to aggregate');
+  }
+
+  const columns = Object.keys(rows[0]);
+  const findColumn = (name) => {
+    const match = columns.find(column => column.trim().toLowerCase() === String(name).trim().toLowerCase());
+    if (!match) {
+      throw new Error(`Column "${name}" not found. Available columns: ${columns.join(', ')}`);
+    }
+    return match;
+  };
+  const isNumericColumn = (column) => rows.every(row => row[column] === '' || row[column] === undefined || toNumber(row[column]) !== null);
+
+  const label = labelColumn ? findColumn(labelColumn) : columns.find(column => !isNumericColumn(column)) || columns[0];
+  let value = valueColumn ? findColumn(valueColumn) : null;
+  const mode = aggregate || (value || columns.some(column => column !== label && isNumericColumn(column)) ? 'sum' : 'count');
+
+  if (!value && mode !== 'count') {
+    value = columns.find(column => column !== label && isNumericColumn(column));
+    if (!value) {
+      throw new Error(`No numeric column to ${mode}; pass a value column or use the count aggregate`);
+    }
+  }
+
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = String(row[label] ?? '').trim() || '(blank)';
+    let amount = 1;
+    if (mode !== 'count') {
+      amount = toNumber(row[value]);
+      if (amount === null) {
+        return;
+      }
+    }
+    totals.set(key, (totals.get(key) || 0) + amount);
+  });
+
+  let slices = [...totals.entries()].map(([name, amount]) => ({ label: name, value: amount }));
+  slices.sort((a, b) => b.value - a.value);
+
+  if (top && slices.length > top) {
+    const kept = slices.slice(0, top);
+    const other = slices.slice(top).reduce((sum, slice) => sum + slice.value, 0);
+    const existing = kept.find(slice => slice.label.toLowerCase() === 'other');
+    if (existing) {
+      existing.value += other;
+    } else {
+      kept.push({ label: 'Other', value: other });
+    }
+    slices = kept;
+  }
+
+  if (mode === 'percent') {
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    slices = slices.map(slice => ({ ...slice, value: total ? (slice.value / total) * 100 : 0 }));
+  }
+
+  const title = mode === 'count'
+    ? `Count by ${label}`
+    : `${mode === 'percent' ? 'Share of' : 'Total'} ${value} by ${label}`;
+
+  return { title, slices: slices.map(slice => ({ ...slice, value: round(slice.value) })), showData: true };
+}
+
+/**
+ * Parse "label: value" (or "label, value" / tab separated) lines
+ */
+export function parsePieText(text, options = {}) {
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  let title = null;
+
+  const titleIndex = lines.findIndex(line => /^title\s*:?\s+/i.test(line));
+  if (titleIndex !== -1) {
+    title = lines[titleIndex].replace(/^title\s*:?\s+/i, '');
+    lines.splice(titleIndex, 1);
+  }
+
+  if (looksTabular(lines) || options.labelColumn || options.valueColumn || options.aggregate) {
+    const parsed = Papa.parse(lines.join('\n'), { header: true, skipEmptyLines: true });
+    const aggregated = aggregatePieRows(parsed.data, options);
+    return { ...aggregated, title: title || aggregated.title };
+  }
+
+  const slices = [];
+  lines.forEach(line => {
+    const match = line.match(/^"?(.+?)"?\s*(?::|,|\t|=|-)\s*(-?[\d.,]+\s*%?)$/);
+    if (!match) {
+      throw new Error(`Cannot read pie slice "${line}". Use "Label: value"`);
+    }
+    const value = toNumber(match[2]);
+    if (value === null) {
+      throw new Error(`"${match[2]}" is not a number in "${line}"`);
+    }
+    slices.push({ label: match[1].trim(), value });
+  });
+
+  if (options.top && slices.length > options.top) {
+    const aggregated = aggregatePieRows(slices, { labelColumn: 'label', valueColumn: 'value', top: options.top });
+    return { ...aggregated, title, showData: false };
+  }
+
+  return { title, slices, showData: false };
+}
+
+/**
+ * Render slices as Mermaid pie code
+ */
+export function renderPieChart({ title, slices, showData }) {
+  if (slices.length === 0) {
+    throw new Error('No pie slices found. Write one slice per line as "Label: value"');
+  }
+  const negative = slices.find(slice => slice.value < 0);
+  if (negative) {
+    throw new Error(`Pie slice "${negative.label}" has a negative value (${negative.value})`);
+  }
+
+  let code = `pie${showData ? ' showData' : ''}${title ? ` title ${title.replace(/[\n"]/g, ' ')}` : ''}\n`;
+  slices.forEach(slice => {
+    code += `    "${slice.label.replace(/"/g, "'")}" : ${slice.value}\n`;
+  });
+  return code;
+}
+
+/**
+ * Generate pie chart
+ */
+export function generatePieChart(text, options = {}) {
+  return renderPieChart(parsePieText(text, options));
+}
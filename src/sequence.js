@@ -0,0 +1,486 @@
+/**
+ * Sequence diagram generator
+ * Builds Mermaid sequence diagrams from "service -> service: message" lines
+ * or from trace JSON (OpenTelemetry OTLP, Jaeger or Zipkin exports).
+ *
+ * Line grammar (one message per line):
+ *   Alice -> Bob: Get orders       synchronous call (also ->>)
+ *   Bob --> Alice: 200 OK          reply; closes Bob's activation
+ *   Bob ~> Queue: OrderPlaced      asynchronous message (also -))
+ *   loop / alt / else / opt / par / and / end   passed through as blocks
+ *   title Checkout                 diagram title
+ *   # comment / %% comment         ignored
+ * Leading timestamps ("2024-05-01T10:00:00Z", "10:00:01.250") and
+ * "[tags]" are skipped, so HTTP access logs in this shape work as-is.
+ * Identical messages repeated back to back collapse into a loop block.
+ */
+
+const MESSAGE = /^(.+?)\s*(-->>|->>|-->|->|~>|-\)|→)\s*(.+?)\s*(?::\s*(.*))?$/;
+const LOG_PREFIX = /^(?:\[[^\]]*\]\s*|\d{4}-\d{2}-\d{2}[T\s][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?\s*|\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\s*)+/;
+const BLOCK_KEYWORDS = ['loop', 'alt', 'opt', 'par', 'critical', 'break'];
+const BRANCH_KEYWORDS = ['else', 'and', 'option'];
+// Mermaid reads these as keywords where a participant id is expected
+const RESERVED_IDS = [
+  'participant', 'actor', 'as', 'box', 'create', 'destroy', 'loop', 'rect', 'opt', 'alt', 'else', 'par', 'par_over',
+  'and', 'critical', 'option', 'break', 'end', 'links', 'link', 'properties', 'details', 'over', 'note', 'activate',
+  'deactivate', 'title', 'sequencediagram', 'autonumber', 'off'
+];
+
+/**
+ * Collects participants in order of first appearance
+ */
+function createParticipants() {
+  const byLabel = new Map();
+  const usedIds = new Set();
+  return {
+    idFor(label) {
+      const name = label.trim();
+      if (!byLabel.has(name)) {
+        let base = name.replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '');
+        if (/^\d/.test(base) || RESERVED_IDS.includes(base.toLowerCase())) {
+          base = `p_${base}`;
+        }
+        // Names without ASCII word characters are numbered p1, p2, ...
+        let id = base || 'p1';
+        let suffix = 2;
+        while (usedIds.has(id)) {
+          id = base ? `${base}_${suffix++}` : `p${suffix++}`;
+        }
+        usedIds.add(id);
+        byLabel.set(name, id);
+      }
+      return byLabel.get(name);
+    },
+    render() {
+      return [...byLabel.entries()]
+        .map(([label, id]) => (label === id ? `    participant ${id}\n` : `    participant ${id} as ${label.replace(/[;#]/g, ' ')}\n`))
+        .join('');
+    }
+  };
+}
+
+function messageText(text) {
+  return (text || '').replace(/[;#\n]/g, ' ').trim();
+}
+
+/* ------------------------------------------------------------------------ */
+/* Message lines                                                            */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Parse message lines into a flat list of events
+ */
+export function parseSequenceText(text) {
+  const events = [];
+  let title = null;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim().replace(LOG_PREFIX, '');
+    if (!line || line.startsWith('#') || line.startsWith('%%') || /^sequenceDiagram\b/.test(line)) {
+      return;
+    }
+
+    const titleMatch = line.match(/^title\s*:?\s+(.+)$/i);
+    if (titleMatch) {
+      title = titleMatch[1];
+      return;
+    }
+
+    // A line with an arrow is a message even when its sender is named "Loop" or "Critical"
+    const match = line.match(MESSAGE);
+    const keyword = line.split(/\s+/)[0].toLowerCase();
+    if (!match && (BLOCK_KEYWORDS.includes(keyword) || BRANCH_KEYWORDS.includes(keyword) || keyword === 'end')) {
+      events.push({ kind: 'block', keyword, label: line.slice(keyword.length).trim() });
+      return;
+    }
+
+    if (!match) {
+      throw new Error(`Line ${index + 1}: cannot read "${rawLine.trim()}". Write messages as "service -> service: message"`);
+    }
+    const [, from, arrow, to, message] = match;
+    events.push({
+      kind: 'message',
+      from: from.trim(),
+      to: to.trim(),
+      type: arrow === '-->' || arrow === '-->>' ? 'reply' : arrow === '~>' || arrow === '-)' ? 'async' : 'call',
+      text: messageText(message)
+    });
+  });
+
+  if (!events.some(event => event.kind === 'message')) {
+    throw new Error('No messages found. Write one message per line as "service -> service: message"');
+  }
+  return { title, events };
+}
+
+const sameMessage = (a, b) => a.kind === 'message' && b.kind === 'message'
+  && a.from === b.from && a.to === b.to && a.type === b.type && a.text === b.text;
+
+/**
+ * Collapse back-to-back repeats of one message (or one call/reply pair) into loops
+ */
+function collapseRepeats(events) {
+  const output = [];
+  let index = 0;
+  while (index < events.length) {
+    let collapsed = false;
+    for (const size of [2, 1]) {
+      const unit = events.slice(index, index + size);
+      if (unit.length < size || unit.some(event => event.kind !== 'message')) {
+        continue;
+      }
+      let count = 1;
+      while (unit.every((event, offset) => events[index + count * size + offset] && sameMessage(event, events[index + count * size + offset]))) {
+        count++;
+      }
+      if (count > 1) {
+        output.push({ kind: 'block', keyword: 'loop', label: `${count} times` }, ...unit, { kind: 'block', keyword: 'end', label: '' });
+        index += count * size;
+        collapsed = true;
+        break;
+      }
+    }
+    if (!collapsed) {
+      output.push(events[index]);
+      index++;
+    }
+  }
+  return output;
+}
+
+/**
+ * Render parsed message lines, pairing calls with their replies for activations
+ */
+function renderSequenceText({ title, events }) {
+  const participants = createParticipants();
+  const flat = collapseRepeats(events);
+
+  // A reply closes the most recent open call in the opposite direction
+  const open = [];
+  flat.forEach(event => {
+    if (event.kind !== 'message') {
+      return;
+    }
+    if (event.type === 'call') {
+      open.push(event);
+    } else if (event.type === 'reply') {
+      const callIndex = open.map(call => call.from === event.to && call.to === event.from).lastIndexOf(true);
+      if (callIndex !== -1) {
+        open[callIndex].activates = true;
+        event.deactivates = true;
+        open.splice(callIndex, 1);
+      }
+    }
+  });
+
+  let depth = 1;
+  let body = '';
+  flat.forEach(event => {
+    if (event.kind === 'block') {
+      if (event.keyword === 'end' || BRANCH_KEYWORDS.includes(event.keyword)) {
+        depth = Math.max(1, depth - 1);
+      }
+      body += `${'    '.repeat(depth)}${event.keyword}${event.label ? ` ${event.label}` : ''}\n`;
+      if (event.keyword !== 'end') {
+        depth++;
+      }
+      return;
+    }
+    const from = participants.idFor(event.from);
+    const to = participants.idFor(event.to);
+    const arrow = event.type === 'reply' ? '-->>' : event.type === 'async' ? '-)' : '->>';
+    const activation = event.activates ? '+' : event.deactivates ? '-' : '';
+    body += `${'    '.repeat(depth)}${from}${arrow}${activation}${to}: ${event.text}\n`;
+  });
+
+  return `sequenceDiagram\n${title ? `    title ${title}\n` : ''}${participants.render()}${body}`;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Trace JSON                                                               */
+/* ------------------------------------------------------------------------ */
+
+const OTLP_KINDS = { 1: 'internal', 2: 'server', 3: 'client', 4: 'producer', 5: 'consumer' };
+
+function attributeValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  return value.stringValue ?? value.intValue ?? value.doubleValue ?? value.boolValue ?? null;
+}
+
+function remoteOf(attributes) {
+  return attributes['peer.service'] || attributes['db.system'] || attributes['messaging.destination.name']
+    || attributes['messaging.destination'] || attributes['server.address'] || attributes['net.peer.name'] || null;
+}
+
+/**
+ * OTLP JSON: { resourceSpans: [{ resource, scopeSpans: [{ spans }] }] }
+ */
+function spansFromOtlp(data) {
+  return data.resourceSpans.flatMap(resourceSpan => {
+    const resource = Object.fromEntries((resourceSpan.resource?.attributes || []).map(a => [a.key, attributeValue(a.value)]));
+    const scopes = resourceSpan.scopeSpans || resourceSpan.instrumentationLibrarySpans || [];
+    return scopes.flatMap(scope => (scope.spans || []).map(span => {
+      const attributes = Object.fromEntries((span.attributes || []).map(a => [a.key, attributeValue(a.value)]));
+      const kind = typeof span.kind === 'string'
+        ? span.kind.replace(/^SPAN_KIND_/, '').toLowerCase()
+        : OTLP_KINDS[span.kind] || 'internal';
+      const status = span.status || {};
+      return {
+        id: span.spanId,
+        parentId: span.parentSpanId || null,
+        service: resource['service.name'] || 'unknown',
+        name: span.name,
+        start: Number(span.startTimeUnixNano) / 1e6,
+        end: Number(span.endTimeUnixNano) / 1e6,
+        kind,
+        followsFrom: false,
+        remote: remoteOf(attributes),
+        error: status.code === 2 || status.code === 'STATUS_CODE_ERROR' ? status.message || 'error' : null
+      };
+    }));
+  });
+}
+
+/**
+ * Jaeger JSON: { data: [{ spans, processes }] }
+ */
+function spansFromJaeger(data) {
+  return data.data.flatMap(trace => trace.spans.map(span => {
+    const tags = Object.fromEntries((span.tags || []).map(tag => [tag.key, tag.value]));
+    const reference = (span.references || []).find(ref => ref.refType === 'CHILD_OF' || ref.refType === 'FOLLOWS_FROM');
+    return {
+      id: span.spanID,
+      parentId: reference ? reference.spanID : span.parentSpanID || null,
+      service: trace.processes?.[span.processID]?.serviceName || span.process?.serviceName || 'unknown',
+      name: span.operationName,
+      start: span.startTime / 1000,
+      end: (span.startTime + span.duration) / 1000,
+      kind: tags['span.kind'] || 'internal',
+      followsFrom: reference?.refType === 'FOLLOWS_FROM',
+      remote: remoteOf(tags),
+      error: tags.error === true || tags.error === 'true' ? tags['otel.status_description'] || 'error' : null
+    };
+  }));
+}
+
+/**
+ * Zipkin v2 JSON: [{ id, parentId, name, timestamp, duration, kind, localEndpoint }]
+ */
+function spansFromZipkin(data) {
+  return data.map(span => ({
+    id: span.id,
+    parentId: span.parentId || null,
+    service: span.localEndpoint?.serviceName || 'unknown',
+    name: span.name || 'span',
+    start: span.timestamp / 1000,
+    end: (span.timestamp + (span.duration || 0)) / 1000,
+    kind: (span.kind || 'internal').toLowerCase(),
+    followsFrom: false,
+    remote: span.remoteEndpoint?.serviceName || span.tags?.['peer.service'] || null,
+    error: span.tags?.error !== undefined ? span.tags.error || 'error' : null
+  }));
+}
+
+/**
+ * Whether parsed JSON looks like an OTLP, Jaeger or Zipkin trace export
+ */
+export function isTraceJson(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (Array.isArray(data.resourceSpans)) return true;
+  if (Array.isArray(data.data) && data.data.some(trace => Array.isArray(trace?.spans))) return true;
+  return Array.isArray(data) && data.length > 0 && data.every(span => span && span.traceId && span.id);
+}
+
+/**
+ * Normalise a trace export into spans with service, timing (ms) and kind
+ */
+export function parseTraceSpans(data) {
+  if (Array.isArray(data.resourceSpans)) return spansFromOtlp(data);
+  if (Array.isArray(data.data)) return spansFromJaeger(data);
+  if (Array.isArray(data)) return spansFromZipkin(data);
+  throw new Error('Unrecognised trace format. Expected OTLP (resourceSpans), Jaeger (data[].spans) or Zipkin JSON');
+}
+
+/**
+ * Turn the span tree into calls between services
+ * Spans within one service are flattened so only cross-service calls
+ * (and client spans to uninstrumented remotes such as databases) remain.
+ */
+function buildCalls(spans) {
+  const byId = new Map(spans.map(span => [span.id, span]));
+  const children = new Map();
+  spans.forEach(span => {
+    if (span.parentId && byId.has(span.parentId)) {
+      if (!children.has(span.parentId)) children.set(span.parentId, []);
+      children.get(span.parentId).push(span);
+    }
+  });
+  const childrenOf = (span) => (children.get(span.id) || []).sort((a, b) => a.start - b.start);
+  const crossesService = (span) => childrenOf(span).some(child => child.service !== span.service || crossesService(child));
+
+  const collect = (span, service) => childrenOf(span).flatMap(child => {
+    if (child.service !== service) {
+      return [{
+        from: service,
+        to: child.service,
+        name: child.name,
+        start: child.start,
+        end: child.end,
+        async: child.followsFrom || ['producer', 'consumer'].includes(child.kind) || span.kind === 'producer',
+        error: child.error,
+        calls: collect(child, child.service)
+      }];
+    }
+    if (['client', 'producer'].includes(child.kind) && child.remote && child.remote !== service && !crossesService(child)) {
+      return [{
+        from: service,
+        to: child.remote,
+        name: child.name,
+        start: child.start,
+        end: child.end,
+        async: child.kind === 'producer',
+        error: child.error,
+        calls: []
+      }];
+    }
+    return collect(child, service);
+  });
+
+  const roots = spans.filter(span => !span.parentId || !byId.has(span.parentId)).sort((a, b) => a.start - b.start);
+  return { roots, calls: roots.flatMap(root => collect(root, root.service)) };
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${Math.round(ms / 100) / 10} s` : `${Math.round(ms * 10) / 10} ms`;
+}
+
+/**
+ * Render calls with activations, par blocks for overlapping siblings,
+ * loops for repeated calls and alt blocks for retries that failed first
+ */
+function renderCalls(calls, participants, depth) {
+  let code = '';
+  const indent = (level) => '    '.repeat(level);
+
+  const renderCall = (call, level, attempts = null) => {
+    const from = participants.idFor(call.from);
+    const to = participants.idFor(call.to);
+    if (call.async) {
+      code += `${indent(level)}${from}-)${to}: ${messageText(call.name)}\n`;
+      code += renderCalls(call.calls, participants, level);
+      return;
+    }
+    code += `${indent(level)}${from}->>+${to}: ${messageText(call.name)}\n`;
+    code += renderCalls(call.calls, participants, level);
+    if (attempts) {
+      const failed = attempts.find(attempt => attempt.error);
+      const succeeded = attempts.find(attempt => !attempt.error);
+      code += `${indent(level)}alt failed\n`;
+      code += `${indent(level + 1)}${to}--x${from}: ${messageText(failed.error)}\n`;
+      if (succeeded) {
+        code += `${indent(level)}else succeeded\n`;
+        code += `${indent(level + 1)}${to}-->>${from}: ${formatDuration(succeeded.end - succeeded.start)}\n`;
+      }
+      code += `${indent(level)}end\n`;
+      code += `${indent(level)}deactivate ${to}\n`;
+    } else if (call.error) {
+      code += `${indent(level)}${to}--x-${from}: ${messageText(call.error)}\n`;
+    } else {
+      code += `${indent(level)}${to}-->>-${from}: ${formatDuration(call.end - call.start)}\n`;
+    }
+  };
+
+  // Back-to-back calls with the same target and name form a loop
+  const renderRun = (run, level) => {
+    if (run.length === 1) {
+      renderCall(run[0], level);
+      return;
+    }
+    const mixed = run.some(call => call.error) && run.some(call => !call.error);
+    code += `${indent(level)}loop ${run.length} ${mixed ? 'attempts' : 'times'}\n`;
+    renderCall(mixed ? run[run.length - 1] : run[0], level + 1, mixed ? run : null);
+    code += `${indent(level)}end\n`;
+  };
+
+  const renderSequential = (items, level) => {
+    let run = [];
+    items.forEach(call => {
+      const previous = run[run.length - 1];
+      if (previous && previous.from === call.from && previous.to === call.to && previous.name === call.name && previous.async === call.async) {
+        run.push(call);
+      } else {
+        if (run.length > 0) renderRun(run, level);
+        run = [call];
+      }
+    });
+    if (run.length > 0) renderRun(run, level);
+  };
+
+  // Siblings that overlap in time run in parallel
+  let pending = [];
+  let index = 0;
+  while (index < calls.length) {
+    const group = [calls[index]];
+    let groupEnd = calls[index].end;
+    while (index + group.length < calls.length && calls[index + group.length].start < groupEnd) {
+      const next = calls[index + group.length];
+      group.push(next);
+      groupEnd = Math.max(groupEnd, next.end);
+    }
+    if (group.length > 1) {
+      renderSequential(pending, depth);
+      pending = [];
+      group.forEach((call, position) => {
+        code += `${indent(depth)}${position === 0 ? 'par' : 'and'} ${messageText(call.to)}\n`;
+        renderCall(call, depth + 1);
+      });
+      code += `${indent(depth)}end\n`;
+    } else {
+      pending.push(group[0]);
+    }
+    index += group.length;
+  }
+  renderSequential(pending, depth);
+
+  return code;
+}
+
+/**
+ * Render trace spans as a sequence diagram
+ */
+export function renderTraceSequence(spans) {
+  if (spans.length === 0) {
+    throw new Error('Trace contains no spans');
+  }
+  const participants = createParticipants();
+  const { roots, calls } = buildCalls(spans);
+  roots.forEach(root => participants.idFor(root.service));
+
+  const body = calls.length > 0
+    ? renderCalls(calls, participants, 1)
+    : `    Note over ${participants.idFor(roots[0].service)}: ${messageText(roots[0].name)} (no calls to other services)\n`;
+  const title = `${roots[0].service}: ${messageText(roots[0].name)}`;
+  return `sequenceDiagram\n    title ${title}\n${participants.render()}${body}`;
+}
+
+/**
+ * Generate sequence diagram from message lines or trace JSON text
+ */
+export function generateSequenceDiagram(text) {
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed)) {
+    let data = null;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      // Not JSON; fall through to message lines
+    }
+    if (data !== null) {
+      if (!isTraceJson(data)) {
+        throw new Error('JSON input is not a trace export. Expected OTLP (resourceSpans), Jaeger (data[].spans) or Zipkin JSON');
+      }
+      return renderTraceSequence(parseTraceSpans(data));
+    }
+  }
+  return renderSequenceText(parseSequenceText(text));
+}
@@ -0,0 +1,59 @@
+/**
+ * Share links
+ * Saved diagrams are shared as /d/:id. Unsaved diagrams travel inside the
+ * URL as /s/:token, where the token is the compressed code plus an HMAC so
+ * the server only renders diagrams it produced itself. Large diagrams get no
+ * /s/ link: the URL would not fit in request headers.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { deflateRawSync, inflateRawSync } from 'zlib';
+
+const SIGNATURE_BYTES = 16;
+// Well under Node's 16 KB header limit and what chat clients keep intact
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Build share and embed URLs under baseUrl, signing tokens with secret
+ */
+export function createShareLinks({ baseUrl, secret, maxUrlLength = MAX_URL_LENGTH }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const sign = (data) => createHmac('sha256', secret).update(data).digest().subarray(0, SIGNATURE_BYTES);
+
+  const links = (path) => ({
+    share_url: `${root}${path}`,
+    embed_url: `${root}${path}/embed`
+  });
+
+  return {
+    forDiagram(id) {
+      return links(`/d/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * Returns null when the embed URL would be longer than maxUrlLength
+     */
+    forCode({ mermaid_code: mermaidCode, title = null }) {
+      const payload = deflateRawSync(Buffer.from(JSON.stringify({ c: mermaidCode, t: title }), 'utf8'));
+      const result = links(`/s/${payload.toString('base64url')}.${sign(payload).toString('base64url')}`);
+      return result.embed_url.length <= maxUrlLength ? result : null;
+    },
+
+    /**
+     * Returns { mermaid_code, title }; throws on tampered or malformed tokens
+     */
+    readToken(token) {
+      const [data, signature] = String(token).split('.');
+      if (!data || !signature) {
+        throw new Error('Malformed share link');
+      }
+      const payload = Buffer.from(data, 'base64url');
+      const given = Buffer.from(signature, 'base64url');
+      if (given.length !== SIGNATURE_BYTES || !timingSafeEqual(given, sign(payload))) {
+        throw new Error('Share link signature does not match');
+      }
+      const { c: mermaidCode, t: title } = JSON.parse(inflateRawSync(payload).toString('utf8'));
+      return { mermaid_code: mermaidCode, title };
+    }
+  };
+}
@@ -0,0 +1,353 @@
+/**
+ * SQL DDL to ER diagram
+ * Reads CREATE TABLE (plus ALTER TABLE ... ADD CONSTRAINT and CREATE UNIQUE
+ * INDEX) statements in Postgres, MySQL or SQLite dialect and emits an
+ * erDiagram with column types, PK/FK/UK markers and relationship
+ * cardinalities inferred from nullability and uniqueness.
+ */
+
+const TYPE_ALIASES = {
+  'character varying': 'varchar',
+  'double precision': 'double',
+  'timestamp with time zone': 'timestamptz',
+  'timestamp without time zone': 'timestamp',
+  'time with time zone': 'timetz',
+  'time without time zone': 'time'
+};
+
+const COLUMN_KEYWORDS = [
+  'CONSTRAINT', 'NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'DEFAULT', 'CHECK', 'COLLATE',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'GENERATED', 'IDENTITY', 'COMMENT', 'ON', 'AS', 'CHARSET'
+];
+
+const TABLE_CONSTRAINTS = ['CONSTRAINT', 'PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'EXCLUDE'];
+
+// Mermaid's ER lexer reads these as cardinalities or keywords where an entity
+// name is expected, and the key markers where an attribute name is expected
+const RESERVED_NAMES = ['one', 'many', 'to', 'u', 'erdiagram'];
+const RESERVED_ATTRIBUTE_NAMES = ['pk', 'fk', 'uk'];
+
+/**
+ * Remove -- , # and block comments, leaving string literals intact
+ */
+function stripComments(sql) {
+  let output = '';
+  let index = 0;
+  while (index < sql.length) {
+    const char = sql[index];
+    const pair = sql.slice(index, index + 2);
+    if (char === "'" || char === '"' || char === '`') {
+      const end = sql.indexOf(char, index + 1);
+      const stop = end === -1 ? sql.length : end + 1;
+      output += sql.slice(index, stop);
+      index = stop;
+    } else if (pair === '--' || char === '#') {
+      const end = sql.indexOf('\n', index);
+      index = end === -1 ? sql.length : end;
+    } else if (pair === '/*') {
+      const end = sql.indexOf('*/', index + 2);
+      index = end === -1 ? sql.length : end + 2;
+      output += ' ';
+    } else {
+      output += char;
+      index++;
+    }
+  }
+  return output;
+}
+
+/**
+ * Split on a separator outside quotes and parentheses
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Tokenise a definition into words, quoted identifiers, strings and (...) groups
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*("[^"]*"|`[^`]*`|\[[^\]]*\]|'(?:[^']|'')*'|\(|[\w$.]+|::|\S)/y;
+  let match;
+  while ((match = pattern.exec(text)) !== null && match[1]) {
+    if (match[1] !== '(') {
+      tokens.push(match[1]);
+      continue;
+    }
+    // Keep a parenthesised group as one token
+    let depth = 1;
+    let index = pattern.lastIndex;
+    while (index < text.length && depth > 0) {
+      if (text[index] === '(') depth++;
+      if (text[index] === ')') depth--;
+      index++;
+    }
+    tokens.push(text.slice(match.index + match[0].indexOf('('), index));
+    pattern.lastIndex = index;
+  }
+  return tokens;
+}
+
+/**
+ * Strip identifier quotes and any schema prefix
+ */
+function unquote(identifier) {
+  const last = identifier.match(/("[^"]*"|`[^`]*`|\[[^\]]*\]|[^.]+)$/)[1];
+  return last.replace(/^["`[]|["`\]]$/g, '');
+}
+
+/**
+ * Read "(a, b)" as a list of column names
+ */
+function identifierList(group) {
+  return splitTopLevel(group.replace(/^\(|\)$/g, ''), ',')
+    .map(column => unquote(column.split(/\s+/)[0]));
+}
+
+/**
+ * Entity and attribute names Mermaid accepts
+ */
+function safeName(name, reserved = RESERVED_NAMES) {
+  const cleaned = name.replace(/[^\w-]+/g, '_');
+  return /^[A-Za-z_]/.test(cleaned) && !reserved.includes(cleaned.split('-')[0].toLowerCase()) ? cleaned : `t_${cleaned}`;
+}
+
+function safeType(words) {
+  const joined = words.join(' ')
+    .replace(/\s+([(\[])/g, '$1')
+    .replace(/\(([^)]*)\)/g, (group, inner) => `(${inner.replace(/\s+/g, '')})`);
+  const base = joined.toLowerCase().replace(/\(.*$/, '');
+  const type = TYPE_ALIASES[base] ? TYPE_ALIASES[base] + joined.slice(base.length) : joined;
+  // Mermaid's attribute words allow only letters, digits, _, -, () and [],
+  // so DECIMAL(10,2) is written DECIMAL(10-2) and ENUM('a','b') ENUM(a-b)
+  const cleaned = type.replace(/'/g, '').replace(/,/g, '-').replace(/[^\w()\[\]-]+/g, '_') || 'unknown';
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `t_${cleaned}`;
+}
+
+function sameColumns(a, b) {
+  return a.length === b.length && a.every(column => b.includes(column));
+}
+
+/**
+ * Read "REFERENCES table [(columns)]" starting at tokens[index]
+ */
+function readReference(tokens, index) {
+  const table = unquote(tokens[index + 1] || '');
+  const refColumns = tokens[index + 2]?.startsWith('(') ? identifierList(tokens[index + 2]) : [];
+  return { table, refColumns };
+}
+
+/**
+ * Parse a table-level constraint into the table
+ */
+function applyTableConstraint(table, tokens) {
+  let index = 0;
+  let name = null;
+  if (tokens[0].toUpperCase() === 'CONSTRAINT') {
+    name = unquote(tokens[1]);
+    index = 2;
+  }
+  const keyword = tokens[index]?.toUpperCase();
+  const groupAfter = (from) => tokens.slice(from).find(token => token.startsWith('('));
+
+  if (keyword === 'PRIMARY') {
+    table.primaryKey = identifierList(groupAfter(index));
+  } else if (keyword === 'UNIQUE') {
+    table.uniques.push(identifierList(groupAfter(index)));
+  } else if (keyword === 'FOREIGN') {
+    const columns = identifierList(groupAfter(index));
+    const referencesAt = tokens.findIndex(token => token.toUpperCase() === 'REFERENCES');
+    if (referencesAt !== -1) {
+      table.foreignKeys.push({ name, columns, ...readReference(tokens, referencesAt) });
+    }
+  }
+  // CHECK, KEY/INDEX and EXCLUDE do not affect the diagram
+}
+
+/**
+ * Parse one column definition
+ */
+function parseColumn(table, tokens) {
+  const column = { name: unquote(tokens[0]), type: null, nullable: true, unique: false, comment: null };
+  const typeWords = [];
+  let index = 1;
+  const endsType = (word, next) => COLUMN_KEYWORDS.includes(word) || (word === 'CHARACTER' && next === 'SET');
+  while (index < tokens.length && !endsType(tokens[index].toUpperCase(), tokens[index + 1]?.toUpperCase())) {
+    typeWords.push(tokens[index]);
+    index++;
+  }
+  column.type = safeType(typeWords.length > 0 ? typeWords : ['unknown']);
+  if (/^(big|small)?serial\d?$/i.test(typeWords[0] || '')) {
+    column.nullable = false;
+  }
+
+  for (; index < tokens.length; index++) {
+    const word = tokens[index].toUpperCase();
+    const previous = tokens[index - 1]?.toUpperCase();
+    if (word === 'NOT' && tokens[index + 1]?.toUpperCase() === 'NULL') {
+      column.nullable = false;
+      index++;
+    } else if (word === 'NULL' && previous !== 'SET' && previous !== 'DEFAULT') {
+      column.nullable = true;
+    } else if (word === 'PRIMARY') {
+      table.primaryKey = [column.name];
+      column.nullable = false;
+    } else if (word === 'UNIQUE') {
+      column.unique = true;
+    } else if (word === 'REFERENCES') {
+      table.foreignKeys.push({ name: null, columns: [column.name], ...readReference(tokens, index) });
+    } else if (word === 'COMMENT' && /^'/.test(tokens[index + 1] || '')) {
+      column.comment = tokens[index + 1].slice(1, -1).replace(/''/g, "'");
+      index++;
+    }
+  }
+
+  table.columns.push(column);
+}
+
+/**
+ * Parse SQL DDL into { tables: Map<name, table> }
+ * A table is { name, columns, primaryKey, uniques, foreignKeys }.
+ */
+export function parseSqlDdl(sql) {
+  const tables = new Map();
+  const statements = splitTopLevel(stripComments(sql), ';');
+
+  const getTable = (name) => {
+    if (!tables.has(name)) {
+      tables.set(name, { name, columns: [], primaryKey: [], uniques: [], foreignKeys: [] });
+    }
+    return tables.get(name);
+  };
+
+  statements.forEach(statement => {
+    const create = statement.match(/^CREATE\s+(?:OR\s+REPLACE\s+)?(?:(?:GLOBAL|LOCAL)\s+)?(?:TEMP(?:ORARY)?\s+|UNLOGGED\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)(?:\.(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+))*)\s*\(/i);
+    if (create) {
+      const table = getTable(unquote(create[1]));
+      const bodyStart = create[0].length;
+      const body = tokenize(statement.slice(bodyStart - 1))[0] || '()';
+      splitTopLevel(body.slice(1, -1), ',').forEach(definition => {
+        const tokens = tokenize(definition);
+        if (tokens.length === 0) {
+          return;
+        }
+        const first = tokens[0].toUpperCase();
+        const isConstraint = TABLE_CONSTRAINTS.includes(first)
+          && !(['KEY', 'INDEX'].includes(first) && tokens.length > 1 && !tokens.slice(1, 3).some(token => token.startsWith('(')));
+        if (isConstraint) {
+          applyTableConstraint(table, tokens);
+        } else {
+          parseColumn(table, tokens);
+        }
+      });
+      return;
+    }
+
+    const alter = statement.match(/^ALTER\s+TABLE\s+(?:ONLY\s+)?(?:IF\s+EXISTS\s+)?(\S+)\s+ADD\s+(.*)$/is);
+    if (alter) {
+      const tokens = tokenize(alter[2]);
+      if (tokens.length > 0 && TABLE_CONSTRAINTS.includes(tokens[0].toUpperCase())) {
+        applyTableConstraint(getTable(unquote(alter[1])), tokens);
+      }
+      return;
+    }
+
+    const uniqueIndex = statement.match(/^CREATE\s+UNIQUE\s+INDEX\s+(?:CONCURRENTLY\s+)?(?:IF\s+NOT\s+EXISTS\s+)?\S+\s+ON\s+(?:ONLY\s+)?(\S+?)\s*(?:USING\s+\w+\s*)?(\(.*\))/is);
+    if (uniqueIndex) {
+      getTable(unquote(uniqueIndex[1])).uniques.push(identifierList(uniqueIndex[2]));
+    }
+  });
+
+  if (![...tables.values()].some(table => table.columns.length > 0)) {
+    throw new Error('No CREATE TABLE statements found. Paste SQL DDL such as "CREATE TABLE users (id INT PRIMARY KEY, ...)"');
+  }
+  return { tables };
+}
+
+/**
+ * Whether a set of columns is unique within its table
+ */
+function isUnique(table, columns) {
+  if (sameColumns(columns, table.primaryKey)) {
+    return true;
+  }
+  if (columns.length === 1 && table.columns.find(column => column.name === columns[0])?.unique) {
+    return true;
+  }
+  return table.uniques.some(unique => sameColumns(columns, unique));
+}
+
+/**
+ * Render a parsed schema as Mermaid erDiagram code
+ *
+ * Relationship markers read from the referenced (parent) table:
+ *   parent side  || when the foreign key is NOT NULL, |o when it is nullable
+ *   child side   o| when the foreign key is unique (one-to-one), o{ otherwise
+ * Foreign keys that are part of the child's primary key are identifying (--),
+ * the rest are non-identifying (..).
+ */
+export function renderERDiagram({ tables }) {
+  let code = 'erDiagram\n';
+
+  tables.forEach(table => {
+    if (table.columns.length === 0) {
+      return;
+    }
+    const foreignColumns = new Set(table.foreignKeys.flatMap(fk => fk.columns));
+    code += `    ${safeName(table.name)} {\n`;
+    table.columns.forEach(column => {
+      const keys = [];
+      if (table.primaryKey.includes(column.name)) keys.push('PK');
+      if (foreignColumns.has(column.name)) keys.push('FK');
+      if (!keys.includes('PK') && isUnique(table, [column.name])) keys.push('UK');
+      const comment = column.comment ? ` "${column.comment.replace(/"/g, "'")}"` : '';
+      code += `        ${column.type} ${safeName(column.name, RESERVED_ATTRIBUTE_NAMES)}${keys.length ? ` ${keys.join(', ')}` : ''}${comment}\n`;
+    });
+    code += '    }\n';
+  });
+
+  tables.forEach(table => {
+    table.foreignKeys.forEach(fk => {
+      const nullable = fk.columns.some(name => {
+        const column = table.columns.find(c => c.name === name);
+        return column ? column.nullable && !table.primaryKey.includes(name) : false;
+      });
+      const parentSide = nullable ? '|o' : '||';
+      const childSide = isUnique(table, fk.columns) ? 'o|' : 'o{';
+      const identifying = fk.columns.every(name => table.primaryKey.includes(name));
+      code += `    ${safeName(fk.table)} ${parentSide}${identifying ? '--' : '..'}${childSide} ${safeName(table.name)} : "${fk.columns.join(', ')}"\n`;
+    });
+  });
+
+  return code;
+}
+
+/**
+ * Generate ER diagram from SQL DDL
+ */
+export function generateERDiagram(sql) {
+  return renderERDiagram(parseSqlDdl(sql));
+}
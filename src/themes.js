@@ -0,0 +1,46 @@
+/**
+ * Diagram themes
+ * A theme travels inside the Mermaid code as an init directive, so saved,
+ * exported and shared diagrams look the same wherever they are rendered.
+ * Brand palettes are named presets (a Mermaid theme plus themeVariables)
+ * defined in server config.
+ */
+
+export const MERMAID_THEMES = ['default', 'dark', 'forest', 'neutral', 'base'];
+
+/**
+ * Resolve a theme or palette name and extra variables to { name, theme, themeVariables }
+ * Variables without a name use the base theme, the only one that honours
+ * all of them. Returns null when neither is given.
+ */
+export function resolveTheme(name, themeVariables = {}, palettes = {}) {
+  const hasVariables = Object.keys(themeVariables).length > 0;
+  if (!name && !hasVariables) {
+    return null;
+  }
+  if (!name) {
+    return { name: 'base', theme: 'base', themeVariables };
+  }
+  if (palettes[name]) {
+    const palette = palettes[name];
+    return { name, theme: palette.theme, themeVariables: { ...palette.themeVariables, ...themeVariables } };
+  }
+  if (MERMAID_THEMES.includes(name)) {
+    return { name, theme: name, themeVariables };
+  }
+  throw new Error(`Unknown theme: ${name}. Available themes: ${[...MERMAID_THEMES, ...Object.keys(palettes)].join(', ')}`);
+}
+
+/**
+ * Prefix code with an init directive for the resolved theme
+ * The directive goes after front matter; Mermaid merges it with any
+ * directive the code already has.
+ */
+export function applyTheme(code, { theme, themeVariables = {} }) {
+  const config = Object.keys(themeVariables).length > 0 ? { theme, themeVariables } : { theme };
+  const directive = `%%{init: ${JSON.stringify(config)}}%%`;
+  const frontMatter = code.match(/^\s*---\n[\s\S]*?\n---\s*\n/);
+  return frontMatter
+    ? `${frontMatter[0]}${directive}\n${code.slice(frontMatter[0].length)}`
+    : `${directive}\n${code}`;
+}
@@ -0,0 +1,136 @@
+/**
+ * XML reader
+ * Parses XML documents (elements, attributes, text, CDATA, comments and
+ * processing instructions) and maps them onto plain values so they can be
+ * drawn with the JSON tree renderers.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const NAME = '[A-Za-z_:][\\w:.-]*';
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*("([^"]*)"|'([^']*)')`, 'g');
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+    if (code.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(code.slice(2), 16));
+    }
+    if (code.startsWith('#')) {
+      return String.fromCodePoint(Number(code.slice(1)));
+    }
+    return ENTITIES[code] ?? entity;
+  });
+}
+
+/**
+ * Parse XML text into an element tree
+ * Returns the root element as { name, attributes, children } where children
+ * are elements or { text } nodes.
+ */
+export function parseXml(text) {
+  const lineAt = (index) => text.slice(0, index).split('\n').length;
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[^\]]*\])*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<|[^<]+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [token, cdata, closeName, openName, attributeText, selfClosing] = match;
+
+    if (token.startsWith('<!--') || token.startsWith('<?') || token.startsWith('<!DOCTYPE')) {
+      continue;
+    }
+    if (cdata !== undefined) {
+      top().children.push({ text: cdata });
+      continue;
+    }
+    if (closeName) {
+      if (stack.length === 1 || top().name !== closeName) {
+        const expected = stack.length > 1 ? `</${top().name}>` : 'no closing tag';
+        throw new Error(`Line ${lineAt(match.index)}: unexpected </${closeName}>, expected ${expected}`);
+      }
+      stack.pop();
+      continue;
+    }
+    if (openName) {
+      if (!new RegExp(`^${NAME}$`).test(openName)) {
+        throw new Error(`Line ${lineAt(match.index)}: invalid element name "${openName}"`);
+      }
+      const element = { name: openName, attributes: {}, children: [], line: lineAt(match.index) };
+      for (const attribute of attributeText.matchAll(ATTRIBUTE)) {
+        element.attributes[attribute[1]] = decodeEntities(attribute[3] ?? attribute[4]);
+      }
+      if (stack.length === 1 && root.children.some(child => child.name)) {
+        throw new Error(`Line ${element.line}: a document can only have one root element`);
+      }
+      top().children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      continue;
+    }
+    if (token === '<') {
+      throw new Error(`Line ${lineAt(match.index)}: malformed tag`);
+    }
+    if (token.trim()) {
+      if (stack.length === 1) {
+        throw new Error(`Line ${lineAt(match.index)}: text outside the root element`);
+      }
+      top().children.push({ text: decodeEntities(token) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Line ${top().line}: <${top().name}> is never closed`);
+  }
+  const element = root.children.find(child => child.name);
+  if (!element) {
+    throw new Error('The XML document has no root element');
+  }
+  return element;
+}
+
+/**
+ * Map an element to a plain value
+ * Attributes become "@name" keys, repeated child elements become arrays and
+ * text-only elements become strings; mixed text is kept under "#text".
+ */
+export function xmlToValue(element) {
+  const value = {};
+  Object.entries(element.attributes).forEach(([name, attribute]) => {
+    value[`@${name}`] = attribute;
+  });
+
+  const text = element.children
+    .filter(child => child.text !== undefined)
+    .map(child => child.text.trim())
+    .filter(Boolean)
+    .join(' ');
+  const elements = element.children.filter(child => child.name);
+
+  if (elements.length === 0 && Object.keys(value).length === 0) {
+    return text;
+  }
+  elements.forEach(child => {
+    const childValue = xmlToValue(child);
+    if (!(child.name in value)) {
+      value[child.name] = childValue;
+    } else if (Array.isArray(value[child.name])) {
+      value[child.name].push(childValue);
+    } else {
+      value[child.name] = [value[child.name], childValue];
+    }
+  });
+  if (text) {
+    value['#text'] = text;
+  }
+  return value;
+}
+
+/**
+ * Parse XML text into { name, value } for the root element
+ */
+export function parseXmlDocument(text) {
+  const root = parseXml(text);
+  return { name: root.name, value: xmlToValue(root) };
+}
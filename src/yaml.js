@@ -0,0 +1,462 @@
+/**
+ * YAML reader
+ * Parses the YAML found in Kubernetes manifests, CI pipelines and config
+ * files into plain values: block mappings and sequences, flow collections,
+ * quoted and plain scalars, literal/folded block scalars, anchors, aliases
+ * and merge keys, and multiple documents separated by "---".
+ * Tags are ignored and complex ("? ") keys are not supported.
+ */
+
+const MAPPING_KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},&*!|>%@`-][^#]*?|-[^\s#][^#]*?)\s*:(?=\s|$)/;
+
+/**
+ * Remove a trailing comment, respecting quotes
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      // Quotes only open a string at the start of a token
+      if (i === 0 || /[\s:[{,-]/.test(text[i - 1])) {
+        quote = char;
+      }
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Resolve a plain scalar to null, boolean, number or string (YAML 1.2 core)
+ */
+function plainScalar(text) {
+  const value = text.trim();
+  if (/^(null|Null|NULL|~)?$/.test(value)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(value)) {
+    return true;
+  }
+  if (/^(false|False|FALSE)$/.test(value)) {
+    return false;
+  }
+  if (/^[-+]?(0|[1-9]\d*)$/.test(value)) {
+    return Number(value);
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(value) || /^0o[0-7]+$/.test(value)) {
+    return Number(value);
+  }
+  if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) {
+    return value.startsWith('-') ? -Infinity : Infinity;
+  }
+  if (/^\.(nan|NaN|NAN)$/.test(value)) {
+    return NaN;
+  }
+  return value;
+}
+
+function unquoteDouble(text, lineNumber) {
+  try {
+    return JSON.parse(text.replace(/\t/g, '\\t').replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1').replace(/\\ /g, ' '));
+  } catch {
+    throw new Error(`Line ${lineNumber}: invalid double-quoted string ${text}`);
+  }
+}
+
+function unquoteSingle(text) {
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+/**
+ * Parse a single-line flow collection or scalar such as [a, {b: 1}]
+ */
+function parseFlow(text, lineNumber, anchors) {
+  let pos = 0;
+  const fail = (message) => {
+    throw new Error(`Line ${lineNumber}: ${message} in "${text}"`);
+  };
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+
+  const readScalar = (inMapping) => {
+    skipSpace();
+    const char = text[pos];
+    if (char === '"') {
+      const match = /^"(?:[^"\\]|\\.)*"/.exec(text.slice(pos));
+      if (!match) {
+        fail('unterminated string');
+      }
+      pos += match[0].length;
+      return unquoteDouble(match[0], lineNumber);
+    }
+    if (char === "'") {
+      const match = /^'(?:[^']|'')*'/.exec(text.slice(pos));
+      if (!match) {
+        fail('unterminated string');
+      }
+      pos += match[0].length;
+      return unquoteSingle(match[0]);
+    }
+    const start = pos;
+    while (pos < text.length && !',]}'.includes(text[pos]) && !(inMapping && text[pos] === ':' && /[\s,]|$/.test(text[pos + 1] || ''))) {
+      pos++;
+    }
+    const raw = text.slice(start, pos).trim();
+    if (raw.startsWith('*')) {
+      return resolveAlias(raw.slice(1), anchors, lineNumber);
+    }
+    return plainScalar(raw.replace(/^!\S*\s*/, ''));
+  };
+
+  const readValue = (inMapping) => {
+    skipSpace();
+    if (text[pos] === '[') {
+      pos++;
+      const items = [];
+      skipSpace();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) {
+          fail('missing "]"');
+        }
+        items.push(readValue(false));
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== ']') {
+          fail('expected "," or "]"');
+        }
+      }
+      pos++;
+      return items;
+    }
+    if (text[pos] === '{') {
+      pos++;
+      const object = {};
+      skipSpace();
+      while (text[pos] !== '}') {
+        if (pos >= text.length) {
+          fail('missing "}"');
+        }
+        const key = readScalar(true);
+        skipSpace();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          value = readValue(true);
+        }
+        object[String(key)] = value;
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== '}') {
+          fail('expected "," or "}"');
+        }
+      }
+      pos++;
+      return object;
+    }
+    return readScalar(inMapping);
+  };
+
+  const value = readValue(false);
+  skipSpace();
+  if (pos < text.length) {
+    fail(`unexpected "${text.slice(pos)}"`);
+  }
+  return value;
+}
+
+function resolveAlias(name, anchors, lineNumber) {
+  if (!anchors.has(name)) {
+    throw new Error(`Line ${lineNumber}: unknown alias "*${name}"`);
+  }
+  return anchors.get(name);
+}
+
+/**
+ * Parse one YAML document from its lines
+ */
+function parseDocument(lines, anchors) {
+  let pos = 0;
+
+  const current = () => {
+    while (pos < lines.length && lines[pos].text === '') {
+      pos++;
+    }
+    return lines[pos] || null;
+  };
+
+  const isSequenceItem = (text) => text === '-' || text.startsWith('- ');
+
+  // Read an optional "&anchor" and "!tag" prefix off a value
+  const readProperties = (text) => {
+    let anchor = null;
+    let rest = text;
+    let match;
+    while ((match = /^(&[^\s,[\]{}]+|![^\s]*)(\s+|$)/.exec(rest))) {
+      if (match[1].startsWith('&')) {
+        anchor = match[1].slice(1);
+      }
+      rest = rest.slice(match[0].length);
+    }
+    return { anchor, rest };
+  };
+
+  const withAnchor = (anchor, value) => {
+    if (anchor) {
+      anchors.set(anchor, value);
+    }
+    return value;
+  };
+
+  const parseBlockScalar = (header, parentIndent, lineNumber) => {
+    const style = header[0];
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const explicitIndent = /\d/.exec(header);
+    const body = [];
+    let indent = explicitIndent ? parentIndent + Number(explicitIndent[0]) : null;
+
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.raw.trim() === '') {
+        body.push('');
+        pos++;
+        continue;
+      }
+      if (indent === null) {
+        indent = line.indent;
+      }
+      if (line.indent < indent || line.indent <= parentIndent) {
+        break;
+      }
+      body.push(line.raw.slice(indent));
+      pos++;
+    }
+    if (indent !== null && indent <= parentIndent && body.some(Boolean)) {
+      throw new Error(`Line ${lineNumber}: block scalar content must be indented`);
+    }
+
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    let text;
+    if (style === '|') {
+      text = body.join('\n');
+    } else {
+      // Folded: single newlines become spaces, blank lines stay newlines
+      text = body.reduce((result, line, index) => {
+        if (index === 0) {
+          return line;
+        }
+        const previous = body[index - 1];
+        if (line === '') {
+          return `${result}\n`;
+        }
+        if (previous === '') {
+          return `${result}${line}`;
+        }
+        if (/^\s/.test(line) || /^\s/.test(previous)) {
+          return `${result}\n${line}`;
+        }
+        return `${result} ${line}`;
+      }, '');
+    }
+    if (chomp === 'strip' || body.length === 0) {
+      return text;
+    }
+    return chomp === 'keep' ? `${text}\n${'\n'.repeat(trailing)}` : `${text}\n`;
+  };
+
+  // A value written on the same line as its key or dash
+  const parseInlineValue = (text, indent, lineNumber) => {
+    const { anchor, rest } = readProperties(text);
+    if (rest === '') {
+      const next = current();
+      // "key:" followed by a sequence at the same indentation is allowed
+      if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text) && lines[pos - 1]?.isKey))) {
+        return withAnchor(anchor, parseNode(next.indent === indent ? indent : indent + 1));
+      }
+      return withAnchor(anchor, null);
+    }
+    if (/^[|>][-+\d]*$/.test(rest)) {
+      return withAnchor(anchor, parseBlockScalar(rest, indent, lineNumber));
+    }
+    if (rest.startsWith('*')) {
+      return resolveAlias(rest.slice(1).trim(), anchors, lineNumber);
+    }
+    if (rest.startsWith('[') || rest.startsWith('{')) {
+      // Flow collections may span lines until the brackets balance
+      let flow = rest;
+      const depth = (value) => (value.match(/[[{]/g) || []).length - (value.match(/[\]}]/g) || []).length;
+      while (depth(flow) > 0 && pos < lines.length) {
+        const line = lines[pos++];
+        flow += ` ${line.text}`;
+      }
+      return withAnchor(anchor, parseFlow(flow, lineNumber, anchors));
+    }
+    if (rest.startsWith('"') || rest.startsWith("'")) {
+      // Quoted strings may continue on the following lines
+      let quoted = rest;
+      const closed = (value) => (value[0] === '"' ? /^"(?:[^"\\]|\\.)*"$/ : /^'(?:[^']|'')*'$/).test(value);
+      while (!closed(quoted) && pos < lines.length) {
+        const line = lines[pos++];
+        quoted += line.raw.trim() === '' ? '\\n' : ` ${line.raw.trim()}`;
+      }
+      if (!closed(quoted)) {
+        throw new Error(`Line ${lineNumber}: unterminated string ${rest}`);
+      }
+      return withAnchor(anchor, quoted[0] === '"' ? unquoteDouble(quoted, lineNumber) : unquoteSingle(quoted));
+    }
+
+    // Plain scalars continue on more-indented lines
+    let plain = rest;
+    let next = current();
+    while (next && next.indent > indent && !isSequenceItem(next.text) && !MAPPING_KEY.test(next.text)) {
+      plain += ` ${next.text}`;
+      pos++;
+      next = current();
+    }
+    return withAnchor(anchor, plainScalar(plain));
+  };
+
+  const parseSequence = (indent) => {
+    const items = [];
+    let line = current();
+    while (line && line.indent === indent && isSequenceItem(line.text)) {
+      const content = line.text.slice(1).trimStart();
+      if (content === '' || /^[&!][^\s]*$/.test(content)) {
+        pos++;
+        items.push(parseInlineValue(content, indent, line.number));
+      } else {
+        // "- key: value" opens a mapping indented at the item content
+        const offset = line.text.length - content.length;
+        lines[pos] = { ...line, indent: indent + offset, text: content };
+        items.push(parseNode(indent + offset));
+      }
+      line = current();
+    }
+    return items;
+  };
+
+  const parseMapping = (indent) => {
+    const object = {};
+    let line = current();
+    while (line && line.indent === indent) {
+      if (isSequenceItem(line.text)) {
+        throw new Error(`Line ${line.number}: sequence item where a mapping key was expected`);
+      }
+      const match = MAPPING_KEY.exec(line.text);
+      if (!match) {
+        throw new Error(`Line ${line.number}: expected "key: value", found "${line.text}"`);
+      }
+      let key = match[1].trim();
+      if (key.startsWith('"')) {
+        key = unquoteDouble(key, line.number);
+      } else if (key.startsWith("'")) {
+        key = unquoteSingle(key);
+      }
+      const rest = line.text.slice(match[0].length).trim();
+      lines[pos] = { ...line, isKey: true };
+      pos++;
+      const value = parseInlineValue(rest, indent, line.number);
+
+      if (key === '<<') {
+        // Merge keys copy mappings in without overriding explicit keys
+        [].concat(value).forEach(source => {
+          Object.entries(source || {}).forEach(([mergeKey, mergeValue]) => {
+            if (!(mergeKey in object)) {
+              object[mergeKey] = mergeValue;
+            }
+          });
+        });
+      } else {
+        object[key] = value;
+      }
+      line = current();
+    }
+    if (line && line.indent > indent) {
+      throw new Error(`Line ${line.number}: unexpected indentation`);
+    }
+    return object;
+  };
+
+  function parseNode(minIndent) {
+    const line = current();
+    if (!line || line.indent < minIndent) {
+      return null;
+    }
+    if (isSequenceItem(line.text)) {
+      return parseSequence(line.indent);
+    }
+    const properties = readProperties(line.text);
+    if (properties.anchor !== null && properties.rest === '') {
+      pos++;
+      return withAnchor(properties.anchor, parseNode(line.indent));
+    }
+    if (MAPPING_KEY.test(line.text)) {
+      return parseMapping(line.indent);
+    }
+    pos++;
+    return parseInlineValue(line.text, line.indent - 1, line.number);
+  }
+
+  const value = parseNode(0);
+  const leftover = current();
+  if (leftover) {
+    throw new Error(`Line ${leftover.number}: unexpected "${leftover.text}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse YAML text
+ * Returns the single document's value, or an array for multiple documents.
+ */
+export function parseYaml(text) {
+  const documents = [[]];
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+    if (/^---(\s|$)/.test(raw)) {
+      documents.push([]);
+      const rest = raw.slice(3).trim();
+      if (rest && !rest.startsWith('#')) {
+        documents[documents.length - 1].push({ raw: rest, text: stripComment(rest), indent: 0, number: index + 1 });
+      }
+      return;
+    }
+    if (/^\.\.\.(\s|$)/.test(raw) || /^%/.test(raw)) {
+      return;
+    }
+    if (/^\t/.test(raw) && raw.trim()) {
+      throw new Error(`Line ${index + 1}: tabs cannot be used for indentation`);
+    }
+    const text = stripComment(raw).trim() === '' ? '' : stripComment(raw.trimStart());
+    documents[documents.length - 1].push({ raw, text, indent: raw.length - raw.trimStart().length, number: index + 1 });
+  });
+
+  const values = documents
+    .filter(lines => lines.some(line => line.text !== ''))
+    .map(lines => parseDocument(lines, new Map()));
+
+  if (values.length === 0) {
+    throw new Error('The YAML document is empty');
+  }
+  return values.length === 1 ? values[0] : values;
+}